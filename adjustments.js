@@ -0,0 +1,102 @@
+// NBA Salary Model - extra adjustment components
+// Per-player inputs beyond DARKO and minutes (starting with defensive targeting) that each
+// turn into a DARKO delta added to the card's own adjustment.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SalaryAdjustments = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    // Each component reads one CSV column (any of `columns`) per player and maps it to a
+    // DARKO delta with `getDelta(input, settings)`. `settings` are the component's
+    // editable knobs; `enabled` is off by default so the original model is unchanged.
+    const ADJUSTMENT_COMPONENTS = {
+        pigeon: {
+            label: "Defensive targeting",
+            columns: ["pigeon", "pigeon_rate", "targeting", "targeted_rate"],
+            unit: "% of possessions targeted",
+            settings: {
+                enabled: false,
+                baseline: 10,       // targeting rate (%) that draws no penalty
+                penalty: 0.1,       // DARKO lost per percentage point above the baseline
+                maxPenalty: 1.5     // largest DARKO penalty for any player
+            },
+            // Players targeted more than the baseline lose DARKO; nobody gains from it
+            getDelta: (input, { baseline, penalty, maxPenalty }) => (
+                -Math.min(maxPenalty, Math.max(0, input - baseline) * penalty)
+            )
+        }
+    };
+
+    const DEFAULT_COMPONENT_SETTINGS = {};
+    Object.entries(ADJUSTMENT_COMPONENTS).forEach(([key, component]) => {
+        DEFAULT_COMPONENT_SETTINGS[key] = { ...component.settings };
+    });
+
+    // Fills in anything `settings` leaves out from DEFAULT_COMPONENT_SETTINGS
+    const resolveComponentSettings = (settings = {}) => {
+        const resolved = {};
+        Object.keys(ADJUSTMENT_COMPONENTS).forEach(key => {
+            resolved[key] = { ...DEFAULT_COMPONENT_SETTINGS[key], ...settings[key] };
+        });
+        return resolved;
+    };
+
+    const normalizeName = (name) => String(name || "")
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase().replace(/[^a-z0-9]/g, "");
+
+    // Reads parseCsv rows into { [id]: { [component]: number } }. Rows are matched to
+    // `players` by an "id" column, or by a "name"/"player" column when there is no id.
+    // Returns the inputs plus the rows that matched no player.
+    const parseAdjustmentInputs = (rows, players) => {
+        const byId = new Map(players.map(p => [String(p.id), p]));
+        const byName = new Map(players.map(p => [normalizeName(p.name), p]));
+        const inputs = {};
+        const unmatched = [];
+
+        rows.forEach(row => {
+            const name = row.name ?? row.player ?? row.player_name;
+            const player = byId.get(String(row.id ?? "")) || byName.get(normalizeName(name));
+            if (!player) {
+                unmatched.push(name || row.id || "");
+                return;
+            }
+            Object.entries(ADJUSTMENT_COMPONENTS).forEach(([key, component]) => {
+                const column = component.columns.find(c => row[c] !== undefined && row[c] !== "");
+                const value = column ? Number(String(row[column]).replace(/%$/, "")) : NaN;
+                if (Number.isNaN(value)) return;
+                inputs[player.id] = { ...inputs[player.id], [key]: value };
+            });
+        });
+        return { inputs, unmatched };
+    };
+
+    // Enabled components with an input for the player: [{ key, label, input, delta }]
+    const getAdjustmentBreakdown = (player, inputs = {}, settings = {}) => {
+        const resolved = resolveComponentSettings(settings);
+        const playerInputs = inputs[player.id] || {};
+        return Object.entries(ADJUSTMENT_COMPONENTS)
+            .filter(([key]) => resolved[key].enabled && playerInputs[key] !== undefined)
+            .map(([key, component]) => ({
+                key,
+                label: component.label,
+                input: playerInputs[key],
+                delta: component.getDelta(playerInputs[key], resolved[key])
+            }));
+    };
+
+    // Total DARKO delta from every enabled component
+    const getComponentAdjustment = (player, inputs, settings) => getAdjustmentBreakdown(player, inputs, settings)
+        .reduce((sum, { delta }) => sum + delta, 0);
+
+    return {
+        ADJUSTMENT_COMPONENTS,
+        DEFAULT_COMPONENT_SETTINGS,
+        resolveComponentSettings,
+        parseAdjustmentInputs,
+        getAdjustmentBreakdown,
+        getComponentAdjustment
+    };
+});
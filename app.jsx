@@ -0,0 +1,2531 @@
+// NBA Salary Model - app
+// The React UI. Compiled to build/app.js by scripts/build.js, which is what index.html loads.
+const { useState, useMemo, useEffect } = React;
+
+// --- Original Icons ---
+const Search = ({ size = 20 }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <circle cx="11" cy="11" r="8"></circle>
+        <path d="m21 21-4.35-4.35"></path>
+    </svg>
+);
+
+const Plus = ({ size = 20 }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <line x1="12" y1="5" x2="12" y2="19"></line>
+        <line x1="5" y1="12" x2="19" y2="12"></line>
+    </svg>
+);
+
+const Trash2 = ({ size = 20 }) => (
+    <svg xmlns="http://www.w3.org/2000/svg" width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <polyline points="3 6 5 6 21 6"></polyline>
+        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+        <line x1="10" y1="11" x2="10" y2="17"></line>
+        <line x1="14" y1="11" x2="14" y2="17"></line>
+    </svg>
+);
+
+// --- Constants & Logic (model.js) ---
+const { ALL_SEASONS, POSITION_LABELS, CONTRACT_OPTION_TYPES, getDarkoLabel, normalizeTeam, getPositionLabel, projectPlayer, getSeasonRows } = SalaryModel;
+
+// "2026-01-28" -> "1/28/26"
+const formatSnapshotDate = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return `${month}/${day}/${String(year).slice(-2)}`;
+};
+
+const formatValue = (value, isMinimum) => isMinimum ? "Min" : `$${value.toFixed(1)}M`;
+
+// Option type, guarantee and trigger date of a contract season, plus what the
+// rational-exercise logic decides, e.g. "Team option · $2.0M guaranteed · by 6/29/27 · Declined"
+const describeContractTerms = (row) => {
+    const { terms, decision, contractSalary } = row;
+    const parts = [];
+    if (terms && terms.option) parts.push(CONTRACT_OPTION_TYPES[terms.option]);
+    else if (terms && terms.guaranteed !== undefined && terms.guaranteed < contractSalary) parts.push('Partially guaranteed');
+    if (terms && terms.guaranteed > 0) parts.push(`$${terms.guaranteed.toFixed(1)}M guaranteed`);
+    if (terms && terms.triggerDate) parts.push(`by ${formatSnapshotDate(terms.triggerDate)}`);
+    if (decision === 'exercised') parts.push('Exercised');
+    if (decision === 'declined') parts.push(terms && (terms.option === 'player' || terms.option === 'eto') ? 'Player opts out' : 'Team declines');
+    if (decision === 'ended') parts.push('Contract already ended');
+    return parts.join(' · ');
+};
+
+const { projectLeague, filterProjections, sortProjections } = SalaryLeague;
+
+const DARKO_LABELS = ["MVP Level", "All-NBA", "All-Star", "Quality Starter", "Average Player", "Bench", "Replacement Level"];
+const TEAMS = [...new Set(PLAYER_DATA.map(p => normalizeTeam(p.team)))].sort();
+
+const formatSurplus = (surplus) => surplus === null
+    ? <span className="text-gray-400">—</span>
+    : <span className={`font-bold ${surplus > 0 ? 'text-green-600' : 'text-red-600'}`}>{surplus > 0 ? '+' : ''}{surplus.toFixed(1)}M</span>;
+
+// Model variants from model.js; all off reproduces the original model
+const DEFAULT_MODEL_OPTIONS = { positional: false, positionalAging: false, exerciseOptions: false };
+
+const MODEL_OPTION_FIELDS = [
+    ['positional', 'Positional value adjustment'],
+    ['positionalAging', 'Position-specific aging curves'],
+    ['exerciseOptions', 'Exercise contract options rationally']
+];
+
+const isOriginalModel = (modelOptions) => MODEL_OPTION_FIELDS.every(([field]) => !modelOptions[field]);
+
+// Fair-offer inputs of a card; an empty yearsOfService is estimated from age
+const DEFAULT_OFFER = { years: 4, raise: 'flat', yearsOfService: '' };
+
+const createComparison = (id, player = null) => ({
+    id,
+    selectedPlayer: player,
+    games: 70,
+    minutes: 30,
+    improvement: 0,
+    offer: DEFAULT_OFFER,
+    breakEven: false,
+    depthChart: true,
+    searchTerm: player ? player.name : '',
+    showDropdown: false,
+    highlight: 0
+});
+
+// --- League Leaderboard ---
+const LEADERBOARD_PAGE_SIZE = 25;
+
+const LEADERBOARD_COLUMNS = [
+    { key: "name", label: "Player", align: "text-left" },
+    { key: "team", label: "Team", align: "text-left" },
+    { key: "pos", label: "Pos", align: "text-left" },
+    { key: "age", label: "Age", align: "text-right" },
+    { key: "darko", label: "DARKO", align: "text-right" },
+    { key: "value", label: "Value (25-26)", align: "text-right" },
+    { key: "salary", label: "Salary (25-26)", align: "text-right" },
+    { key: "surplus", label: "Surplus (25-26)", align: "text-right" },
+    { key: "total", label: "Total Surplus", align: "text-right" }
+];
+
+const Leaderboard = ({ players, getOptions, minutesLabel, onSelectPlayer }) => {
+    const [sort, setSort] = useState({ key: "total", direction: "desc" });
+    const [filters, setFilters] = useState({ team: '', pos: '', minAge: '', maxAge: '', tier: '' });
+    const [page, setPage] = useState(0);
+
+    const projections = useMemo(() => projectLeague(players, getOptions), [players, getOptions]);
+
+    const rows = useMemo(() => sortProjections(
+        filterProjections(projections, {
+            team: filters.team,
+            pos: filters.pos,
+            minAge: filters.minAge === '' ? null : parseFloat(filters.minAge),
+            maxAge: filters.maxAge === '' ? null : parseFloat(filters.maxAge),
+            tier: filters.tier
+        }),
+        sort.key,
+        sort.direction
+    ), [projections, filters, sort]);
+
+    const pageCount = Math.max(1, Math.ceil(rows.length / LEADERBOARD_PAGE_SIZE));
+    const currentPage = Math.min(page, pageCount - 1);
+    const pageRows = rows.slice(currentPage * LEADERBOARD_PAGE_SIZE, (currentPage + 1) * LEADERBOARD_PAGE_SIZE);
+
+    const updateFilter = (field, value) => {
+        setFilters({ ...filters, [field]: value });
+        setPage(0);
+    };
+
+    const toggleSort = (key) => {
+        setSort(sort.key === key
+            ? { key, direction: sort.direction === "desc" ? "asc" : "desc" }
+            : { key, direction: ["name", "team", "pos"].includes(key) ? "asc" : "desc" });
+        setPage(0);
+    };
+
+    const selectClassName = "p-2 border border-gray-300 rounded-lg text-sm";
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-end gap-3 mb-4">
+                <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">Team</label>
+                    <select value={filters.team} onChange={(e) => updateFilter('team', e.target.value)} className={selectClassName}>
+                        <option value="">All teams</option>
+                        {TEAMS.map(team => <option key={team} value={team}>{team}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">Position</label>
+                    <select value={filters.pos} onChange={(e) => updateFilter('pos', e.target.value)} className={selectClassName}>
+                        <option value="">All positions</option>
+                        {Object.entries(POSITION_LABELS).map(([pos, label]) => <option key={pos} value={pos}>{label}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">Age</label>
+                    <div className="flex items-center gap-1">
+                        <input type="number" value={filters.minAge} onChange={(e) => updateFilter('minAge', e.target.value)} placeholder="Min" className={`${selectClassName} w-20`} />
+                        <span className="text-gray-400">–</span>
+                        <input type="number" value={filters.maxAge} onChange={(e) => updateFilter('maxAge', e.target.value)} placeholder="Max" className={`${selectClassName} w-20`} />
+                    </div>
+                </div>
+                <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">DARKO Label</label>
+                    <select value={filters.tier} onChange={(e) => updateFilter('tier', e.target.value)} className={selectClassName}>
+                        <option value="">All labels</option>
+                        {DARKO_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+                    </select>
+                </div>
+                <div className="ml-auto text-sm text-gray-500">{rows.length} players · {minutesLabel}</div>
+            </div>
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-xs font-bold text-blue-800 uppercase tracking-wider border-b border-blue-200">
+                            {LEADERBOARD_COLUMNS.map(column => (
+                                <th key={column.key} className={`py-2 px-2 ${column.align} whitespace-nowrap`}>
+                                    <button onClick={() => toggleSort(column.key)} className="uppercase hover:text-blue-600">
+                                        {column.label}{sort.key === column.key ? (sort.direction === "desc" ? " ▼" : " ▲") : ""}
+                                    </button>
+                                </th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {pageRows.map((projection, idx) => (
+                            <tr
+                                key={`${projection.player.id}-${projection.player.team}-${idx}`}
+                                onClick={() => onSelectPlayer(projection.player)}
+                                className="border-b border-gray-100 hover:bg-blue-50 cursor-pointer"
+                            >
+                                <td className="py-2 px-2 font-medium whitespace-nowrap">{projection.player.name}</td>
+                                <td className="py-2 px-2">{normalizeTeam(projection.player.team)}</td>
+                                <td className="py-2 px-2">{getPositionLabel(projection.player.pos)}</td>
+                                <td className="py-2 px-2 text-right">{projection.player.age.toFixed(1)}</td>
+                                <td className="py-2 px-2 text-right whitespace-nowrap" title={projection.label}>{projection.adjustedDarko.toFixed(1)} <span className="text-xs text-gray-500">({projection.label})</span></td>
+                                <td className="py-2 px-2 text-right font-bold text-blue-700">{formatValue(projection.currentValue, projection.isMinimum)}</td>
+                                <td className="py-2 px-2 text-right text-gray-700">{projection.actualSalary !== null ? `$${projection.actualSalary.toFixed(1)}M` : "Free Agent"}</td>
+                                <td className="py-2 px-2 text-right">{formatSurplus(projection.currentSurplus)}</td>
+                                <td className="py-2 px-2 text-right">{formatSurplus(projection.totalSurplus)}</td>
+                            </tr>
+                        ))}
+                        {pageRows.length === 0 && (
+                            <tr><td colSpan={LEADERBOARD_COLUMNS.length} className="py-4 text-center text-gray-500">No players found</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex justify-between items-center mt-4 text-sm">
+                <button
+                    onClick={() => setPage(currentPage - 1)}
+                    disabled={currentPage === 0}
+                    className="px-3 py-1 rounded border border-gray-300 disabled:opacity-40"
+                >
+                    Previous
+                </button>
+                <span className="text-gray-600">Page {currentPage + 1} of {pageCount}</span>
+                <button
+                    onClick={() => setPage(currentPage + 1)}
+                    disabled={currentPage >= pageCount - 1}
+                    className="px-3 py-1 rounded border border-gray-300 disabled:opacity-40"
+                >
+                    Next
+                </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">Click a player to open them in a comparison card.</p>
+        </div>
+    );
+};
+
+// --- Team Payroll ---
+const { TEAM_MINUTES_BUDGET, getRoster, scaleAllocationsToBudget, sumSeasons, projectTeam } = SalaryTeam;
+
+// `getAllocations(team, roster)` gives the starting minutes, normally from the depth chart
+// `getAdjustment(player)` is the DARKO delta from the adjustment components
+const TeamView = ({ players, modelOptions, getAllocations, getAdjustment, onSelectPlayer }) => {
+    const [team, setTeam] = useState(TEAMS[0]);
+    const roster = useMemo(() => getRoster(players, team), [players, team]);
+    const [allocations, setAllocations] = useState(() => getAllocations(team, roster));
+    // Draft picks added per team: { [team]: [{ pick, draftYear }] }
+    const [teamPicks, setTeamPicks] = useState({});
+    const picks = teamPicks[team] || [];
+
+    const selectTeam = (code) => {
+        setTeam(code);
+        setAllocations(getAllocations(code, getRoster(players, code)));
+    };
+
+    const updateAllocation = (id, field, value) => {
+        const limit = field === 'games' ? 82 : 48;
+        const parsed = Math.min(limit, Math.max(0, parseFloat(value) || 0));
+        setAllocations({ ...allocations, [id]: { ...allocations[id], [field]: parsed } });
+    };
+
+    const result = useMemo(() => {
+        const adjusted = {};
+        roster.forEach(player => { adjusted[player.id] = { ...allocations[player.id], adjustment: getAdjustment(player) }; });
+        return projectTeam(roster, adjusted, modelOptions);
+    }, [roster, allocations, modelOptions, getAdjustment]);
+    const pickProjections = useMemo(
+        () => picks.map(({ pick, draftYear }) => valuePick(pick, draftYear, modelOptions)),
+        [picks, modelOptions]
+    );
+    const seasons = pickProjections.length > 0 ? sumSeasons([...result.projections, ...pickProjections]) : result.seasons;
+    const totalSurplus = seasons.reduce((sum, season) => sum + season.surplus, 0);
+    const projections = [...result.projections].sort((a, b) => b.player.darko - a.player.darko);
+    const minutesDiff = result.allocatedMinutes - TEAM_MINUTES_BUDGET;
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-lg p-6">
+                <div className="flex flex-wrap items-end gap-4 mb-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Team</label>
+                        <select value={team} onChange={(e) => selectTeam(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                            {TEAMS.map(code => <option key={code} value={code}>{code}</option>)}
+                        </select>
+                    </div>
+                    <div className="text-sm text-gray-600">{roster.length} players</div>
+                </div>
+
+                <h3 className="text-lg font-bold text-gray-800 mb-3">Payroll vs. Modeled Value</h3>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-xs font-bold text-blue-800 uppercase tracking-wider border-b border-blue-200">
+                                <th className="py-2 px-2 text-left">Season</th>
+                                <th className="py-2 px-2 text-right">Contracts</th>
+                                <th className="py-2 px-2 text-right">Committed Salary</th>
+                                <th className="py-2 px-2 text-right">Modeled Value</th>
+                                <th className="py-2 px-2 text-right">Net Surplus</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {seasons.map(season => (
+                                <tr key={season.season} className="border-b border-gray-100">
+                                    <td className="py-2 px-2 font-medium">{season.season}</td>
+                                    <td className="py-2 px-2 text-right">{season.contracts}</td>
+                                    <td className="py-2 px-2 text-right text-gray-700">${season.salary.toFixed(1)}M</td>
+                                    <td className="py-2 px-2 text-right font-bold text-blue-700">${season.value.toFixed(1)}M</td>
+                                    <td className="py-2 px-2 text-right">{formatSurplus(season.surplus)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="mt-2 p-2 bg-blue-50 rounded flex justify-between items-center">
+                    <span className="text-xs font-bold text-blue-900 uppercase">Total Roster Surplus</span>
+                    <span className="text-base">{formatSurplus(totalSurplus)}</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                    Value only counts toward seasons a player is under contract.
+                    {pickProjections.length > 0 && ` Includes ${pickProjections.length} draft pick${pickProjections.length > 1 ? 's' : ''} on rookie-scale deals.`}
+                </p>
+            </div>
+
+            <TeamPicks picks={picks} projections={pickProjections} onChange={(next) => setTeamPicks({ ...teamPicks, [team]: next })} />
+
+            <div className="bg-white rounded-lg shadow-lg p-6">
+                <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                    <h3 className="text-lg font-bold text-gray-800">Minutes Distribution</h3>
+                    <div className="flex items-center gap-2 text-sm">
+                        <span className={Math.abs(minutesDiff) < 1 ? 'text-green-600 font-medium' : 'text-red-600 font-medium'}>
+                            {Math.round(result.allocatedMinutes).toLocaleString()} / {TEAM_MINUTES_BUDGET.toLocaleString()} min
+                            {Math.abs(minutesDiff) >= 1 && ` (${minutesDiff > 0 ? '+' : ''}${Math.round(minutesDiff).toLocaleString()})`}
+                        </span>
+                        <button
+                            onClick={() => setAllocations(scaleAllocationsToBudget(allocations))}
+                            className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50"
+                        >
+                            Scale to budget
+                        </button>
+                        <button
+                            onClick={() => setAllocations(getAllocations(team, roster))}
+                            className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50"
+                        >
+                            Reset
+                        </button>
+                    </div>
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-xs font-bold text-blue-800 uppercase tracking-wider border-b border-blue-200">
+                                <th className="py-2 px-2 text-left">Player</th>
+                                <th className="py-2 px-2 text-left">Pos</th>
+                                <th className="py-2 px-2 text-right">DARKO</th>
+                                <th className="py-2 px-2 text-right">Games</th>
+                                <th className="py-2 px-2 text-right">MPG</th>
+                                <th className="py-2 px-2 text-right">Value (25-26)</th>
+                                <th className="py-2 px-2 text-right">Salary (25-26)</th>
+                                <th className="py-2 px-2 text-right">Surplus (25-26)</th>
+                                <th className="py-2 px-2 text-right">Total Surplus</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {projections.map(projection => {
+                                const { player } = projection;
+                                const allocation = allocations[player.id];
+                                return (
+                                    <tr key={player.id} className="border-b border-gray-100">
+                                        <td className="py-2 px-2 font-medium whitespace-nowrap">
+                                            <button onClick={() => onSelectPlayer(player)} className="hover:text-blue-600 hover:underline">{player.name}</button>
+                                        </td>
+                                        <td className="py-2 px-2">{getPositionLabel(player.pos)}</td>
+                                        <td className="py-2 px-2 text-right">{player.darko.toFixed(1)}</td>
+                                        <td className="py-2 px-2 text-right">
+                                            <input type="number" min="0" max="82" value={allocation.games} onChange={(e) => updateAllocation(player.id, 'games', e.target.value)} className="w-16 p-1 border border-gray-300 rounded text-right" />
+                                        </td>
+                                        <td className="py-2 px-2 text-right">
+                                            <input type="number" min="0" max="48" step="0.5" value={Math.round(allocation.minutes * 10) / 10} onChange={(e) => updateAllocation(player.id, 'minutes', e.target.value)} className="w-16 p-1 border border-gray-300 rounded text-right" />
+                                        </td>
+                                        <td className="py-2 px-2 text-right font-bold text-blue-700">{formatValue(projection.currentValue, projection.isMinimum)}</td>
+                                        <td className="py-2 px-2 text-right text-gray-700">{projection.actualSalary !== null ? `$${projection.actualSalary.toFixed(1)}M` : "Free Agent"}</td>
+                                        <td className="py-2 px-2 text-right">{formatSurplus(projection.currentSurplus)}</td>
+                                        <td className="py-2 px-2 text-right">{formatSurplus(projection.totalSurplus)}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="text-xs text-gray-500 mt-3">Minutes start from the team's depth chart (by default the top 10 players by DARKO) across all 82 games. The team budget is 48 minutes × 5 players × 82 games.</p>
+            </div>
+        </div>
+    );
+};
+
+// --- Trade Machine ---
+const { DEFAULT_TRADE_RULES, evaluateTrade } = SalaryTrade;
+
+const TRADE_RULE_FIELDS = [
+    ['salaryCap', 'Salary Cap ($M)', '0.1'],
+    ['apron', 'Apron ($M)', '0.1'],
+    ['matchingPct', 'Matching %', '0.05'],
+    ['matchingCushion', 'Matching Cushion ($M)', '0.05']
+];
+
+const TradeMachine = ({ players, getOptions }) => {
+    const [tradeTeams, setTradeTeams] = useState(TEAMS.slice(0, 2));
+    const [destinations, setDestinations] = useState({});
+    const [rules, setRules] = useState(DEFAULT_TRADE_RULES);
+
+    const moveKey = (team, playerId) => `${team}:${playerId}`;
+
+    const changeTeam = (idx, code) => {
+        const previous = tradeTeams[idx];
+        setTradeTeams(tradeTeams.map((t, i) => i === idx ? code : t));
+        setDestinations(Object.fromEntries(Object.entries(destinations).filter(([key, to]) => (
+            !key.startsWith(`${previous}:`) && to !== previous
+        ))));
+    };
+
+    const addTeam = () => {
+        const next = TEAMS.find(code => !tradeTeams.includes(code));
+        if (next) setTradeTeams([...tradeTeams, next]);
+    };
+
+    const removeTeam = (idx) => {
+        const removed = tradeTeams[idx];
+        setTradeTeams(tradeTeams.filter((_, i) => i !== idx));
+        setDestinations(Object.fromEntries(Object.entries(destinations).filter(([key, to]) => (
+            !key.startsWith(`${removed}:`) && to !== removed
+        ))));
+    };
+
+    const setDestination = (team, playerId, to) => {
+        const key = moveKey(team, playerId);
+        const next = { ...destinations };
+        if (to) next[key] = to; else delete next[key];
+        setDestinations(next);
+    };
+
+    const moves = Object.entries(destinations).map(([key, to]) => {
+        const [from, playerId] = key.split(':');
+        return { playerId: Number(playerId), from, to };
+    });
+
+    const result = useMemo(
+        () => evaluateTrade(players, tradeTeams, moves, { rules, getOptions }),
+        [players, tradeTeams, destinations, rules, getOptions]
+    );
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-lg p-6">
+                <div className="flex flex-wrap items-end gap-4">
+                    {TRADE_RULE_FIELDS.map(([field, label, step]) => (
+                        <div key={field}>
+                            <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                            <input
+                                type="number" step={step}
+                                value={rules[field]}
+                                onChange={(e) => setRules({ ...rules, [field]: parseFloat(e.target.value) || 0 })}
+                                className="w-28 p-2 border border-gray-300 rounded-lg text-sm"
+                            />
+                        </div>
+                    ))}
+                    <button onClick={() => setRules(DEFAULT_TRADE_RULES)} className="px-3 py-2 rounded border border-gray-300 text-sm hover:bg-blue-50">
+                        Reset rules
+                    </button>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">Teams over the cap after the trade can take back up to outgoing salary × matching % + cushion. Teams over the apron can't take back more than they send out.</p>
+            </div>
+
+            <div className="grid gap-6 md:grid-cols-2">
+                {tradeTeams.map((team, idx) => {
+                    const teamResult = result.teams[idx];
+                    return (
+                        <div key={`${team}-${idx}`} className="bg-white rounded-lg shadow-lg p-6">
+                            <div className="flex justify-between items-center mb-4">
+                                <select value={team} onChange={(e) => changeTeam(idx, e.target.value)} className="p-2 border border-gray-300 rounded-lg font-semibold">
+                                    {TEAMS.filter(code => code === team || !tradeTeams.includes(code)).map(code => (
+                                        <option key={code} value={code}>{code}</option>
+                                    ))}
+                                </select>
+                                {tradeTeams.length > 2 && (
+                                    <button onClick={() => removeTeam(idx)} className="text-red-500 hover:text-red-700">
+                                        <Trash2 size={20} />
+                                    </button>
+                                )}
+                            </div>
+
+                            <div className="max-h-72 overflow-y-auto border border-gray-100 rounded mb-4">
+                                {getRoster(players, team).map(player => (
+                                    <div key={player.id} className="flex items-center justify-between gap-2 px-3 py-1 border-b border-gray-100 text-sm">
+                                        <span className="truncate">{player.name} <span className="text-xs text-gray-500">${(player.actualSalary || 0).toFixed(1)}M</span></span>
+                                        <select
+                                            value={destinations[moveKey(team, player.id)] || ''}
+                                            onChange={(e) => setDestination(team, player.id, e.target.value)}
+                                            className="p-1 border border-gray-300 rounded text-xs"
+                                        >
+                                            <option value="">Stays</option>
+                                            {tradeTeams.filter(code => code !== team).map(code => (
+                                                <option key={code} value={code}>To {code}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="bg-blue-50 rounded-lg p-4 border-2 border-blue-200 text-sm">
+                                <div className="mb-2"><span className="font-semibold">Receives:</span> {teamResult.incoming.map(p => p.player.name).join(', ') || '—'}</div>
+                                <div className="mb-3"><span className="font-semibold">Sends:</span> {teamResult.outgoing.map(p => p.player.name).join(', ') || '—'}</div>
+                                <div className="grid grid-cols-12 text-xs font-bold text-blue-800 uppercase tracking-wider mb-1 pb-1 border-b border-blue-200">
+                                    <span className="col-span-3">Season</span>
+                                    <span className="col-span-3 text-right">Salary In</span>
+                                    <span className="col-span-3 text-right">Salary Out</span>
+                                    <span className="col-span-3 text-right">Surplus Δ</span>
+                                </div>
+                                {teamResult.seasons.map(season => (
+                                    <div key={season.season} className="grid grid-cols-12 py-1 border-b border-blue-100 last:border-0">
+                                        <span className="col-span-3 text-gray-600">{season.season}</span>
+                                        <span className="col-span-3 text-right">${season.incomingSalary.toFixed(1)}M</span>
+                                        <span className="col-span-3 text-right">${season.outgoingSalary.toFixed(1)}M</span>
+                                        <span className="col-span-3 text-right">{formatSurplus(season.surplusChange)}</span>
+                                    </div>
+                                ))}
+                                <div className="mt-2 flex justify-between"><span className="font-semibold">Current-year surplus change</span>{formatSurplus(teamResult.currentSurplusChange)}</div>
+                                <div className="flex justify-between"><span className="font-semibold">Multi-year surplus change</span>{formatSurplus(teamResult.totalSurplusChange)}</div>
+                                <div className="flex justify-between text-gray-600"><span>Payroll (25-26)</span><span>${teamResult.payrollBefore.toFixed(1)}M → ${teamResult.payrollAfter.toFixed(1)}M</span></div>
+                                <div className={`mt-2 font-medium ${teamResult.salaryMatch.valid ? 'text-green-600' : 'text-red-600'}`}>
+                                    {teamResult.salaryMatch.valid ? '✓' : '✗'} {teamResult.salaryMatch.reason}
+                                </div>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="text-center">
+                <button
+                    onClick={addTeam}
+                    className="inline-flex items-center gap-2 bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 font-medium shadow-lg"
+                >
+                    <Plus size={20} />
+                    Add Team
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Assumptions & Scenarios ---
+const { DEFAULT_ASSUMPTIONS, FUTURE_SEASONS, getInflationScalers } = SalaryModel;
+
+const SCENARIOS_STORAGE_KEY = 'nbasalarymodel.scenarios';
+
+const loadStored = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+const saveStored = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        // Storage can be full or disabled (private browsing); the app still works without it
+    }
+};
+
+const ASSUMPTION_FIELDS = [
+    ['minutesBaseline', 'Minutes baseline', '1'],
+    ['replacementLevel', 'Replacement level (DARKO)', '0.1'],
+    ['winCost', 'Cost per win ($M)', '0.01'],
+    ['mvpBoostCap', 'MVP boost cap', '0.01'],
+    ['mvpBoostExponent', 'MVP boost exponent', '0.1'],
+    ['mvpBoostFullDarko', 'MVP boost full at |DARKO|', '0.1'],
+    ['minimumSalaryCutoff', 'Minimum salary cutoff ($M)', '0.1']
+];
+
+const isDefaultAssumptions = (assumptions) => JSON.stringify(assumptions) === JSON.stringify(DEFAULT_ASSUMPTIONS);
+
+// Lists the assumptions a scenario changes from the defaults, e.g. ["Cost per win ($M): 4.32 → 5"]
+const describeAssumptionChanges = (assumptions) => [
+    ...ASSUMPTION_FIELDS
+        .filter(([field]) => assumptions[field] !== DEFAULT_ASSUMPTIONS[field])
+        .map(([field, label]) => `${label}: ${DEFAULT_ASSUMPTIONS[field]} → ${assumptions[field]}`),
+    ...FUTURE_SEASONS
+        .filter(season => assumptions.inflationScalers[season] !== DEFAULT_ASSUMPTIONS.inflationScalers[season])
+        .map(season => `Inflation ${season}: ${DEFAULT_ASSUMPTIONS.inflationScalers[season]} → ${assumptions.inflationScalers[season]}`)
+];
+
+const AssumptionsPanel = ({ assumptions, onChange, scenarios, onScenariosChange }) => {
+    const [open, setOpen] = useState(false);
+    const [capGrowth, setCapGrowth] = useState(7);
+    const [scenarioName, setScenarioName] = useState('');
+
+    const updateField = (field, value) => onChange({ ...assumptions, [field]: parseFloat(value) || 0 });
+
+    const updateScaler = (season, value) => onChange({
+        ...assumptions,
+        inflationScalers: { ...assumptions.inflationScalers, [season]: parseFloat(value) || 0 }
+    });
+
+    const saveScenario = () => {
+        const name = scenarioName.trim();
+        if (!name) return;
+        onScenariosChange([...scenarios.filter(s => s.name !== name), { name, assumptions }]);
+        setScenarioName('');
+    };
+
+    const inputClassName = (changed) => `w-24 p-1 border rounded text-right text-sm ${changed ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`;
+
+    return (
+        <div className="bg-white rounded-lg shadow p-4 mb-6 text-sm">
+            <button onClick={() => setOpen(!open)} className="font-semibold text-gray-700 flex items-center gap-2">
+                {open ? '▾' : '▸'} Assumptions
+                <span className="font-normal text-gray-500">
+                    {isDefaultAssumptions(assumptions) ? '(defaults)' : `(${describeAssumptionChanges(assumptions).length} changed)`}
+                </span>
+            </button>
+
+            {open && (
+                <div className="mt-4 space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                        {ASSUMPTION_FIELDS.map(([field, label, step]) => (
+                            <label key={field} className="flex justify-between items-center gap-2">
+                                <span>{label} <span className="text-xs text-gray-400">(default {DEFAULT_ASSUMPTIONS[field]})</span></span>
+                                <input
+                                    type="number" step={step}
+                                    value={assumptions[field]}
+                                    onChange={(e) => updateField(field, e.target.value)}
+                                    className={inputClassName(assumptions[field] !== DEFAULT_ASSUMPTIONS[field])}
+                                />
+                            </label>
+                        ))}
+                    </div>
+
+                    <div>
+                        <div className="font-medium text-gray-700 mb-2">Inflation scalers (cap growth vs. 2025-26)</div>
+                        <div className="flex flex-wrap items-end gap-3">
+                            {FUTURE_SEASONS.map(season => (
+                                <label key={season} className="text-xs text-gray-600">
+                                    <div>{season}</div>
+                                    <input
+                                        type="number" step="0.001"
+                                        value={assumptions.inflationScalers[season]}
+                                        onChange={(e) => updateScaler(season, e.target.value)}
+                                        className={inputClassName(assumptions.inflationScalers[season] !== DEFAULT_ASSUMPTIONS.inflationScalers[season])}
+                                    />
+                                </label>
+                            ))}
+                            <div className="flex items-center gap-2">
+                                <input type="number" step="0.5" value={capGrowth} onChange={(e) => setCapGrowth(e.target.value)} className="w-16 p-1 border border-gray-300 rounded text-right" />
+                                <span className="text-gray-600">% a year</span>
+                                <button
+                                    onClick={() => onChange({ ...assumptions, inflationScalers: getInflationScalers((parseFloat(capGrowth) || 0) / 100) })}
+                                    className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50"
+                                >
+                                    Apply cap growth
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2 border-t pt-4">
+                        <input
+                            type="text"
+                            value={scenarioName}
+                            onChange={(e) => setScenarioName(e.target.value)}
+                            placeholder="Scenario name"
+                            className="p-1 border border-gray-300 rounded"
+                        />
+                        <button onClick={saveScenario} className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">Save scenario</button>
+                        <button onClick={() => onChange(DEFAULT_ASSUMPTIONS)} className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50">Reset to defaults</button>
+                    </div>
+
+                    {scenarios.length > 0 && (
+                        <div className="space-y-2">
+                            {scenarios.map(scenario => (
+                                <div key={scenario.name} className="flex flex-wrap justify-between items-start gap-2 p-2 bg-gray-50 rounded">
+                                    <div>
+                                        <div className="font-medium">{scenario.name}</div>
+                                        <div className="text-xs text-gray-500">{describeAssumptionChanges(scenario.assumptions).join(' · ') || 'Same as defaults'}</div>
+                                    </div>
+                                    <div className="flex gap-2">
+                                        <button onClick={() => onChange(scenario.assumptions)} className="px-2 py-1 rounded border border-gray-300 hover:bg-blue-50">Apply</button>
+                                        <button onClick={() => onScenariosChange(scenarios.filter(s => s.name !== scenario.name))} className="text-red-500 hover:text-red-700">
+                                            <Trash2 size={16} />
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- Sessions & Share Links ---
+const { encodeComparisons, decodeComparisons } = SalarySession;
+
+const LAST_SESSION_STORAGE_KEY = 'nbasalarymodel.lastSession';
+const SESSIONS_STORAGE_KEY = 'nbasalarymodel.sessions';
+
+const encodeComparisonCards = (comparisons) => encodeComparisons(comparisons.map(c => ({
+    playerId: c.selectedPlayer ? c.selectedPlayer.id : null,
+    games: c.games,
+    minutes: c.minutes,
+    improvement: c.improvement,
+    depthChart: c.depthChart
+})));
+
+const restoreComparisons = (encoded) => decodeComparisons(encoded, [...PLAYER_DATA, ...DRAFT_PICKS]).map((card, idx) => ({
+    ...createComparison(idx + 1, card.player),
+    games: card.games,
+    minutes: card.minutes,
+    improvement: card.improvement,
+    depthChart: card.depthChart
+}));
+
+const getShareUrl = (encoded) => `${window.location.href.split('#')[0]}#cards=${encoded}`;
+
+// Share links put the cards in the URL hash so they also work from a local file
+const getInitialComparisons = () => {
+    const fromUrl = new URLSearchParams(window.location.hash.slice(1)).get('cards');
+    const restored = restoreComparisons(fromUrl || loadStored(LAST_SESSION_STORAGE_KEY, ''));
+    return restored.length > 0 ? restored : [createComparison(1)];
+};
+
+const SessionsPanel = ({ comparisons, onOpen }) => {
+    const [sessions, setSessions] = useState(() => loadStored(SESSIONS_STORAGE_KEY, []));
+    const [sessionName, setSessionName] = useState('');
+    const [renaming, setRenaming] = useState(null);
+    const [copied, setCopied] = useState(false);
+
+    const updateSessions = (next) => {
+        setSessions(next);
+        saveStored(SESSIONS_STORAGE_KEY, next);
+    };
+
+    const saveSession = () => {
+        const name = sessionName.trim();
+        if (!name) return;
+        const session = { name, cards: encodeComparisonCards(comparisons), savedAt: new Date().toISOString() };
+        updateSessions([...sessions.filter(s => s.name !== name), session]);
+        setSessionName('');
+    };
+
+    const renameSession = () => {
+        const name = renaming.name.trim();
+        if (name && !sessions.some(s => s.name === name && s.name !== renaming.from)) {
+            updateSessions(sessions.map(s => s.name === renaming.from ? { ...s, name } : s));
+        }
+        setRenaming(null);
+    };
+
+    const copyLink = () => {
+        const url = getShareUrl(encodeComparisonCards(comparisons));
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(() => setCopied(true), () => window.prompt('Copy this link:', url));
+        } else {
+            window.prompt('Copy this link:', url);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow p-4 mb-6 text-sm space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-700 mr-2">Sessions</span>
+                <input
+                    type="text"
+                    value={sessionName}
+                    onChange={(e) => setSessionName(e.target.value)}
+                    placeholder="Session name"
+                    className="p-1 border border-gray-300 rounded"
+                />
+                <button onClick={saveSession} className="px-3 py-1 rounded bg-blue-600 text-white hover:bg-blue-700">Save session</button>
+                <button onClick={copyLink} className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50 ml-auto">
+                    {copied ? 'Link copied' : 'Copy share link'}
+                </button>
+            </div>
+
+            {sessions.length > 0 && (
+                <div className="space-y-1">
+                    {sessions.map(session => (
+                        <div key={session.name} className="flex flex-wrap justify-between items-center gap-2 p-2 bg-gray-50 rounded">
+                            {renaming && renaming.from === session.name ? (
+                                <input
+                                    type="text"
+                                    autoFocus
+                                    value={renaming.name}
+                                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                    onKeyDown={(e) => e.key === 'Enter' && renameSession()}
+                                    onBlur={renameSession}
+                                    className="p-1 border border-gray-300 rounded"
+                                />
+                            ) : (
+                                <div>
+                                    <span className="font-medium">{session.name}</span>
+                                    <span className="text-xs text-gray-500 ml-2">
+                                        {session.cards.split(',').length} card{session.cards.split(',').length === 1 ? '' : 's'} · {new Date(session.savedAt).toLocaleDateString()}
+                                    </span>
+                                </div>
+                            )}
+                            <div className="flex gap-2">
+                                <button onClick={() => onOpen(restoreComparisons(session.cards))} className="px-2 py-1 rounded border border-gray-300 hover:bg-blue-50">Open</button>
+                                <button onClick={() => setRenaming({ from: session.name, name: session.name })} className="px-2 py-1 rounded border border-gray-300 hover:bg-blue-50">Rename</button>
+                                <button onClick={() => updateSessions(sessions.filter(s => s.name !== session.name))} className="text-red-500 hover:text-red-700">
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- DARKO History ---
+const { sortSnapshots, getSnapshotPlayers, getPlayerHistory, getMovers } = SalaryHistory;
+
+const SNAPSHOTS = sortSnapshots(DARKO_SNAPSHOTS);
+const MOVERS_LIST_SIZE = 10;
+
+// Player list for a snapshot date; the current snapshot is PLAYER_DATA itself
+const getPlayersAsOf = (date) => {
+    const snapshot = SNAPSHOTS.find(s => s.date === date);
+    return date === DATA_SNAPSHOT_DATE || !snapshot
+        ? PLAYER_DATA
+        : getSnapshotPlayers(PLAYER_DATA, snapshot, DATA_SNAPSHOT_DATE);
+};
+
+// Small SVG line chart. `series` are { label, color, values, dashed } with one value
+// per label; null values leave a gap in the line.
+const LineChart = ({ labels, series, formatTick = v => v.toFixed(1), height = 140 }) => {
+    const width = 320;
+    const pad = { top: 10, right: 12, bottom: 22, left: 40 };
+    const values = series.flatMap(s => s.values).filter(v => v !== null);
+    if (values.length === 0) return null;
+
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (min === max) { min -= 1; max += 1; }
+    const x = (i) => labels.length === 1
+        ? pad.left + (width - pad.left - pad.right) / 2
+        : pad.left + i * (width - pad.left - pad.right) / (labels.length - 1);
+    const y = (v) => pad.top + (max - v) * (height - pad.top - pad.bottom) / (max - min);
+
+    // Split each series into runs of non-null points
+    const segments = (seriesValues) => seriesValues.reduce((runs, v, i) => {
+        if (v === null) runs.push([]);
+        else runs[runs.length - 1].push([x(i), y(v)]);
+        return runs;
+    }, [[]]).filter(run => run.length > 0);
+
+    const labelStep = Math.ceil(labels.length / 6);
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+                {[min, (min + max) / 2, max].map(tick => (
+                    <g key={tick}>
+                        <line x1={pad.left} x2={width - pad.right} y1={y(tick)} y2={y(tick)} stroke="#e5e7eb" />
+                        <text x={pad.left - 4} y={y(tick) + 3} textAnchor="end" fontSize="9" fill="#6b7280">{formatTick(tick)}</text>
+                    </g>
+                ))}
+                {labels.map((label, i) => (i % labelStep === 0 || i === labels.length - 1) && (
+                    <text key={label} x={x(i)} y={height - 6} textAnchor="middle" fontSize="9" fill="#6b7280">{label}</text>
+                ))}
+                {series.map(s => (
+                    <g key={s.label}>
+                        {segments(s.values).map((run, idx) => (
+                            <polyline key={idx} points={run.map(point => point.join(',')).join(' ')} fill="none" stroke={s.color} strokeWidth="2" strokeDasharray={s.dashed ? '4,3' : undefined} />
+                        ))}
+                        {s.values.map((v, i) => v !== null && (
+                            <circle key={i} cx={x(i)} cy={y(v)} r="3" fill={s.color}>
+                                <title>{`${s.label} ${labels[i]}: ${formatTick(v)}`}</title>
+                            </circle>
+                        ))}
+                    </g>
+                ))}
+            </svg>
+            {series.length > 1 && (
+                <div className="flex flex-wrap gap-x-4 gap-y-1 justify-center text-xs text-gray-600">
+                    {series.map(s => (
+                        <span key={s.label} className="inline-flex items-center gap-1">
+                            <span className="inline-block w-3 h-0.5" style={s.dashed ? { borderTop: `2px dashed ${s.color}` } : { backgroundColor: s.color }}></span>
+                            {s.label}
+                        </span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// DARKO and projected value at every snapshot, for a comparison card
+const PlayerHistory = ({ player, options }) => {
+    const history = getPlayerHistory(player, SNAPSHOTS, options, DATA_SNAPSHOT_DATE);
+    if (history.length < 2) {
+        return <p className="text-xs text-gray-500">Only one DARKO snapshot so far. The chart fills in as the data is refreshed.</p>;
+    }
+    const labels = history.map(point => formatSnapshotDate(point.date));
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+                <div className="text-xs font-bold text-blue-800 uppercase tracking-wider mb-1">DARKO</div>
+                <LineChart labels={labels} series={[{ label: 'DARKO', color: '#6b7280', values: history.map(point => point.darko) }]} />
+            </div>
+            <div>
+                <div className="text-xs font-bold text-blue-800 uppercase tracking-wider mb-1">Projected Value (25-26)</div>
+                <LineChart
+                    labels={labels}
+                    series={[{ label: 'Value', color: '#2563eb', values: history.map(point => point.value) }]}
+                    formatTick={v => `$${v.toFixed(0)}M`}
+                />
+            </div>
+        </div>
+    );
+};
+
+const MoversTable = ({ title, movers, onSelectPlayer }) => (
+    <div>
+        <h3 className="text-lg font-bold text-gray-800 mb-2">{title}</h3>
+        <table className="w-full text-sm">
+            <thead>
+                <tr className="text-xs font-bold text-blue-800 uppercase tracking-wider border-b border-blue-200">
+                    <th className="py-2 px-2 text-left">Player</th>
+                    <th className="py-2 px-2 text-right">DARKO</th>
+                    <th className="py-2 px-2 text-right">Value (25-26)</th>
+                    <th className="py-2 px-2 text-right">Change</th>
+                </tr>
+            </thead>
+            <tbody>
+                {movers.map(mover => (
+                    <tr
+                        key={mover.player.id}
+                        onClick={() => onSelectPlayer(mover.player)}
+                        className="border-b border-gray-100 hover:bg-blue-50 cursor-pointer"
+                    >
+                        <td className="py-2 px-2 font-medium whitespace-nowrap">
+                            {mover.player.name} <span className="text-xs text-gray-500">{normalizeTeam(mover.player.team)}</span>
+                        </td>
+                        <td className="py-2 px-2 text-right whitespace-nowrap">
+                            {mover.fromDarko.toFixed(1)} → {mover.toDarko.toFixed(1)}
+                        </td>
+                        <td className="py-2 px-2 text-right whitespace-nowrap">
+                            {formatValue(mover.fromValue, mover.fromMinimum)} → {formatValue(mover.toValue, mover.toMinimum)}
+                        </td>
+                        <td className="py-2 px-2 text-right">{formatSurplus(mover.valueDelta)}</td>
+                    </tr>
+                ))}
+                {movers.length === 0 && (
+                    <tr><td colSpan={4} className="py-4 text-center text-gray-500">No players moved</td></tr>
+                )}
+            </tbody>
+        </table>
+    </div>
+);
+
+const HistoryView = ({ getOptions, minutesLabel, onSelectPlayer }) => {
+    const [range, setRange] = useState({
+        from: SNAPSHOTS[Math.max(0, SNAPSHOTS.length - 2)].date,
+        to: SNAPSHOTS[SNAPSHOTS.length - 1].date
+    });
+
+    const movers = useMemo(() => getMovers(
+        PLAYER_DATA,
+        SNAPSHOTS.find(s => s.date === range.from),
+        SNAPSHOTS.find(s => s.date === range.to),
+        getOptions,
+        DATA_SNAPSHOT_DATE
+    ), [range, getOptions]);
+
+    const risers = movers.filter(m => m.valueDelta > 0).slice(0, MOVERS_LIST_SIZE);
+    const fallers = movers.filter(m => m.valueDelta < 0).reverse().slice(0, MOVERS_LIST_SIZE);
+
+    if (SNAPSHOTS.length < 2) {
+        return (
+            <div className="bg-white rounded-lg shadow-lg p-6 text-gray-600">
+                Only the {formatSnapshotDate(SNAPSHOTS[0].date)} DARKO snapshot is available. Risers and fallers appear once the data has been refreshed with <code>scripts/import-data.js --write</code>.
+            </div>
+        );
+    }
+
+    const selectClassName = "p-2 border border-gray-300 rounded-lg text-sm";
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-end gap-3 mb-4">
+                {[['from', 'From'], ['to', 'To']].map(([field, label]) => (
+                    <div key={field}>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                        <select value={range[field]} onChange={(e) => setRange({ ...range, [field]: e.target.value })} className={selectClassName}>
+                            {SNAPSHOTS.map(s => <option key={s.date} value={s.date}>{formatSnapshotDate(s.date)}</option>)}
+                        </select>
+                    </div>
+                ))}
+                <div className="ml-auto text-sm text-gray-500">{movers.length} players in both snapshots · {minutesLabel}</div>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <MoversTable title="Biggest Risers" movers={risers} onSelectPlayer={onSelectPlayer} />
+                <MoversTable title="Biggest Fallers" movers={fallers} onSelectPlayer={onSelectPlayer} />
+            </div>
+            <p className="text-xs text-gray-500 mt-3">Change in projected 25-26 value between the two DARKO snapshots. Click a player to open them in a comparison card.</p>
+        </div>
+    );
+};
+
+// --- Uncertainty (Monte Carlo) ---
+const { DEFAULT_SIMULATION, MIN_RUNS, MAX_RUNS, clampSimulationSettings, simulatePlayer, getHistogram } = SalarySimulation;
+
+const SIMULATION_FIELDS = [
+    ['runs', 'Runs', '100'],
+    ['seed', 'Random seed', '1'],
+    ['darkoError', 'DARKO error (SD)', '0.1'],
+    ['agingSd', 'Aging noise per year (SD)', '0.05'],
+    ['gamesSd', 'Games played (SD)', '1'],
+    ['injuryRate', 'Injury chance per season', '0.01'],
+    ['injuryGamesMin', 'Games lost to injury (min)', '1'],
+    ['injuryGamesMax', 'Games lost to injury (max)', '1']
+];
+
+// Runs stay within MIN_RUNS-MAX_RUNS (an empty box means MIN_RUNS); the rest can't go negative.
+// simulatePlayer clamps the whole set again.
+const clampSimulationField = (field, value) => {
+    const number = parseFloat(value) || 0;
+    if (field === 'runs') return clampSimulationSettings({ runs: number }).runs;
+    return Math.max(0, number);
+};
+
+const SimulationPanel = ({ simulation, onChange }) => (
+    <div className="bg-white rounded-lg shadow p-4 mb-6 text-sm">
+        <label className="inline-flex items-center gap-2 cursor-pointer font-semibold text-gray-700">
+            <input
+                type="checkbox"
+                checked={simulation.enabled}
+                onChange={(e) => onChange({ ...simulation, enabled: e.target.checked })}
+            />
+            Uncertainty bands
+            <span className="font-normal text-gray-500">(Monte Carlo simulation of DARKO error, aging and availability)</span>
+        </label>
+        {simulation.enabled && (
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                {SIMULATION_FIELDS.map(([field, label, step]) => (
+                    <label key={field} className="flex justify-between items-center gap-2">
+                        <span>{label} <span className="text-xs text-gray-400">(default {DEFAULT_SIMULATION[field]})</span></span>
+                        <input
+                            type="number" step={step}
+                            min={field === 'runs' ? MIN_RUNS : 0}
+                            max={field === 'runs' ? MAX_RUNS : undefined}
+                            value={simulation[field]}
+                            onChange={(e) => onChange({ ...simulation, [field]: clampSimulationField(field, e.target.value) })}
+                            className={`w-24 p-1 border rounded text-right text-sm ${simulation[field] !== DEFAULT_SIMULATION[field] ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+                        />
+                    </label>
+                ))}
+            </div>
+        )}
+    </div>
+);
+
+// Bars of simulated total surplus with the 10th/50th/90th percentiles marked
+const Histogram = ({ values, markers, height = 100 }) => {
+    const width = 320;
+    const pad = { top: 6, bottom: 18 };
+    const bins = getHistogram(values, 24);
+    if (bins.length === 0) return null;
+    const maxCount = Math.max(...bins.map(bin => bin.count));
+    const min = bins[0].from;
+    const max = bins[bins.length - 1].to;
+    const x = (v) => (v - min) / (max - min || 1) * width;
+    const barHeight = (count) => count / maxCount * (height - pad.top - pad.bottom);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full">
+            {bins.map((bin, idx) => (
+                <rect
+                    key={idx}
+                    x={x(bin.from) + 0.5}
+                    y={height - pad.bottom - barHeight(bin.count)}
+                    width={Math.max(0, x(bin.to) - x(bin.from) - 1)}
+                    height={barHeight(bin.count)}
+                    fill={bin.to <= 0 ? '#fca5a5' : bin.from >= 0 ? '#86efac' : '#d1d5db'}
+                >
+                    <title>{`${bin.from.toFixed(1)}M to ${bin.to.toFixed(1)}M: ${bin.count} runs`}</title>
+                </rect>
+            ))}
+            {markers.map(({ label, value }) => (
+                <g key={label}>
+                    <line x1={x(value)} x2={x(value)} y1={pad.top} y2={height - pad.bottom} stroke="#1e40af" strokeDasharray={label === 'Median' ? '' : '3,2'} />
+                    <text x={x(value)} y={height - 5} textAnchor="middle" fontSize="9" fill="#1e40af">{label}</text>
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+const formatBand = (band) => band === null
+    ? <span className="text-gray-400">—</span>
+    : `${band.p10.toFixed(1)} / ${band.p50.toFixed(1)} / ${band.p90.toFixed(1)}`;
+
+const UncertaintyBands = ({ player, options, simulation }) => {
+    const { enabled, ...settings } = simulation;
+    const result = useMemo(
+        () => simulatePlayer(player, options, settings),
+        [player, JSON.stringify(options), JSON.stringify(settings)]
+    );
+    const { totalSurplus } = result;
+
+    return (
+        <div>
+            <div className="grid grid-cols-12 text-xs font-bold text-blue-800 uppercase tracking-wider mb-1 pb-1 border-b border-blue-200">
+                <span className="col-span-4">Season</span>
+                <span className="col-span-4 text-center">Value (10/50/90)</span>
+                <span className="col-span-4 text-right">Surplus (10/50/90)</span>
+            </div>
+            {result.seasons.map(row => (
+                <div key={row.season} className="grid grid-cols-12 items-center border-b border-blue-100 py-1 last:border-0 text-sm">
+                    <span className="col-span-4 text-gray-600 font-medium">{row.season}</span>
+                    <span className="col-span-4 text-center text-blue-700 whitespace-nowrap">{formatBand(row.value)}</span>
+                    <span className="col-span-4 text-right whitespace-nowrap">{formatBand(row.surplus)}</span>
+                </div>
+            ))}
+            <div className="mt-2 p-2 bg-blue-50 rounded flex justify-between items-center">
+                <span className="text-xs font-bold text-blue-900 uppercase">Total Contract Surplus</span>
+                <span className="text-sm">
+                    <span className="text-gray-500">{totalSurplus.p10 > 0 ? '+' : ''}{totalSurplus.p10.toFixed(1)}M</span>
+                    {' · '}{formatSurplus(totalSurplus.p50)}{' · '}
+                    <span className="text-gray-500">{totalSurplus.p90 > 0 ? '+' : ''}{totalSurplus.p90.toFixed(1)}M</span>
+                </span>
+            </div>
+            <Histogram
+                values={result.outcomes}
+                markers={[
+                    { label: 'P10', value: totalSurplus.p10 },
+                    { label: 'Median', value: totalSurplus.p50 },
+                    { label: 'P90', value: totalSurplus.p90 }
+                ]}
+            />
+            <p className="text-xs text-gray-500">
+                Total contract surplus across {settings.runs} simulated runs (seed {settings.seed}). Values in $M; 10th percentile / median / 90th percentile.
+            </p>
+        </div>
+    );
+};
+
+// --- Free-Agent Contract Offers ---
+const { MIN_YEARS, MAX_YEARS, RAISE_STRUCTURES, getFreeAgencyOffset, recommendContract } = SalaryContract;
+
+const ContractOffer = ({ player, options, offer, onChange }) => {
+    const contract = recommendContract(player, {
+        ...options,
+        years: offer.years,
+        raise: offer.raise,
+        yearsOfService: offer.yearsOfService === '' ? undefined : offer.yearsOfService
+    });
+    const selectClassName = "p-1 border border-gray-300 rounded text-sm";
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-end gap-3 mb-3 text-sm">
+                <label>
+                    <div className="text-xs text-gray-600">Years</div>
+                    <select value={offer.years} onChange={(e) => onChange({ ...offer, years: parseInt(e.target.value) })} className={selectClassName}>
+                        {Array.from({ length: MAX_YEARS - MIN_YEARS + 1 }, (_, idx) => MIN_YEARS + idx).map(years => (
+                            <option key={years} value={years}>{years}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    <div className="text-xs text-gray-600">Raises</div>
+                    <select value={offer.raise} onChange={(e) => onChange({ ...offer, raise: e.target.value })} className={selectClassName}>
+                        {Object.entries(RAISE_STRUCTURES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </label>
+                <label>
+                    <div className="text-xs text-gray-600">Years of service</div>
+                    <input
+                        type="number" min="0" max="25"
+                        value={offer.yearsOfService}
+                        placeholder={String(contract.yearsOfService)}
+                        onChange={(e) => onChange({ ...offer, yearsOfService: e.target.value === '' ? '' : parseInt(e.target.value) })}
+                        className={`${selectClassName} w-20 text-right`}
+                    />
+                </label>
+            </div>
+
+            <div className="grid grid-cols-12 text-xs font-bold text-blue-800 uppercase tracking-wider mb-1 pb-1 border-b border-blue-200">
+                <span className="col-span-4">Season (Age)</span>
+                <span className="col-span-3 text-center">Proj.</span>
+                <span className="col-span-3 text-center">Offer</span>
+                <span className="col-span-2 text-right">Surplus</span>
+            </div>
+            {contract.seasons.map(row => (
+                <div key={row.season} className="grid grid-cols-12 items-center border-b border-blue-100 py-1 last:border-0 text-sm">
+                    <span className="col-span-4 text-gray-600 font-medium whitespace-nowrap">
+                        {row.season} <span className="text-xs opacity-75">({Math.floor(row.age)})</span>
+                    </span>
+                    <span className="col-span-3 text-center text-blue-700">{formatValue(row.value, row.isMinimum)}</span>
+                    <span className="col-span-3 text-center font-bold text-gray-700">${row.salary.toFixed(1)}M</span>
+                    <span className="col-span-2 text-right">{formatSurplus(row.surplus)}</span>
+                </div>
+            ))}
+            <div className="mt-2 p-2 bg-blue-50 rounded flex justify-between items-center">
+                <span className="text-xs font-bold text-blue-900 uppercase">{contract.years} yr / ${contract.totalSalary.toFixed(1)}M</span>
+                <span className="text-sm">{formatSurplus(Number(contract.totalSurplus.toFixed(1)))} surplus</span>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+                {contract.clamped === 'maximum' && `The break-even starting salary ($${contract.fairStartingSalary.toFixed(1)}M) is above the max for ${contract.yearsOfService} years of service, so the offer is capped at $${contract.maximumSalary.toFixed(1)}M. `}
+                {contract.clamped === 'minimum' && `The break-even starting salary ($${contract.fairStartingSalary.toFixed(1)}M) is below the minimum for ${contract.yearsOfService} years of service, so the offer is the $${contract.minimumSalary.toFixed(1)}M minimum. `}
+                Starting salary solved so total projected surplus is zero, from {contract.startSeason}. Years of service are estimated from age unless entered.
+            </p>
+        </div>
+    );
+};
+
+// --- Break-Even ---
+const { getBreakEvenSeasons } = SalaryBreakEven;
+
+const formatBreakEvenDarko = (row) => row.breakEvenDarko === null ? 'Out of reach' : row.breakEvenDarko.toFixed(1);
+const formatBreakEvenMinutes = (row) => row.breakEvenMinutes === null ? 'Out of reach' : row.breakEvenMinutes.toFixed(1);
+
+// DARKO needed at the card's minutes, and minutes needed at its DARKO, for modeled
+// value to cover each contracted season's salary
+const BreakEven = ({ player, options }) => {
+    // Each season bisects through projectPlayer a few hundred times, so only redo it when
+    // the inputs change. Draft picks are rebuilt on every render, hence the player's JSON.
+    const seasons = useMemo(
+        () => getBreakEvenSeasons(player, options),
+        [JSON.stringify(player), JSON.stringify(options)]
+    );
+    if (seasons.length === 0) {
+        return <p className="text-sm text-gray-500">No contracted seasons to break even on.</p>;
+    }
+
+    return (
+        <div>
+            <div className="grid grid-cols-12 text-xs font-bold text-blue-800 uppercase tracking-wider mb-1 pb-1 border-b border-blue-200">
+                <span className="col-span-3">Season (Age)</span>
+                <span className="col-span-2 text-center">Salary</span>
+                <span className="col-span-4 text-center">DARKO needed</span>
+                <span className="col-span-3 text-right">Min needed</span>
+            </div>
+            {seasons.map(row => (
+                <div key={row.season} className="grid grid-cols-12 items-center border-b border-blue-100 py-1 last:border-0 text-sm">
+                    <span className="col-span-3 text-gray-600 font-medium whitespace-nowrap">
+                        {row.season} <span className="text-xs opacity-75">({Math.floor(row.age)})</span>
+                    </span>
+                    <span className="col-span-2 text-center text-gray-700">
+                        ${row.salary.toFixed(1)}M{row.belowCutoff && '*'}
+                    </span>
+                    <span className="col-span-4 text-center whitespace-nowrap">
+                        <span className="font-bold text-gray-700">{formatBreakEvenDarko(row)}</span>
+                        <span className="text-xs text-gray-500"> vs {row.darko.toFixed(1)} </span>
+                        {row.darkoGap !== null && (
+                            <span className={`text-xs font-medium ${row.darkoGap >= 0 ? 'text-green-600' : 'text-red-600'}`}>({formatSigned(row.darkoGap)})</span>
+                        )}
+                    </span>
+                    <span className="col-span-3 text-right whitespace-nowrap">
+                        <span className="font-bold text-gray-700">{formatBreakEvenMinutes(row)}</span>
+                        <span className="text-xs text-gray-500"> vs {row.minutes.toFixed(0)}</span>
+                    </span>
+                </div>
+            ))}
+            <p className="text-xs text-gray-500 mt-2">
+                The DARKO each season needs at the projected minutes, and the minutes per game it needs at the projected DARKO (aging included), for modeled value to equal the contract salary. Green means the projection clears it.
+                {seasons.some(row => row.belowCutoff) && ' * Under the minimum salary cutoff, so any value above a minimum deal covers it.'}
+            </p>
+        </div>
+    );
+};
+
+// --- Side-by-Side Comparison ---
+const COMPARE_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+const formatMoney = (value) => `$${value.toFixed(1)}M`;
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+// Draft picks show their expected rookie-season DARKO
+const getCompareDarko = (p) => p.player.isPick ? p.player.expectedDarko : p.player.darko;
+
+// Rows of the compare table. `better` marks which end of a row to highlight;
+// rows without it (salary, label) are shown but not ranked.
+const getCompareRows = () => [
+    { label: 'DARKO', get: getCompareDarko, format: v => v.toFixed(1), better: 'high' },
+    { label: 'Adjusted DARKO', get: p => getCompareDarko(p) + p.adjustment, format: v => v.toFixed(1), better: 'high' },
+    { label: 'Label', get: p => getDarkoLabel(getCompareDarko(p) + p.adjustment) },
+    ...ALL_SEASONS.flatMap((season, idx) => [
+        { section: season },
+        { label: 'Projected value', get: p => getSeasonRows(p)[idx].value, format: formatMoney, better: 'high' },
+        { label: 'Actual salary', get: p => getSeasonRows(p)[idx].actualSalary, format: formatMoney },
+        { label: 'Surplus', get: p => getSeasonRows(p)[idx].surplus, format: formatSigned, better: 'high' }
+    ]),
+    { section: 'Contract' },
+    { label: 'Total contract surplus', get: p => p.totalSurplus, format: formatSigned, better: 'high' }
+];
+
+const SideBySide = ({ projections }) => {
+    const labels = ALL_SEASONS.map(season => season.slice(2));
+    const series = projections.flatMap((projection, idx) => {
+        const color = COMPARE_COLORS[idx % COMPARE_COLORS.length];
+        const rows = getSeasonRows(projection);
+        return [
+            { label: `${projection.player.name} value`, color, values: rows.map(row => row.value) },
+            { label: `${projection.player.name} salary`, color, dashed: true, values: rows.map(row => row.actualSalary) }
+        ];
+    });
+    const showDifference = projections.length === 2;
+
+    if (projections.length === 0) {
+        return <div className="bg-white rounded-lg shadow-lg p-6 text-gray-600">Pick players in the cards view to compare them side by side.</div>;
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <h3 className="text-lg font-bold text-gray-800 mb-1">Projected Value vs. Actual Salary</h3>
+            <p className="text-xs text-gray-500 mb-2">Solid lines are projected value, dashed lines actual salary ($M).</p>
+            <LineChart labels={labels} series={series} formatTick={v => `$${v.toFixed(0)}M`} height={200} />
+
+            <div className="overflow-x-auto mt-6">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="border-b border-blue-200">
+                            <th></th>
+                            {projections.map((projection, idx) => (
+                                <th key={projection.player.id} className="py-2 px-2 text-right whitespace-nowrap" style={{ color: COMPARE_COLORS[idx % COMPARE_COLORS.length] }}>
+                                    {projection.player.name}
+                                    <div className="text-xs font-normal text-gray-500">
+                                        {normalizeTeam(projection.player.team)} · {projection.games} gp × {projection.minutes} min
+                                    </div>
+                                </th>
+                            ))}
+                            {showDifference && <th className="py-2 px-2 text-right text-gray-500">Difference</th>}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {getCompareRows().map((row, rowIdx) => {
+                            if (row.section) {
+                                return (
+                                    <tr key={rowIdx}>
+                                        <td colSpan={projections.length + 2} className="pt-3 pb-1 px-2 text-xs font-bold text-blue-800 uppercase tracking-wider">{row.section}</td>
+                                    </tr>
+                                );
+                            }
+                            const values = projections.map(row.get);
+                            const numbers = values.filter(v => typeof v === 'number');
+                            const best = row.better && numbers.length > 1 && new Set(numbers).size > 1
+                                ? (row.better === 'high' ? Math.max(...numbers) : Math.min(...numbers))
+                                : null;
+                            const differs = new Set(values.map(String)).size > 1;
+                            return (
+                                <tr key={rowIdx} className={`border-b border-gray-100 ${differs ? '' : 'text-gray-400'}`}>
+                                    <td className="py-1 px-2 text-gray-600 whitespace-nowrap">{row.label}</td>
+                                    {values.map((value, idx) => (
+                                        <td key={idx} className={`py-1 px-2 text-right whitespace-nowrap ${value === best ? 'bg-green-50 font-bold text-green-700' : ''}`}>
+                                            {value === null ? <span className="text-gray-400">Free Agent</span> : row.format ? row.format(value) : value}
+                                        </td>
+                                    ))}
+                                    {showDifference && (
+                                        <td className="py-1 px-2 text-right whitespace-nowrap text-gray-500">
+                                            {row.format && numbers.length === 2 ? formatSigned(values[0] - values[1]) : ''}
+                                        </td>
+                                    )}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">The best value in each ranked row is highlighted; rows where every player matches are greyed out.{showDifference && ' Difference is the first player minus the second.'}</p>
+        </div>
+    );
+};
+
+// --- Depth Charts ---
+const {
+    ROTATION_SIZE, STARTERS, GAME_MINUTES, createDepthChart, moveToSlot, getGameMinutes,
+    balanceMinutes, getPlayerMinutes, getDepthAllocations, getTeamDepthChart
+} = SalaryDepth;
+
+const DEPTH_CHARTS_STORAGE_KEY = 'nbasalarymodel.depthCharts';
+
+const DepthChartView = ({ players, depthCharts, onChange, onReset, isEdited }) => {
+    const [team, setTeam] = useState(TEAMS[0]);
+    const [showFuture, setShowFuture] = useState(false);
+    const [dragging, setDragging] = useState(null);
+    const roster = useMemo(() => getRoster(players, team), [players, team]);
+    const playersById = new Map(roster.map(p => [p.id, p]));
+    const chart = depthCharts[team];
+    const rotation = chart.rotation.filter(id => playersById.has(id));
+    const bench = roster.filter(p => !rotation.includes(p.id)).sort((a, b) => b.darko - a.darko);
+    const gameMinutes = getGameMinutes(chart);
+
+    const update = (next) => onChange(team, next);
+    const drop = (slot) => {
+        if (dragging !== null) update(moveToSlot(chart, dragging, slot));
+        setDragging(null);
+    };
+    const updateMinutes = (id, value) => {
+        const minutes = Math.min(48, Math.max(0, parseFloat(value) || 0));
+        update({ ...chart, minutes: { ...chart.minutes, [id]: minutes } });
+    };
+    const updateSeasonMinutes = (id, season, value) => {
+        const seasons = { ...chart.seasonMinutes[id] };
+        if (value === '') delete seasons[season];
+        else seasons[season] = Math.min(48, Math.max(0, parseFloat(value) || 0));
+        update({ ...chart, seasonMinutes: { ...chart.seasonMinutes, [id]: seasons } });
+    };
+
+    // Every team's chart as JSON, for `value-league.js --depth-charts`
+    const exportCharts = () => downloadFile('depth-charts.json', JSON.stringify(depthCharts, null, 2), 'application/json');
+
+    const dropProps = (slot) => ({
+        onDragOver: (e) => e.preventDefault(),
+        onDrop: (e) => { e.preventDefault(); drop(slot); }
+    });
+    const dragProps = (id) => ({
+        draggable: true,
+        onDragStart: (e) => { e.dataTransfer.effectAllowed = 'move'; setDragging(id); },
+        onDragEnd: () => setDragging(null)
+    });
+
+    const futureInputs = (player) => showFuture && (
+        <div className="flex flex-wrap gap-2 mt-1 ml-6">
+            {FUTURE_SEASONS.map(season => (
+                <label key={season} className="text-xs text-gray-500">
+                    {season.slice(2)}{' '}
+                    <input
+                        type="number" min="0" max="48" step="1"
+                        value={chart.seasonMinutes[player.id]?.[season] ?? ''}
+                        placeholder={Math.round(chart.minutes[player.id] || 0)}
+                        onChange={(e) => updateSeasonMinutes(player.id, season, e.target.value)}
+                        className="w-14 p-0.5 border border-gray-300 rounded text-right"
+                    />
+                </label>
+            ))}
+        </div>
+    );
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Team</label>
+                    <select value={team} onChange={(e) => setTeam(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                        {TEAMS.map(code => <option key={code} value={code}>{code}</option>)}
+                    </select>
+                </div>
+                <span className={`text-sm font-medium ${Math.abs(gameMinutes - GAME_MINUTES) < 0.5 ? 'text-green-600' : 'text-red-600'}`}>
+                    {Math.round(gameMinutes)} / {GAME_MINUTES} min per game
+                </span>
+                <div className="ml-auto flex flex-wrap gap-2 text-sm">
+                    <label className="inline-flex items-center gap-2 cursor-pointer">
+                        <input type="checkbox" checked={showFuture} onChange={(e) => setShowFuture(e.target.checked)} />
+                        Future-season minutes
+                    </label>
+                    <button onClick={() => update(balanceMinutes(chart))} className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50">
+                        Balance to {GAME_MINUTES}
+                    </button>
+                    <button onClick={() => onReset(team)} disabled={!isEdited(team)} className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50 disabled:opacity-40">
+                        Suggest by DARKO
+                    </button>
+                    <button onClick={exportCharts} className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50">
+                        Export JSON
+                    </button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div>
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">Rotation</h3>
+                    {Array.from({ length: ROTATION_SIZE }, (_, slot) => {
+                        const player = playersById.get(rotation[slot]);
+                        return (
+                            <div key={slot} {...dropProps(slot)} className={`mb-1 ${slot === STARTERS ? 'mt-3' : ''}`}>
+                                <div className={`flex items-center gap-2 px-2 py-1 rounded border ${player ? 'border-gray-200 bg-blue-50' : 'border-dashed border-gray-300'}`}>
+                                    <span className="w-6 text-xs text-gray-400">{slot < STARTERS ? `S${slot + 1}` : slot + 1}</span>
+                                    {player ? (
+                                        <>
+                                            <span {...dragProps(player.id)} className="flex-1 cursor-move truncate text-sm">
+                                                {player.name} <span className="text-xs text-gray-500">{getPositionLabel(player.pos)} · {player.darko.toFixed(1)}</span>
+                                            </span>
+                                            <input
+                                                type="number" min="0" max="48" step="0.5"
+                                                value={Math.round((chart.minutes[player.id] || 0) * 10) / 10}
+                                                onChange={(e) => updateMinutes(player.id, e.target.value)}
+                                                onBlur={() => update(balanceMinutes(chart, player.id))}
+                                                className="w-16 p-1 border border-gray-300 rounded text-right text-sm"
+                                                title="Minutes per game; the rest of the rotation rebalances when you leave the field"
+                                            />
+                                            <button onClick={() => update(moveToSlot(chart, player.id, slot - 1))} disabled={slot === 0} className="text-gray-500 disabled:opacity-30" title="Move up">▲</button>
+                                            <button onClick={() => update(moveToSlot(chart, player.id, slot + 1))} disabled={slot === rotation.length - 1} className="text-gray-500 disabled:opacity-30" title="Move down">▼</button>
+                                            <button onClick={() => update(moveToSlot(chart, player.id, null))} className="text-red-500" title="Remove from rotation">✕</button>
+                                        </>
+                                    ) : (
+                                        <span className="text-xs text-gray-400">Drag a player here</span>
+                                    )}
+                                </div>
+                                {player && futureInputs(player)}
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div {...dropProps(null)}>
+                    <h3 className="text-lg font-bold text-gray-800 mb-2">Out of the Rotation</h3>
+                    {bench.map(player => (
+                        <div key={player.id} className="mb-1">
+                            <div className="flex items-center gap-2 px-2 py-1 rounded border border-gray-200">
+                                <span {...dragProps(player.id)} className="flex-1 cursor-move truncate text-sm">
+                                    {player.name} <span className="text-xs text-gray-500">{getPositionLabel(player.pos)} · {player.darko.toFixed(1)}</span>
+                                </span>
+                                <button
+                                    onClick={() => update(moveToSlot(chart, player.id, rotation.length))}
+                                    disabled={rotation.length >= ROTATION_SIZE}
+                                    className="text-blue-600 disabled:opacity-30"
+                                    title="Add to the end of the rotation"
+                                >
+                                    <Plus size={16} />
+                                </button>
+                            </div>
+                            {futureInputs(player)}
+                        </div>
+                    ))}
+                    {bench.length === 0 && <p className="text-sm text-gray-500">Everyone is in the rotation.</p>}
+                </div>
+            </div>
+
+            <p className="text-xs text-gray-500 mt-4">
+                Drag players into rotation slots (or use the arrows). Minutes are suggested by slot from DARKO rank order and always rebalance to {GAME_MINUTES} a game (48 × 5); a minutes edit keeps your number and rescales everyone else.
+                Future-season minutes default to this season's; fill them in for roles expected to change, like a rookie growing into the rotation.
+                With <strong>Minutes from team depth charts</strong> on, these minutes feed the comparison cards, leaderboard, trade machine and team payroll.
+            </p>
+        </div>
+    );
+};
+
+// --- Draft Picks ---
+const { DRAFT_YEARS, FIRST_ROUND_PICKS, ROOKIE_MINUTES_GROWTH, createDraftPicks, createPickPlayer, getPickOptions, valuePick } = SalaryPicks;
+
+// Every first-round pick of the modeled drafts, searchable like players
+const DRAFT_PICKS = createDraftPicks();
+
+// Modeled value over the seasons a pick is on its rookie-scale deal
+const getRookieDealValue = (projection) => projection.seasons
+    .filter(row => row.contractSalary !== null)
+    .reduce((sum, row) => sum + row.value, 0);
+
+const getRookieDealSalary = (player) => Object.values(player.futureSalaries).reduce((sum, salary) => sum + salary, 0);
+
+const DraftPicksView = ({ options, onSelectPlayer }) => {
+    const [draftYear, setDraftYear] = useState(DRAFT_YEARS[0]);
+    const picks = useMemo(
+        () => Array.from({ length: FIRST_ROUND_PICKS }, (_, idx) => valuePick(idx + 1, draftYear, options)),
+        [draftYear, options]
+    );
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap items-end gap-4 mb-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Draft</label>
+                    <select value={draftYear} onChange={(e) => setDraftYear(Number(e.target.value))} className="p-2 border border-gray-300 rounded-lg">
+                        {DRAFT_YEARS.map(year => <option key={year} value={year}>{year}</option>)}
+                    </select>
+                </div>
+                <div className="text-sm text-gray-600">First-round picks on rookie-scale deals, 70 games at expected minutes</div>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-xs font-bold text-blue-800 uppercase tracking-wider border-b border-blue-200">
+                            <th className="py-2 px-2 text-left">Pick</th>
+                            <th className="py-2 px-2 text-right">Rookie DARKO</th>
+                            <th className="py-2 px-2 text-right">Rookie MPG</th>
+                            <th className="py-2 px-2 text-right">Rookie Deal Salary</th>
+                            <th className="py-2 px-2 text-right">Rookie Deal Value</th>
+                            <th className="py-2 px-2 text-right">Total Surplus</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {picks.map(projection => {
+                            const { player } = projection;
+                            return (
+                                <tr key={player.id} className="border-b border-gray-100">
+                                    <td className="py-2 px-2 font-medium whitespace-nowrap">
+                                        <button onClick={() => onSelectPlayer(player)} className="hover:text-blue-600 hover:underline">{player.name}</button>
+                                    </td>
+                                    <td className="py-2 px-2 text-right">{player.expectedDarko.toFixed(1)}</td>
+                                    <td className="py-2 px-2 text-right">{Math.round(player.expectedMinutes)}</td>
+                                    <td className="py-2 px-2 text-right text-gray-700">${getRookieDealSalary(player).toFixed(1)}M</td>
+                                    <td className="py-2 px-2 text-right font-bold text-blue-700">${getRookieDealValue(projection).toFixed(1)}M</td>
+                                    <td className="py-2 px-2 text-right">{formatSurplus(projection.totalSurplus)}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+                Each pick starts from a typical rookie DARKO and minutes for its slot, then follows the aging curve, gaining {ROOKIE_MINUTES_GROWTH} minutes a game each season.
+                Years 3 and 4 of the rookie scale are team options. Seasons before the draft and after the rookie deal don't count toward surplus.
+            </p>
+        </div>
+    );
+};
+
+// Picks a team owns, added to its payroll totals. `picks` is [{ pick, draftYear }].
+const TeamPicks = ({ picks, projections, onChange }) => {
+    const [draftYear, setDraftYear] = useState(DRAFT_YEARS[0]);
+    const [pick, setPick] = useState(15);
+
+    const addPick = () => {
+        if (picks.some(p => p.pick === pick && p.draftYear === draftYear)) return;
+        onChange([...picks, { pick, draftYear }]);
+    };
+
+    return (
+        <div className="bg-white rounded-lg shadow-lg p-6">
+            <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                <h3 className="text-lg font-bold text-gray-800">Draft Picks</h3>
+                <div className="flex items-center gap-2 text-sm">
+                    <select value={draftYear} onChange={(e) => setDraftYear(Number(e.target.value))} className="p-1 border border-gray-300 rounded">
+                        {DRAFT_YEARS.map(year => <option key={year} value={year}>{year}</option>)}
+                    </select>
+                    <span>#</span>
+                    <input
+                        type="number" min="1" max={FIRST_ROUND_PICKS} value={pick}
+                        onChange={(e) => setPick(Math.min(FIRST_ROUND_PICKS, Math.max(1, parseInt(e.target.value) || 1)))}
+                        className="w-16 p-1 border border-gray-300 rounded text-right"
+                    />
+                    <button onClick={addPick} className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50">Add pick</button>
+                </div>
+            </div>
+            {projections.length === 0 ? (
+                <p className="text-sm text-gray-500">No picks added. Picks added here count toward the payroll totals above.</p>
+            ) : (
+                <table className="w-full text-sm">
+                    <tbody>
+                        {projections.map((projection, idx) => (
+                            <tr key={projection.player.id} className="border-b border-gray-100">
+                                <td className="py-2 px-2 font-medium">{projection.player.name}</td>
+                                <td className="py-2 px-2 text-right text-gray-700">${getRookieDealSalary(projection.player).toFixed(1)}M salary</td>
+                                <td className="py-2 px-2 text-right font-bold text-blue-700">${getRookieDealValue(projection).toFixed(1)}M value</td>
+                                <td className="py-2 px-2 text-right">{formatSurplus(projection.totalSurplus)}</td>
+                                <td className="py-2 px-2 text-right">
+                                    <button onClick={() => onChange(picks.filter((_, i) => i !== idx))} className="text-gray-400 hover:text-red-600" title="Remove pick">✕</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+// --- Adjustment Components ---
+const {
+    ADJUSTMENT_COMPONENTS, DEFAULT_COMPONENT_SETTINGS, parseAdjustmentInputs, getAdjustmentBreakdown, getComponentAdjustment
+} = SalaryAdjustments;
+
+const ADJUSTMENT_INPUTS_STORAGE_KEY = 'nbasalarymodel.adjustmentInputs';
+const COMPONENT_SETTINGS_STORAGE_KEY = 'nbasalarymodel.componentSettings';
+
+// Editable settings per component, besides `enabled`: [field, label, step]
+const COMPONENT_SETTING_FIELDS = {
+    pigeon: [
+        ['baseline', 'No penalty up to (% targeted)', '0.5'],
+        ['penalty', 'DARKO penalty per point above', '0.01'],
+        ['maxPenalty', 'Largest penalty (DARKO)', '0.1']
+    ]
+};
+
+// e.g. "Defensive targeting (14.0%): -0.4"
+const describeAdjustment = ({ label, input, delta }) => `${label} (${input.toFixed(1)}%): ${delta > 0 ? '+' : ''}${delta.toFixed(1)}`;
+
+// Loaded inputs: { source, players: { [id]: { [component]: number } }, unmatched: [name] }
+const EMPTY_ADJUSTMENT_INPUTS = { source: null, players: {}, unmatched: [] };
+
+const AdjustmentsPanel = ({ settings, onSettingsChange, inputs, onInputsChange }) => {
+    const [error, setError] = useState(null);
+
+    const loadFile = (file) => {
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const rows = SalaryCsv.parseCsv(reader.result);
+            const { inputs: players, unmatched } = parseAdjustmentInputs(rows, PLAYER_DATA);
+            if (Object.keys(players).length === 0) {
+                setError(`No players in ${file.name} matched, or it has no ${Object.values(ADJUSTMENT_COMPONENTS).map(c => c.columns[0]).join('/')} column.`);
+                return;
+            }
+            setError(null);
+            onInputsChange({ source: file.name, players, unmatched });
+        };
+        reader.readAsText(file);
+    };
+
+    const updateSetting = (key, field, value) => onSettingsChange({ ...settings, [key]: { ...settings[key], [field]: value } });
+    const loaded = Object.keys(inputs.players).length;
+
+    return (
+        <div className="bg-white rounded-lg shadow p-4 mb-6 text-sm">
+            {Object.entries(ADJUSTMENT_COMPONENTS).map(([key, component]) => (
+                <div key={key}>
+                    <label className="inline-flex items-center gap-2 cursor-pointer font-semibold text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={settings[key].enabled}
+                            onChange={(e) => updateSetting(key, 'enabled', e.target.checked)}
+                        />
+                        {component.label} penalty
+                        <span className="font-normal text-gray-500">({component.unit}, from a CSV with id or name and a {component.columns[0]} column)</span>
+                    </label>
+                    {settings[key].enabled && (
+                        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-2">
+                            {COMPONENT_SETTING_FIELDS[key].map(([field, label, step]) => (
+                                <label key={field} className="flex justify-between items-center gap-2">
+                                    <span>{label}</span>
+                                    <input
+                                        type="number" step={step} min="0"
+                                        value={settings[key][field]}
+                                        onChange={(e) => updateSetting(key, field, parseFloat(e.target.value) || 0)}
+                                        className={`w-20 p-1 border rounded text-right text-sm ${settings[key][field] !== DEFAULT_COMPONENT_SETTINGS[key][field] ? 'border-blue-500 bg-blue-50' : 'border-gray-300'}`}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+            <div className="mt-3 flex flex-wrap items-center gap-3">
+                <label className="px-3 py-1 rounded border border-gray-300 hover:bg-blue-50 cursor-pointer">
+                    Load CSV
+                    <input type="file" accept=".csv,text/csv" className="hidden" onChange={(e) => { loadFile(e.target.files[0]); e.target.value = ''; }} />
+                </label>
+                {loaded > 0 ? (
+                    <>
+                        <span className="text-gray-600">
+                            {loaded} players from {inputs.source}
+                            {inputs.unmatched.length > 0 && <span className="text-amber-700"> ({inputs.unmatched.length} rows matched no player)</span>}
+                        </span>
+                        <button onClick={() => onInputsChange(EMPTY_ADJUSTMENT_INPUTS)} className="text-xs text-gray-500 hover:text-red-600">Clear</button>
+                    </>
+                ) : (
+                    <span className="text-gray-500">No adjustment data loaded</span>
+                )}
+                {error && <span className="text-red-600">{error}</span>}
+            </div>
+        </div>
+    );
+};
+
+// --- Player Search ---
+const { searchPlayers } = SalarySearch;
+
+const SEARCH_RESULT_LIMIT = 10;
+
+// Players and draft picks for a search box: { results, more, errors }
+const getSearchResults = (players, searchTerm) => {
+    const { results, errors } = searchPlayers([...players, ...DRAFT_PICKS], searchTerm, TEAMS);
+    return {
+        results: results.slice(0, SEARCH_RESULT_LIMIT).map(result => result.player),
+        more: Math.max(0, results.length - SEARCH_RESULT_LIMIT),
+        errors
+    };
+};
+
+// "OKC · C · 23.7 · DARKO 3.6", or the rookie season for a draft pick
+const describeSearchResult = (player) => player.isPick
+    ? `Draft pick · rookie season ${player.rookieSeason} · expected DARKO ${player.expectedDarko.toFixed(1)}`
+    : [normalizeTeam(player.team), getPositionLabel(player.pos), player.age.toFixed(1), `DARKO ${player.darko.toFixed(1)}`].filter(Boolean).join(' · ');
+
+// --- Export ---
+const { createExportRecord, formatExportCsv, formatExportJson, formatReport } = SalaryExport;
+
+const EXPORT_FORMATS = [['csv', 'CSV'], ['json', 'JSON'], ['report', 'Report']];
+
+const downloadFile = (filename, text, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking straight after click() can cancel the download (Firefox), so wait a moment
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// "Nikola Jokić" -> "nikola-jokic"
+const toFilename = (name) => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// The report opens in a new tab to print or save as PDF; it downloads as HTML
+// when pop-ups are blocked
+const openReport = (filename, html) => {
+    const win = window.open('', '_blank');
+    if (!win) {
+        downloadFile(`${filename}.html`, html, 'text/html');
+        return;
+    }
+    win.document.write(html);
+    win.document.close();
+};
+
+// `meta` goes into the JSON as is; `settings` are the report's assumption rows
+const exportRecords = (format, filename, records, meta, settings) => {
+    if (format === 'csv') downloadFile(`${filename}.csv`, formatExportCsv(records), 'text/csv');
+    if (format === 'json') downloadFile(`${filename}.json`, formatExportJson(records, meta), 'application/json');
+    if (format === 'report') openReport(filename, formatReport(records, { snapshotDate: meta.snapshotDate, generatedAt: meta.generatedAt, settings }));
+};
+
+const ExportButtons = ({ label, onExport, disabled }) => (
+    <div className="flex items-center gap-1 text-xs">
+        {label && <span className="text-gray-500 mr-1">{label}</span>}
+        {EXPORT_FORMATS.map(([format, text]) => (
+            <button
+                key={format}
+                onClick={() => onExport(format)}
+                disabled={disabled}
+                className="px-2 py-0.5 border border-gray-300 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+            >
+                {text}
+            </button>
+        ))}
+    </div>
+);
+
+const NBASalaryCalculator = () => {
+    const [view, setView] = useState('comparisons');
+    const [modelOptions, setModelOptions] = useState(DEFAULT_MODEL_OPTIONS);
+    const [assumptions, setAssumptions] = useState(DEFAULT_ASSUMPTIONS);
+    const [scenarios, setScenarios] = useState(() => loadStored(SCENARIOS_STORAGE_KEY, []));
+    const [snapshotDate, setSnapshotDate] = useState(DATA_SNAPSHOT_DATE);
+    const [simulation, setSimulation] = useState({ enabled: false, ...DEFAULT_SIMULATION });
+
+    // Players as of the chosen DARKO snapshot, valued by every view
+    const players = useMemo(() => getPlayersAsOf(snapshotDate), [snapshotDate]);
+    const playersById = useMemo(() => new Map(players.map(p => [p.id, p])), [players]);
+    const isHistorical = snapshotDate !== DATA_SNAPSHOT_DATE;
+
+    // Model toggles plus the active assumptions, shared by every view
+    const projectionOptions = useMemo(() => ({ ...modelOptions, assumptions }), [modelOptions, assumptions]);
+
+    // Edited depth charts are saved; every other team uses the suggested chart
+    const [savedDepthCharts, setSavedDepthCharts] = useState(() => loadStored(DEPTH_CHARTS_STORAGE_KEY, {}));
+    const [useDepthCharts, setUseDepthCharts] = useState(true);
+    const depthCharts = useMemo(
+        () => Object.fromEntries(TEAMS.map(team => [team, getTeamDepthChart(savedDepthCharts, players, team)])),
+        [savedDepthCharts, players]
+    );
+
+    const updateSavedDepthCharts = (next) => {
+        setSavedDepthCharts(next);
+        saveStored(DEPTH_CHARTS_STORAGE_KEY, next);
+    };
+    const updateDepthChart = (team, chart) => updateSavedDepthCharts({ ...savedDepthCharts, [team]: chart });
+    const resetDepthChart = (team) => {
+        const { [team]: removed, ...rest } = savedDepthCharts;
+        updateSavedDepthCharts(rest);
+    };
+
+    const getDepthMinutes = (player) => {
+        const chart = depthCharts[normalizeTeam(player.team)];
+        return chart ? getPlayerMinutes(chart, player.id) : {};
+    };
+
+    // Extra adjustment components (defensive targeting) and the CSV data behind them
+    const [componentSettings, setComponentSettings] = useState(() => ({
+        ...DEFAULT_COMPONENT_SETTINGS, ...loadStored(COMPONENT_SETTINGS_STORAGE_KEY, {})
+    }));
+    const [adjustmentInputs, setAdjustmentInputs] = useState(() => loadStored(ADJUSTMENT_INPUTS_STORAGE_KEY, EMPTY_ADJUSTMENT_INPUTS));
+    const updateComponentSettings = (next) => {
+        setComponentSettings(next);
+        saveStored(COMPONENT_SETTINGS_STORAGE_KEY, next);
+    };
+    const updateAdjustmentInputs = (next) => {
+        setAdjustmentInputs(next);
+        saveStored(ADJUSTMENT_INPUTS_STORAGE_KEY, next);
+    };
+    // DARKO delta from the enabled components for one player
+    const getAdjustment = useMemo(
+        () => (player) => getComponentAdjustment(player, adjustmentInputs.players, componentSettings),
+        [adjustmentInputs, componentSettings]
+    );
+
+    // projectPlayer options for one player in the league-wide views
+    const getOptions = useMemo(
+        () => (player) => ({
+            ...projectionOptions,
+            ...(useDepthCharts ? getDepthMinutes(player) : {}),
+            adjustment: getAdjustment(player)
+        }),
+        [useDepthCharts, projectionOptions, depthCharts, getAdjustment]
+    );
+    const minutesLabel = useDepthCharts ? '70 games × depth chart minutes' : '70 games × 30 min';
+
+    const getTeamAllocations = (team, roster) => getDepthAllocations(
+        useDepthCharts ? depthCharts[team] : createDepthChart(roster),
+        roster
+    );
+
+    // Games, minutes and DARKO adjustment (the slider plus any adjustment components)
+    // of a comparison card. Draft picks always play their expected minutes.
+    const getCardInputs = (card) => ({
+        games: card.games,
+        minutes: card.minutes,
+        adjustment: card.improvement + getAdjustment(card.selectedPlayer),
+        ...(card.selectedPlayer.isPick
+            ? getPickOptions(card.selectedPlayer)
+            : useDepthCharts && card.depthChart ? getDepthMinutes(card.selectedPlayer) : {})
+    });
+
+    // Export record of a card, noting where its minutes and DARKO adjustment came from
+    const getCardExport = (card) => {
+        const options = { ...getCardInputs(card), ...projectionOptions };
+        return createExportRecord(projectPlayer(card.selectedPlayer, options), options, {
+            minutesSource: card.selectedPlayer.isPick ? 'draft pick' : useDepthCharts && card.depthChart ? 'depth chart' : 'manual',
+            sliderAdjustment: card.improvement,
+            componentAdjustment: Number(getAdjustment(card.selectedPlayer).toFixed(2)),
+            components: getAdjustmentBreakdown(card.selectedPlayer, adjustmentInputs.players, componentSettings)
+        });
+    };
+
+    // Model toggles, assumptions and the DARKO snapshot behind an export
+    const getExportMeta = () => ({
+        generatedAt: new Date().toISOString(),
+        snapshotDate,
+        latestSnapshotDate: DATA_SNAPSHOT_DATE,
+        modelOptions,
+        assumptions,
+        componentSettings
+    });
+
+    // The same settings as [label, value] rows for the report
+    const getReportSettings = () => [
+        ['DARKO snapshot', `${formatSnapshotDate(snapshotDate)}${isHistorical ? ` (latest is ${formatSnapshotDate(DATA_SNAPSHOT_DATE)})` : ''}`],
+        ...MODEL_OPTION_FIELDS.map(([field, label]) => [label, modelOptions[field] ? 'On' : 'Off']),
+        ...ASSUMPTION_FIELDS.map(([field, label]) => [label, assumptions[field]]),
+        ...FUTURE_SEASONS.map(season => [`Inflation ${season}`, assumptions.inflationScalers[season]]),
+        ['Depth chart minutes', useDepthCharts ? 'On' : 'Off'],
+        ...Object.entries(ADJUSTMENT_COMPONENTS).map(([key, component]) => [
+            component.label,
+            componentSettings[key].enabled
+                ? COMPONENT_SETTING_FIELDS[key].map(([field, label]) => `${label}: ${componentSettings[key][field]}`).join(' · ')
+                : 'Off'
+        ])
+    ];
+
+    const exportCards = (format, exported, filename) => exportRecords(
+        format, filename, exported.map(getCardExport), getExportMeta(), getReportSettings()
+    );
+
+    const updateScenarios = (next) => {
+        setScenarios(next);
+        saveStored(SCENARIOS_STORAGE_KEY, next);
+    };
+    const [comparisons, setComparisons] = useState(getInitialComparisons);
+    const [layout, setLayout] = useState('cards');
+
+    // The cards with each player as of the chosen DARKO snapshot, and draft picks
+    // rebuilt so their rookie scale follows the active inflation scalers
+    const getCardPlayer = (player) => player.isPick
+        ? createPickPlayer(player.pick, player.draftYear, player.team, assumptions)
+        : playersById.get(player.id) || player;
+    const cards = comparisons.map(card => card.selectedPlayer
+        ? { ...card, selectedPlayer: getCardPlayer(card.selectedPlayer), missingFromSnapshot: !card.selectedPlayer.isPick && !playersById.has(card.selectedPlayer.id) }
+        : card
+    );
+
+    // Keep the last session and the share link in sync with the cards
+    useEffect(() => {
+        const encoded = encodeComparisonCards(comparisons);
+        saveStored(LAST_SESSION_STORAGE_KEY, encoded);
+        try {
+            window.history.replaceState(null, '', `#cards=${encoded}`);
+        } catch (e) {
+            // Some browsers refuse to rewrite a file:// URL; the cards are still saved above
+        }
+    }, [comparisons]);
+
+    const addComparison = () => {
+        setComparisons([...comparisons, createComparison(Date.now())]);
+    };
+
+    // Fills the first empty card, or adds a new one, and switches back to the cards
+    const openInComparison = (player) => {
+        const empty = comparisons.find(c => !c.selectedPlayer);
+        setComparisons(empty
+            ? comparisons.map(c => c.id === empty.id ? createComparison(c.id, player) : c)
+            : [...comparisons, createComparison(Date.now(), player)]);
+        setView('comparisons');
+    };
+
+    const removeComparison = (id) => {
+        if (comparisons.length > 1) {
+            setComparisons(comparisons.filter(c => c.id !== id));
+        }
+    };
+
+    const updateComparison = (id, field, value) => {
+        setComparisons(comparisons.map(c => 
+            c.id === id ? { ...c, [field]: value } : c
+        ));
+    };
+
+    const selectPlayer = (id, player) => {
+        setComparisons(comparisons.map(c => 
+            c.id === id ? { 
+                ...c, 
+                selectedPlayer: player,
+                searchTerm: player.name,
+                showDropdown: false
+            } : c
+        ));
+    };
+
+    // Arrow keys move through the dropdown, Enter picks the highlighted player and
+    // Escape closes it
+    const handleSearchKey = (comp, e) => {
+        if (!comp.showDropdown || comp.selectedPlayer) return;
+        const { results } = getSearchResults(players, comp.searchTerm);
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            updateComparison(comp.id, 'highlight', (comp.highlight + step + results.length) % results.length);
+        } else if (e.key === 'Enter' && results[comp.highlight]) {
+            e.preventDefault();
+            selectPlayer(comp.id, results[comp.highlight]);
+        } else if (e.key === 'Escape') {
+            updateComparison(comp.id, 'showDropdown', false);
+        }
+    };
+
+    return (
+        <div className="max-w-6xl mx-auto p-6 bg-gray-50 min-h-screen">
+            <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                <h1 className="text-3xl font-bold text-gray-800 mb-2">NBA Salary Model</h1>
+                <p className="text-gray-600">Calculate contract value based on <a href="https://apanalytics.shinyapps.io/DARKO/" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700 underline">DARKO</a> and custom minutes projection.</p>
+                <p className="text-xs text-gray-500 mt-2">
+                    Salary model created by <a href="https://bsky.app/profile/stephnoh.bsky.social" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700 underline">Steph Noh</a>. DARKO last updated {formatSnapshotDate(DATA_SNAPSHOT_DATE)}{isHistorical && <span className="font-semibold text-amber-700"> (valuing against the {formatSnapshotDate(snapshotDate)} snapshot)</span>}. Methodology <a href="https://github.com/StephenNoh/nbasalarymodel/blob/main/README.md" target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-700 underline">here</a>.
+                </p>
+            </div>
+
+            <div className="flex flex-wrap gap-2 mb-6">
+                {[['comparisons', 'Player Comparisons'], ['leaderboard', 'League Leaderboard'], ['team', 'Team Payroll'], ['trade', 'Trade Machine'], ['depth', 'Depth Charts'], ['picks', 'Draft Picks'], ['history', 'DARKO History']].map(([key, label]) => (
+                    <button
+                        key={key}
+                        onClick={() => setView(key)}
+                        className={`px-4 py-2 rounded-lg font-medium shadow ${view === key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-blue-50'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap items-center gap-x-6 gap-y-2 text-sm">
+                <span className="font-semibold text-gray-700">Model options</span>
+                {MODEL_OPTION_FIELDS.map(([field, label]) => (
+                    <label key={field} className="inline-flex items-center gap-2 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={modelOptions[field]}
+                            onChange={(e) => setModelOptions({ ...modelOptions, [field]: e.target.checked })}
+                        />
+                        {label}
+                    </label>
+                ))}
+                <label className="inline-flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" checked={useDepthCharts} onChange={(e) => setUseDepthCharts(e.target.checked)} />
+                    Minutes from team depth charts
+                </label>
+                {SNAPSHOTS.length > 1 && (
+                    <label className="inline-flex items-center gap-2 ml-auto">
+                        DARKO snapshot
+                        <select value={snapshotDate} onChange={(e) => setSnapshotDate(e.target.value)} className="p-1 border border-gray-300 rounded text-sm">
+                            {SNAPSHOTS.map(s => (
+                                <option key={s.date} value={s.date}>{formatSnapshotDate(s.date)}{s.date === DATA_SNAPSHOT_DATE ? ' (latest)' : ''}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+            </div>
+
+            <AssumptionsPanel
+                assumptions={assumptions}
+                onChange={setAssumptions}
+                scenarios={scenarios}
+                onScenariosChange={updateScenarios}
+            />
+
+            <AdjustmentsPanel
+                settings={componentSettings}
+                onSettingsChange={updateComponentSettings}
+                inputs={adjustmentInputs}
+                onInputsChange={updateAdjustmentInputs}
+            />
+
+            {view === 'comparisons' && <SimulationPanel simulation={simulation} onChange={setSimulation} />}
+
+            {view === 'leaderboard' && <Leaderboard players={players} getOptions={getOptions} minutesLabel={minutesLabel} onSelectPlayer={openInComparison} />}
+
+            {view === 'team' && <TeamView players={players} modelOptions={projectionOptions} getAllocations={getTeamAllocations} getAdjustment={getAdjustment} onSelectPlayer={openInComparison} />}
+
+            {view === 'trade' && <TradeMachine players={players} getOptions={getOptions} />}
+
+            {view === 'depth' && (
+                <DepthChartView
+                    players={players}
+                    depthCharts={depthCharts}
+                    onChange={updateDepthChart}
+                    onReset={resetDepthChart}
+                    isEdited={(team) => Boolean(savedDepthCharts[team])}
+                />
+            )}
+
+            {view === 'picks' && <DraftPicksView options={projectionOptions} onSelectPlayer={openInComparison} />}
+
+            {view === 'history' && <HistoryView getOptions={getOptions} minutesLabel={minutesLabel} onSelectPlayer={openInComparison} />}
+
+            {view === 'comparisons' && (
+                <>
+                <SessionsPanel
+                    comparisons={comparisons}
+                    onOpen={(restored) => setComparisons(restored.length > 0 ? restored : [createComparison(1)])}
+                />
+
+                <div className="flex gap-2 mb-4">
+                    {[['cards', 'Cards'], ['columns', 'Side by side']].map(([key, label]) => (
+                        <button
+                            key={key}
+                            onClick={() => setLayout(key)}
+                            className={`px-3 py-1 rounded text-sm font-medium ${layout === key ? 'bg-blue-100 text-blue-800' : 'bg-white text-gray-600 hover:bg-blue-50'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                    <div className="ml-auto">
+                        <ExportButtons
+                            label="Export all:"
+                            disabled={!cards.some(card => card.selectedPlayer)}
+                            onExport={(format) => exportCards(format, cards.filter(card => card.selectedPlayer), 'comparison')}
+                        />
+                    </div>
+                </div>
+
+                {layout === 'columns' && (
+                    <SideBySide
+                        projections={cards.filter(card => card.selectedPlayer).map(card => projectPlayer(card.selectedPlayer, {
+                            ...getCardInputs(card),
+                            ...projectionOptions
+                        }))}
+                    />
+                )}
+
+                {layout === 'cards' && (
+                <>
+                <div className="player-grid">
+                    {cards.map((comp, index) => (
+                        <div key={comp.id} className="bg-white rounded-lg shadow-lg p-6">
+                            <div className="flex justify-between items-center mb-4">
+                                <h2 className="text-lg font-semibold text-gray-700">Player {index + 1}</h2>
+                                <div className="flex items-center gap-3">
+                                    {comp.selectedPlayer && (
+                                        <ExportButtons onExport={(format) => exportCards(format, [comp], toFilename(comp.selectedPlayer.name))} />
+                                    )}
+                                    {comparisons.length > 1 && (
+                                        <button 
+                                            onClick={() => removeComparison(comp.id)}
+                                            className="text-red-500 hover:text-red-700"
+                                        >
+                                            <Trash2 size={20} />
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            <div className="mb-4 relative">
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Player Name</label>
+                                <div className="relative">
+                                    <input
+                                        type="text"
+                                        value={comp.searchTerm}
+                                        onChange={(e) => {
+                                            setComparisons(comparisons.map(c => 
+                                                c.id === comp.id ? { 
+                                                    ...c, 
+                                                    searchTerm: e.target.value,
+                                                    showDropdown: true,
+                                                    highlight: 0,
+                                                    selectedPlayer: null
+                                                } : c
+                                            ));
+                                        }}
+                                        onFocus={() => updateComparison(comp.id, 'showDropdown', true)}
+                                        onKeyDown={(e) => handleSearchKey(comp, e)}
+                                        placeholder="Name, nickname or filters like team:OKC pos:c age:<25"
+                                        className="w-full p-2 pl-10 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    />
+                                    <div className="absolute left-3 top-2.5 text-gray-400">
+                                        <Search size={20} />
+                                    </div>
+                                </div>
+
+                                {comp.showDropdown && comp.searchTerm && !comp.selectedPlayer && (() => {
+                                    const { results, more, errors } = getSearchResults(players, comp.searchTerm);
+                                    return (
+                                        <div className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+                                            {results.map((player, idx) => (
+                                                <button
+                                                    key={player.id}
+                                                    onClick={() => selectPlayer(comp.id, player)}
+                                                    onMouseEnter={() => updateComparison(comp.id, 'highlight', idx)}
+                                                    className={`w-full text-left px-4 py-2 border-b border-gray-100 ${idx === comp.highlight ? 'bg-blue-50' : ''}`}
+                                                >
+                                                    <div className="font-medium">{player.name}</div>
+                                                    <div className="text-sm text-gray-500">{describeSearchResult(player)}</div>
+                                                </button>
+                                            ))}
+                                            {results.length === 0 && (
+                                                <div className="px-4 py-2 text-gray-500">No players found</div>
+                                            )}
+                                            {more > 0 && (
+                                                <div className="px-4 py-2 text-xs text-gray-500">{more} more; add a filter or more of the name to narrow it down</div>
+                                            )}
+                                            {errors.map(error => (
+                                                <div key={error} className="px-4 py-2 text-xs text-red-600">{error}</div>
+                                            ))}
+                                        </div>
+                                    );
+                                })()}
+                            </div>
+
+                            {comp.selectedPlayer && (
+                                <>
+                                    <div className="mb-4">
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">Estimate games played (1-82): {comp.games}</label>
+                                        <input
+                                            type="range" min="1" max="82"
+                                            value={comp.games}
+                                            onChange={(e) => updateComparison(comp.id, 'games', parseInt(e.target.value))}
+                                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                                        />
+                                    </div>
+
+                                    {comp.selectedPlayer.isPick ? (
+                                        <div className="mb-4 text-sm">
+                                            <div className="font-medium text-gray-700">
+                                                Minutes per game: {Math.round(comp.selectedPlayer.expectedMinutes)} <span className="font-normal text-gray-500">as a rookie in {comp.selectedPlayer.rookieSeason}</span>
+                                            </div>
+                                            <div className="text-xs text-gray-500">Typical for the slot, then +{ROOKIE_MINUTES_GROWTH} a season</div>
+                                        </div>
+                                    ) : useDepthCharts && comp.depthChart ? (() => {
+                                        const { minutes, seasonMinutes } = getDepthMinutes(comp.selectedPlayer);
+                                        const changes = FUTURE_SEASONS.filter(season => seasonMinutes[season] !== minutes);
+                                        return (
+                                            <div className="mb-4 text-sm">
+                                                <div className="font-medium text-gray-700">
+                                                    Minutes per game: {minutes.toFixed(1)} <span className="font-normal text-gray-500">from the {normalizeTeam(comp.selectedPlayer.team)} depth chart</span>
+                                                </div>
+                                                {changes.length > 0 && (
+                                                    <div className="text-xs text-gray-500">{changes.map(season => `${season}: ${seasonMinutes[season].toFixed(1)}`).join(' · ')}</div>
+                                                )}
+                                                <button
+                                                    onClick={() => setComparisons(comparisons.map(c => c.id === comp.id ? { ...c, depthChart: false, minutes: Math.round(minutes) } : c))}
+                                                    className="text-xs text-blue-600 hover:underline"
+                                                >
+                                                    Set minutes manually
+                                                </button>
+                                            </div>
+                                        );
+                                    })() : (
+                                        <div className="mb-4">
+                                            <label className="block text-sm font-medium text-gray-700 mb-2">Estimate minutes per game (0-48): {comp.minutes}</label>
+                                            <input
+                                                type="range" min="0" max="48"
+                                                value={comp.minutes}
+                                                onChange={(e) => updateComparison(comp.id, 'minutes', parseInt(e.target.value))}
+                                                className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                                            />
+                                            {useDepthCharts && (
+                                                <button onClick={() => updateComparison(comp.id, 'depthChart', true)} className="text-xs text-blue-600 hover:underline">
+                                                    Use the {normalizeTeam(comp.selectedPlayer.team)} depth chart minutes
+                                                </button>
+                                            )}
+                                        </div>
+                                    )}
+
+                                    <div className="mb-6">
+                                        <label className="block text-sm font-medium text-gray-700 mb-2">I know ball better than DARKO. I'm going to adjust DARKO by: {comp.improvement > 0 ? '+' : ''}{comp.improvement}</label>
+                                        <input
+                                            type="range" min="-5" max="5" step="0.1"
+                                            value={comp.improvement}
+                                            onChange={(e) => updateComparison(comp.id, 'improvement', parseFloat(e.target.value))}
+                                            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+                                        />
+                                        <div className="mt-3 p-2 bg-gray-100 rounded text-sm">
+                                            {comp.selectedPlayer.isPick ? (
+                                                <>
+                                                    <div>Expected rookie DARKO: <span className="font-semibold">{comp.selectedPlayer.expectedDarko.toFixed(1)}</span> ({getDarkoLabel(comp.selectedPlayer.expectedDarko)})</div>
+                                                    <div>Adjusted DARKO: <span className="font-semibold">{(comp.selectedPlayer.expectedDarko + comp.improvement).toFixed(1)}</span> ({getDarkoLabel(comp.selectedPlayer.expectedDarko + comp.improvement)})</div>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <div>Actual DARKO: <span className="font-semibold">{comp.selectedPlayer.darko.toFixed(1)}</span> ({getDarkoLabel(comp.selectedPlayer.darko)})</div>
+                                                    {getAdjustmentBreakdown(comp.selectedPlayer, adjustmentInputs.players, componentSettings).map(item => (
+                                                        <div key={item.key} className="text-amber-800">{describeAdjustment(item)}</div>
+                                                    ))}
+                                                    <div>Adjusted DARKO: <span className="font-semibold">{(comp.selectedPlayer.darko + comp.improvement + getAdjustment(comp.selectedPlayer)).toFixed(1)}</span> ({getDarkoLabel(comp.selectedPlayer.darko + comp.improvement + getAdjustment(comp.selectedPlayer))})</div>
+                                                </>
+                                            )}
+                                            {comp.missingFromSnapshot && (
+                                                <div className="text-xs text-amber-700 mt-1">Not in the {formatSnapshotDate(snapshotDate)} snapshot, so valued on the latest DARKO.</div>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    {(() => {
+                                        const inputs = getCardInputs(comp);
+                                        const projection = projectPlayer(comp.selectedPlayer, { ...inputs, ...projectionOptions });
+                                        const original = isOriginalModel(modelOptions) && isDefaultAssumptions(assumptions)
+                                            ? null
+                                            : projectPlayer(comp.selectedPlayer, inputs);
+                                        const unadjusted = getAdjustment(comp.selectedPlayer) === 0
+                                            ? null
+                                            : projectPlayer(comp.selectedPlayer, { ...inputs, ...projectionOptions, adjustment: comp.improvement });
+                                        const scenarioResults = scenarios.map(scenario => ({
+                                            name: scenario.name,
+                                            projection: projectPlayer(comp.selectedPlayer, { ...inputs, ...modelOptions, assumptions: scenario.assumptions })
+                                        }));
+                                        // The current season, or a draft pick's rookie season
+                                        const rows = getSeasonRows(projection);
+                                        const headline = rows.find(row => row.season === comp.selectedPlayer.rookieSeason) || rows[0];
+                                        const headlineLabel = headline.season.slice(2);
+
+                                        return (
+                                            <div className="bg-blue-50 rounded-lg p-4 border-2 border-blue-200">
+                                                <div className="text-xs font-bold text-blue-800 uppercase tracking-widest mb-2 border-b border-blue-100 pb-1">
+                                                    {comp.selectedPlayer.name}
+                                                </div>
+
+                                                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 divide-y md:divide-y-0 md:divide-x divide-blue-200">
+                                                    <div>
+                                                        <div className="text-sm text-gray-600 mb-1">Projected Value ({headlineLabel})</div>
+                                                        <div className="text-3xl font-bold text-blue-600">
+                                                            {formatValue(headline.value, headline.isMinimum)}
+                                                        </div>
+                                                    </div>
+                                                    <div className="pt-4 md:pt-0 md:pl-4">
+                                                        <div className="text-sm text-gray-600 mb-1">{comp.selectedPlayer.isPick ? 'Rookie Scale' : 'Actual Salary'} ({headlineLabel})</div>
+                                                        <div className="text-3xl font-bold text-gray-700">
+                                                            {headline.actualSalary !== null
+                                                                ? `$${headline.actualSalary.toFixed(1)}M`
+                                                                : "Free Agent"
+                                                            }
+                                                        </div>
+                                                        {headline.surplus !== null && (
+                                                            <div className={`text-sm font-medium mt-1 ${headline.surplus > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                                {headline.surplus > 0 ? '+' : ''}{headline.surplus.toFixed(1)}M surplus
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </div>
+
+                                                <div className="mt-6 border-t pt-4">
+                                                    <h3 className="text-lg font-bold text-gray-800 mb-3">Multi-Year Projections</h3>
+                                                    <div className="grid grid-cols-12 text-xs font-bold text-blue-800 uppercase tracking-wider mb-1 pb-1 border-b border-blue-200">
+                                                        <span className="col-span-4">Season (Age)</span>
+                                                        <span className="col-span-2 text-center">Proj.</span>
+                                                        <span className="col-span-4 text-center">Actual</span>
+                                                        <span className="col-span-2 text-right">Surplus</span>
+                                                    </div>
+                                                    <div className="space-y-0">
+                                                        {projection.seasons.filter(row => row.season > headline.season).map(row => (
+                                                            <div key={row.season} className="grid grid-cols-12 items-center border-b border-blue-100 py-2 last:border-0 gap-0">
+                                                                <span className="col-span-4 text-gray-600 font-medium text-sm whitespace-nowrap">
+                                                                    {row.season} <span className="text-xs opacity-75">({Math.floor(row.age)})</span>
+                                                                </span>
+                                                                <span className="col-span-2 font-bold text-blue-700 text-center text-sm">
+                                                                    {formatValue(row.value, row.isMinimum)}
+                                                                </span>
+                                                                <span className="col-span-4 text-gray-500 italic text-center text-xs whitespace-nowrap">
+                                                                    {row.actualSalary !== null ? `$${row.actualSalary.toFixed(1)}M` : "Free Agent"}
+                                                                </span>
+                                                                <span className="col-span-2 text-right whitespace-nowrap text-sm">
+                                                                    {row.surplus !== null && (
+                                                                        <span className={`font-bold ${row.surplus > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                                            {row.surplus > 0 ? '+' : ''}{row.surplus.toFixed(1)}M
+                                                                        </span>
+                                                                    )}
+                                                                </span>
+                                                                {(row.terms || row.decision) && (
+                                                                    <span className={`col-span-12 text-xs mt-0.5 ${row.decision === 'declined' || row.decision === 'ended' ? 'text-amber-700' : 'text-gray-500'}`}>
+                                                                        {describeContractTerms(row)}
+                                                                        {row.deadMoney > 0 && ` · $${row.deadMoney.toFixed(1)}M dead money`}
+                                                                    </span>
+                                                                )}
+                                                            </div>
+                                                        ))}
+                                                        <div className="mt-2 p-2 bg-blue-50 rounded flex justify-between items-center">
+                                                            <span className="text-xs font-bold text-blue-900 uppercase">Total Contract Surplus</span>
+                                                            <span className={`text-base font-bold ${projection.totalSurplus > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                                {projection.totalSurplus > 0 ? '+' : ''}{projection.totalSurplus.toFixed(1)}M
+                                                            </span>
+                                                        </div>
+                                                        {projection.seasons.some(row => row.decision) && (
+                                                            <div className="mt-2 px-2 text-xs text-gray-600 flex justify-between">
+                                                                <span>{modelOptions.exerciseOptions ? 'Every option exercised' : 'Options exercised rationally'}</span>
+                                                                <span>{formatSurplus(modelOptions.exerciseOptions ? projection.fullTermSurplus : projection.rationalSurplus)}</span>
+                                                            </div>
+                                                        )}
+                                                        {unadjusted && (
+                                                            <div className="mt-2 px-2 text-xs text-gray-600 flex justify-between">
+                                                                <span>Without {getAdjustmentBreakdown(comp.selectedPlayer, adjustmentInputs.players, componentSettings).map(item => item.label.toLowerCase()).join(', ')}: {formatValue(unadjusted.currentValue, unadjusted.isMinimum)} (25-26), {formatSurplus(unadjusted.totalSurplus)} total surplus</span>
+                                                                <span>Change: {formatSurplus(projection.totalSurplus - unadjusted.totalSurplus)}</span>
+                                                            </div>
+                                                        )}
+                                                        {original && (
+                                                            <div className="mt-2 px-2 text-xs text-gray-600 flex justify-between">
+                                                                <span>Original model: {formatValue(original.currentValue, original.isMinimum)} (25-26), {original.totalSurplus > 0 ? '+' : ''}{original.totalSurplus.toFixed(1)}M total surplus</span>
+                                                                <span>Change: {formatSurplus(projection.totalSurplus - original.totalSurplus)}</span>
+                                                            </div>
+                                                        )}
+                                                        {scenarioResults.length > 0 && (
+                                                            <div className="mt-4">
+                                                                <div className="grid grid-cols-12 text-xs font-bold text-blue-800 uppercase tracking-wider mb-1 pb-1 border-b border-blue-200">
+                                                                    <span className="col-span-4">Scenario</span>
+                                                                    <span className="col-span-2 text-center">25-26</span>
+                                                                    <span className="col-span-3 text-right">Total Surplus</span>
+                                                                    <span className="col-span-3 text-right">vs. Current</span>
+                                                                </div>
+                                                                {scenarioResults.map(({ name, projection: result }) => (
+                                                                    <div key={name} className="grid grid-cols-12 items-center border-b border-blue-100 py-1 last:border-0 text-sm">
+                                                                        <span className="col-span-4 text-gray-600 truncate">{name}</span>
+                                                                        <span className="col-span-2 text-center font-bold text-blue-700">{formatValue(result.currentValue, result.isMinimum)}</span>
+                                                                        <span className="col-span-3 text-right">{formatSurplus(result.totalSurplus)}</span>
+                                                                        <span className="col-span-3 text-right">{formatSurplus(result.totalSurplus - projection.totalSurplus)}</span>
+                                                                    </div>
+                                                                ))}
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </div>
+
+                                                <div className="mt-6 border-t pt-4">
+                                                    <div className="flex justify-between items-center mb-3">
+                                                        <h3 className="text-lg font-bold text-gray-800">Break-Even</h3>
+                                                        <button onClick={() => updateComparison(comp.id, 'breakEven', !comp.breakEven)} className="text-xs text-blue-600 hover:underline">
+                                                            {comp.breakEven ? 'Hide' : 'What justifies this contract?'}
+                                                        </button>
+                                                    </div>
+                                                    {comp.breakEven && (
+                                                        <BreakEven
+                                                            player={comp.selectedPlayer}
+                                                            options={{ ...inputs, ...projectionOptions }}
+                                                        />
+                                                    )}
+                                                </div>
+
+                                                {!comp.selectedPlayer.isPick && getFreeAgencyOffset(comp.selectedPlayer) < ALL_SEASONS.length && (
+                                                    <div className="mt-6 border-t pt-4">
+                                                        <h3 className="text-lg font-bold text-gray-800 mb-3">Fair Contract Offer</h3>
+                                                        <ContractOffer
+                                                            player={comp.selectedPlayer}
+                                                            options={{ ...inputs, ...projectionOptions }}
+                                                            offer={comp.offer}
+                                                            onChange={(offer) => updateComparison(comp.id, 'offer', offer)}
+                                                        />
+                                                    </div>
+                                                )}
+
+                                                {simulation.enabled && (
+                                                    <div className="mt-6 border-t pt-4">
+                                                        <h3 className="text-lg font-bold text-gray-800 mb-3">Uncertainty</h3>
+                                                        <UncertaintyBands
+                                                            player={comp.selectedPlayer}
+                                                            options={{ ...inputs, ...projectionOptions }}
+                                                            simulation={simulation}
+                                                        />
+                                                    </div>
+                                                )}
+
+                                                {!comp.selectedPlayer.isPick && (
+                                                    <div className="mt-6 border-t pt-4">
+                                                        <h3 className="text-lg font-bold text-gray-800 mb-3">Value Over Time</h3>
+                                                        <PlayerHistory
+                                                            player={comp.selectedPlayer}
+                                                            options={{ ...inputs, ...projectionOptions }}
+                                                        />
+                                                    </div>
+                                                )}
+                                            </div>
+                                        );
+                                    })()}
+                                </>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                <div className="mt-6 text-center">
+                    <button
+                        onClick={addComparison}
+                        className="inline-flex items-center gap-2 bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 font-medium shadow-lg"
+                    >
+                        <Plus size={20} />
+                        Add Player Comparison
+                    </button>
+                </div>
+                </>
+                )}
+                </>
+            )}
+        </div>
+    );
+};
+
+ReactDOM.render(<NBASalaryCalculator />, document.getElementById('root'));
+
+// Offline cache (sw.js). Service workers need http(s), so opening the file directly skips it.
+if ('serviceWorker' in navigator && window.location.protocol.startsWith('http')) {
+    navigator.serviceWorker.register('sw.js').catch(() => {});
+}
@@ -0,0 +1,100 @@
+// NBA Salary Model - break-even solver
+// Inverts projectPlayer: the DARKO, or the minutes, at which a season's modeled value
+// covers the salary the player is actually paid.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalaryBreakEven = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { DEFAULT_GAMES, DEFAULT_MINUTES, projectPlayer, getSeasonRows } = SalaryModel;
+
+    // Search bounds: no DARKO in the data comes close to these, and a game has 48 minutes
+    const DARKO_RANGE = [-10, 15];
+    const MAX_MINUTES = 48;
+
+    // How close the solved DARKO or minutes get to the break-even point
+    const TOLERANCE = 0.001;
+
+    // Smallest x in [low, high] with getValue(x) >= target, or null when even `high` falls
+    // short. getValue must never decrease, which holds for modeled value in DARKO (above
+    // replacement level the MVP boost only adds) and in minutes. Bisection rather than a
+    // closed form so the answer matches projectPlayer exactly, rounding and the minimum
+    // cutoff included.
+    const solveIncreasing = (getValue, target, low, high) => {
+        if (getValue(low) >= target) return low;
+        if (getValue(high) < target) return null;
+        while (high - low > TOLERANCE) {
+            const mid = (low + high) / 2;
+            if (getValue(mid) >= target) high = mid;
+            else low = mid;
+        }
+        return high;
+    };
+
+    // One season's row of a projection
+    const getSeasonRow = (player, options, season) => getSeasonRows(projectPlayer(player, options)).find(row => row.season === season);
+
+    // Break-even point of every season the player has a salary for, current season first:
+    // { season, age, salary, games, minutes, darko, value, isMinimum, breakEvenDarko,
+    //   darkoGap, breakEvenMinutes, belowCutoff }.
+    // `darko` and `minutes` are the projected ones; breakEvenDarko is the DARKO that season
+    // needs at those minutes and breakEvenMinutes the minutes it needs at that DARKO (null
+    // when no DARKO up to DARKO_RANGE, or no minutes up to 48, get there). darkoGap is how
+    // far the projection is from break-even. A salary under the minimum cutoff is covered as
+    // soon as the player is worth more than a minimum deal, so `belowCutoff` marks those.
+    // Salaries are the contract amounts; option decisions don't apply here.
+    // `options` are the projectPlayer options. Every value comes from projectPlayer, moving
+    // the DARKO adjustment or one season's minutes until the season breaks even.
+    const getBreakEvenSeasons = (player, options = {}) => {
+        const adjustment = options.adjustment || 0;
+        const minutes = options.minutes ?? DEFAULT_MINUTES;
+        const games = options.games ?? DEFAULT_GAMES;
+        const seasonGames = options.seasonGames || {};
+        const seasonMinutes = options.seasonMinutes || {};
+
+        return getSeasonRows(projectPlayer(player, options))
+            .filter(row => row.contractSalary !== null)
+            .map(row => {
+                const { season, contractSalary: salary } = row;
+                const seasonGameCount = seasonGames[season] ?? games;
+                const seasonMinuteCount = seasonMinutes[season] ?? minutes;
+
+                // Value of the season with `delta` added to the DARKO adjustment
+                const getValueAtShift = (delta) => getSeasonRow(player, { ...options, adjustment: adjustment + delta }, season).value;
+                // Value of the season at `m` minutes per game, other seasons unchanged
+                const getValueAtMinutes = (m) => getSeasonRow(player, { ...options, seasonMinutes: { ...seasonMinutes, [season]: m } }, season).value;
+
+                const shift = seasonGameCount > 0 && seasonMinuteCount > 0
+                    ? solveIncreasing(getValueAtShift, salary, DARKO_RANGE[0] - row.darko, DARKO_RANGE[1] - row.darko)
+                    : null;
+                const breakEvenMinutes = seasonGameCount > 0 && getValueAtMinutes(MAX_MINUTES) > 0
+                    ? solveIncreasing(getValueAtMinutes, salary, 0, MAX_MINUTES)
+                    : null;
+
+                return {
+                    season,
+                    age: row.age,
+                    salary,
+                    games: seasonGameCount,
+                    minutes: seasonMinuteCount,
+                    darko: row.darko,
+                    value: row.value,
+                    isMinimum: row.isMinimum,
+                    breakEvenDarko: shift !== null ? row.darko + shift : null,
+                    darkoGap: shift !== null ? -shift : null,
+                    breakEvenMinutes,
+                    // Just under break-even the season is still valued as a minimum deal
+                    belowCutoff: shift !== null && getValueAtShift(shift - TOLERANCE) === 0
+                };
+            });
+    };
+
+    return {
+        DARKO_RANGE,
+        MAX_MINUTES,
+        solveIncreasing,
+        getBreakEvenSeasons
+    };
+});
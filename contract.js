@@ -0,0 +1,152 @@
+// NBA Salary Model - free-agent contract recommender
+// Solves for the starting salary of a multi-year offer whose total projected surplus is zero.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalaryContract = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const {
+        ALL_SEASONS, SALARY_CAP, DEFAULT_GAMES, DEFAULT_MINUTES,
+        resolveAssumptions, getPositionalMultiplier, getCumulativeAgingDelta, calculateSalary
+    } = SalaryModel;
+
+    const MIN_YEARS = 1;
+    const MAX_YEARS = 5;
+
+    // Annual raises as a share of the first-year salary (CBA raises don't compound)
+    const RAISE_STRUCTURES = {
+        flat: { label: "Flat", raise: 0 },
+        raise5: { label: "5% raises", raise: 0.05 },
+        raise8: { label: "8% raises", raise: 0.08 }
+    };
+
+    // 2025-26 minimum salary ($M) by years of service; 10+ years use the last entry
+    const MINIMUM_SALARIES = [1.27, 2.05, 2.30, 2.38, 2.46, 2.67, 2.87, 3.08, 3.28, 3.30, 3.63];
+
+    // Max contract as a share of the cap: [years of service below, share]
+    const MAX_SALARY_TIERS = [[7, 0.25], [10, 0.30], [Infinity, 0.35]];
+
+    // The data has no years of service, so assume players enter the league at 20
+    const estimateYearsOfService = (age) => Math.max(0, Math.floor(age - 20));
+
+    // "2030-31" plus 2 -> "2032-33"
+    const getSeasonLabel = (offset) => {
+        const start = Number(ALL_SEASONS[0].slice(0, 4)) + offset;
+        return `${start}-${String(start + 1).slice(-2)}`;
+    };
+
+    // Cap growth relative to the current season. Seasons past the modeled ones keep
+    // growing at the last modeled season's rate.
+    const getInflationScaler = (offset, inflationScalers) => {
+        const scalers = [1, ...ALL_SEASONS.slice(1).map(season => inflationScalers[season] || 1)];
+        if (offset < scalers.length) return scalers[offset];
+        const last = scalers[scalers.length - 1];
+        const growth = scalers.length > 1 ? last / scalers[scalers.length - 2] : 1;
+        return last * Math.pow(growth, offset - scalers.length + 1);
+    };
+
+    // Whole, non-negative years, whether entered or estimated
+    const clampYearsOfService = (yearsOfService) => Math.max(0, Math.floor(Number(yearsOfService) || 0));
+
+    const getMinimumSalary = (yearsOfService) => (
+        MINIMUM_SALARIES[Math.min(clampYearsOfService(yearsOfService), MINIMUM_SALARIES.length - 1)]
+    );
+
+    const getMaximumSalary = (yearsOfService, salaryCap = SALARY_CAP) => (
+        MAX_SALARY_TIERS.find(([below]) => clampYearsOfService(yearsOfService) < below)[1] * salaryCap
+    );
+
+    // Offset (0 = current season) of the first season the player has no salary for
+    const getFreeAgencyOffset = (player) => {
+        if (!(player.actualSalary > 0)) return 0;
+        const offset = ALL_SEASONS.slice(1).findIndex(season => !(player.futureSalaries?.[season] > 0));
+        return offset === -1 ? ALL_SEASONS.length : offset + 1;
+    };
+
+    // Recommends a contract starting in the player's first free-agent season.
+    // `options` takes the projectPlayer options (games, minutes, seasonMinutes, adjustment,
+    // positional, positionalAging, assumptions) plus years (1-5), raise (a RAISE_STRUCTURES
+    // key) and yearsOfService (estimated from age when left out). All money is in $M.
+    const recommendContract = (player, options = {}) => {
+        const {
+            games = DEFAULT_GAMES,
+            minutes = DEFAULT_MINUTES,
+            adjustment = 0,
+            positional = false,
+            positionalAging = false,
+            raise = "flat"
+        } = options;
+        const assumptions = resolveAssumptions(options.assumptions);
+        const years = Math.min(MAX_YEARS, Math.max(MIN_YEARS, Math.round(options.years || 4)));
+        const structure = RAISE_STRUCTURES[raise];
+        if (!structure) throw new Error(`Unknown raise structure "${raise}"`);
+
+        const startOffset = getFreeAgencyOffset(player);
+        const yearsOfService = clampYearsOfService(options.yearsOfService ?? estimateYearsOfService(player.age) + startOffset);
+        const startScaler = getInflationScaler(startOffset, assumptions.inflationScalers);
+        const minimumSalary = getMinimumSalary(yearsOfService) * startScaler;
+        const maximumSalary = getMaximumSalary(yearsOfService) * startScaler;
+
+        const multiplier = positional ? getPositionalMultiplier(player.pos) : 1;
+        const agingPosition = positionalAging ? player.pos : null;
+        const seasons = Array.from({ length: years }, (_, idx) => {
+            const offset = startOffset + idx;
+            const darko = player.darko + adjustment + getCumulativeAgingDelta(player.age, offset, agingPosition);
+            const season = getSeasonLabel(offset);
+            const rawValue = calculateSalary(games, options.seasonMinutes?.[season] ?? minutes, darko, 0, multiplier, assumptions);
+            return {
+                season,
+                age: player.age + offset,
+                darko,
+                value: rawValue * getInflationScaler(offset, assumptions.inflationScalers),
+                isMinimum: rawValue === 0,
+                raiseFactor: 1 + structure.raise * idx
+            };
+        });
+
+        const totalValue = seasons.reduce((sum, s) => sum + s.value, 0);
+        const fairStartingSalary = totalValue / seasons.reduce((sum, s) => sum + s.raiseFactor, 0);
+        const startingSalary = Math.min(maximumSalary, Math.max(minimumSalary, fairStartingSalary));
+        let clamped = null;
+        if (fairStartingSalary < minimumSalary) clamped = "minimum";
+        if (fairStartingSalary > maximumSalary) clamped = "maximum";
+
+        const offer = seasons.map(({ raiseFactor, ...season }) => {
+            const salary = startingSalary * raiseFactor;
+            return { ...season, salary, surplus: season.value - salary };
+        });
+        const totalSalary = offer.reduce((sum, s) => sum + s.salary, 0);
+
+        return {
+            player,
+            years,
+            raise,
+            yearsOfService,
+            startSeason: getSeasonLabel(startOffset),
+            minimumSalary,
+            maximumSalary,
+            fairStartingSalary,
+            startingSalary,
+            clamped,
+            seasons: offer,
+            totalValue,
+            totalSalary,
+            totalSurplus: totalValue - totalSalary
+        };
+    };
+
+    return {
+        MIN_YEARS,
+        MAX_YEARS,
+        RAISE_STRUCTURES,
+        MINIMUM_SALARIES,
+        MAX_SALARY_TIERS,
+        estimateYearsOfService,
+        getMinimumSalary,
+        getMaximumSalary,
+        getFreeAgencyOffset,
+        recommendContract
+    };
+});
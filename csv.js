@@ -0,0 +1,82 @@
+// NBA Salary Model - CSV helpers
+// Minimal RFC 4180 parsing/formatting shared by the Node scripts and the browser.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SalaryCsv = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    // Returns an array of rows, each an array of cell strings. Handles quoted cells
+    // with commas, doubled quotes and line breaks; skips blank lines.
+    const parseCsvRows = (text) => {
+        const rows = [];
+        let row = [];
+        let cell = "";
+        let quoted = false;
+
+        const endRow = () => {
+            row.push(cell);
+            if (row.length > 1 || row[0].trim() !== "") rows.push(row);
+            row = [];
+            cell = "";
+        };
+
+        const input = String(text).replace(/^\uFEFF/, "");
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ",") {
+                row.push(cell);
+                cell = "";
+            } else if (char === "\n" || char === "\r") {
+                if (char === "\r" && input[i + 1] === "\n") i++;
+                endRow();
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== "" || row.length > 0) endRow();
+        return rows;
+    };
+
+    // Returns one object per data row keyed by the trimmed header names
+    const parseCsv = (text) => {
+        const [header = [], ...rows] = parseCsvRows(text);
+        const columns = header.map(column => column.trim());
+        return rows.map(cells => {
+            const record = {};
+            columns.forEach((column, i) => { record[column] = (cells[i] ?? "").trim(); });
+            return record;
+        });
+    };
+
+    const formatCsvCell = (value) => {
+        if (value === null || value === undefined) return "";
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // `rows` are objects; `columns` picks and orders the fields to write
+    const formatCsv = (rows, columns) => [
+        columns.map(formatCsvCell).join(","),
+        ...rows.map(row => columns.map(column => formatCsvCell(row[column])).join(","))
+    ].join("\n");
+
+    return {
+        parseCsvRows,
+        parseCsv,
+        formatCsvCell,
+        formatCsv
+    };
+});
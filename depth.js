@@ -0,0 +1,116 @@
+// NBA Salary Model - team depth charts
+// Rotation slots and minutes per game for each team, used as minutes projections for the
+// comparison cards, the leaderboard and the league CLI.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"), require("./team.js"));
+    } else {
+        root.SalaryDepth = factory(root.SalaryModel, root.SalaryTeam);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel, SalaryTeam) {
+    const { CURRENT_SEASON, FUTURE_SEASONS, normalizeTeam } = SalaryModel;
+    const { SEASON_GAMES, MAX_MINUTES_PER_GAME, DEFAULT_ROTATION_MINUTES, getRoster, scaleAllocationsToBudget } = SalaryTeam;
+
+    // A depth chart is { rotation: [id, ...], minutes: { [id]: mpg }, seasonMinutes: { [id]: { [season]: mpg } } }.
+    // `rotation` lists players by slot, starters first; anyone not in it plays 0 minutes.
+    // `minutes` is the current season and must add up to GAME_MINUTES; `seasonMinutes`
+    // overrides later seasons for players whose role is expected to change, including
+    // players outside the current rotation.
+    const ROTATION_SIZE = DEFAULT_ROTATION_MINUTES.length;
+    const STARTERS = 5;
+    const GAME_MINUTES = MAX_MINUTES_PER_GAME * 5;
+
+    // Scales minutes per game ({ [id]: mpg }) to `budget`, capping everyone at 48
+    const scaleMinutes = (minutes, budget = GAME_MINUTES) => {
+        const allocations = {};
+        Object.entries(minutes).forEach(([id, mpg]) => { allocations[id] = { games: 1, minutes: mpg }; });
+        const scaled = scaleAllocationsToBudget(allocations, budget);
+        const result = {};
+        Object.keys(minutes).forEach(id => { result[id] = scaled[id].minutes; });
+        return result;
+    };
+
+    // Slot minutes from DEFAULT_ROTATION_MINUTES (slot 1 plays the most), scaled to
+    // GAME_MINUTES when the rotation is short
+    const suggestMinutes = (rotation) => {
+        const minutes = {};
+        rotation.forEach((id, slot) => { minutes[id] = DEFAULT_ROTATION_MINUTES[slot] || 0; });
+        return scaleMinutes(minutes);
+    };
+
+    // Fills the rotation with the roster's top players by DARKO
+    const createDepthChart = (roster) => {
+        const rotation = [...roster]
+            .sort((a, b) => b.darko - a.darko)
+            .slice(0, ROTATION_SIZE)
+            .map(player => player.id);
+        return { rotation, minutes: suggestMinutes(rotation), seasonMinutes: {} };
+    };
+
+    // Puts a player in a rotation slot, shifting the players at and after it down a slot.
+    // A slot past the end of the rotation appends; `null` takes the player out of the
+    // rotation. Minutes are re-suggested for the new slot order.
+    const moveToSlot = (chart, playerId, slot) => {
+        const rotation = chart.rotation.filter(id => id !== playerId);
+        if (slot !== null) rotation.splice(Math.min(slot, rotation.length), 0, playerId);
+        const trimmed = rotation.slice(0, ROTATION_SIZE);
+        return { ...chart, rotation: trimmed, minutes: suggestMinutes(trimmed) };
+    };
+
+    const getGameMinutes = (chart) => chart.rotation.reduce((sum, id) => sum + (chart.minutes[id] || 0), 0);
+
+    // Rescales the current-season minutes to GAME_MINUTES, leaving `lockedId` (the player
+    // just edited) as is. Nobody goes over 48.
+    const balanceMinutes = (chart, lockedId = null) => {
+        const isLocked = lockedId !== null && chart.rotation.includes(lockedId);
+        const locked = isLocked ? Math.min(chart.minutes[lockedId] || 0, MAX_MINUTES_PER_GAME) : 0;
+        const others = {};
+        chart.rotation.filter(id => id !== lockedId).forEach(id => { others[id] = chart.minutes[id] || 0; });
+        const minutes = scaleMinutes(others, GAME_MINUTES - locked);
+        if (isLocked) minutes[lockedId] = locked;
+        return { ...chart, minutes };
+    };
+
+    // { minutes, seasonMinutes } projectPlayer options for one player; 0 outside the
+    // rotation unless `seasonMinutes` gives them a later role
+    const getPlayerMinutes = (chart, playerId) => {
+        const minutes = chart.minutes[playerId] || 0;
+        const seasonMinutes = { [CURRENT_SEASON]: minutes };
+        FUTURE_SEASONS.forEach(season => {
+            seasonMinutes[season] = chart.seasonMinutes[playerId]?.[season] ?? minutes;
+        });
+        return { minutes, seasonMinutes };
+    };
+
+    // Team payroll allocations ({ [id]: { games, minutes } }) from a depth chart:
+    // rotation players play all 82 games at their depth chart minutes
+    const getDepthAllocations = (chart, roster) => {
+        const allocations = {};
+        roster.forEach(player => {
+            const minutes = chart.minutes[player.id] || 0;
+            allocations[player.id] = { games: minutes > 0 ? SEASON_GAMES : 0, minutes };
+        });
+        return allocations;
+    };
+
+    // Looks up the chart for a player's team in `charts` ({ [team]: chart }), falling back
+    // to the suggested chart for their roster
+    const getTeamDepthChart = (charts, players, team) => {
+        const code = normalizeTeam(team);
+        return charts[code] || createDepthChart(getRoster(players, code));
+    };
+
+    return {
+        ROTATION_SIZE,
+        STARTERS,
+        GAME_MINUTES,
+        suggestMinutes,
+        createDepthChart,
+        moveToSlot,
+        getGameMinutes,
+        balanceMinutes,
+        getPlayerMinutes,
+        getDepthAllocations,
+        getTeamDepthChart
+    };
+});
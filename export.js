@@ -0,0 +1,200 @@
+// NBA Salary Model - comparison export
+// Flattens projectPlayer results into CSV, JSON and a printable HTML report.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"), require("./csv.js"));
+    } else {
+        root.SalaryExport = factory(root.SalaryModel, root.SalaryCsv);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel, SalaryCsv) {
+    const { ALL_SEASONS, normalizeTeam, getPositionLabel, getDarkoLabel, getSeasonRows } = SalaryModel;
+    const { formatCsv } = SalaryCsv;
+
+    const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+    // Everything behind one projection: the inputs, adjusted DARKO and label, every season
+    // (current first) and the contract totals. `options` are the projectPlayer options the
+    // projection was made with, for the per-season games and minutes. `extras` are added
+    // after the inputs, e.g. where the minutes came from. Draft picks report their
+    // expected rookie-season DARKO, as the cards do.
+    const createExportRecord = (projection, options = {}, extras = {}) => {
+        const { player } = projection;
+        const seasonGames = options.seasonGames || {};
+        const seasonMinutes = options.seasonMinutes || {};
+        const darko = player.isPick ? player.expectedDarko : player.darko;
+        const adjustedDarko = darko + projection.adjustment;
+
+        return {
+            id: player.id,
+            name: player.name,
+            team: normalizeTeam(player.team),
+            pos: getPositionLabel(player.pos),
+            age: player.age,
+            darko: round(darko),
+            games: projection.games,
+            minutes: projection.minutes,
+            adjustment: round(projection.adjustment),
+            ...extras,
+            adjustedDarko: round(adjustedDarko),
+            label: getDarkoLabel(adjustedDarko),
+            seasons: getSeasonRows(projection).map(row => ({
+                season: row.season,
+                age: round(row.age, 1),
+                games: seasonGames[row.season] ?? projection.games,
+                minutes: round(seasonMinutes[row.season] ?? projection.minutes, 1),
+                darko: round(row.darko),
+                value: round(row.value),
+                isMinimum: row.isMinimum,
+                actualSalary: round(row.actualSalary),
+                surplus: round(row.surplus),
+                decision: row.decision
+            })),
+            fullTermSurplus: round(projection.fullTermSurplus),
+            rationalSurplus: round(projection.rationalSurplus),
+            totalSurplus: round(projection.totalSurplus)
+        };
+    };
+
+    // "adjustedDarko" -> "adjusted darko", matching the value-league.js column names
+    const toColumnName = (field) => field.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+
+    const TOTAL_FIELDS = ["fullTermSurplus", "rationalSurplus", "totalSurplus"];
+
+    // One row per record: the scalar inputs, then value, salary and surplus for each
+    // season, then the totals. Nested extras (lists, objects) are left to the JSON.
+    const formatExportCsv = (records) => {
+        const inputFields = [];
+        records.forEach(record => Object.entries(record).forEach(([field, value]) => {
+            if (field === "seasons" || TOTAL_FIELDS.includes(field)) return;
+            if (value !== null && typeof value === "object") return;
+            if (!inputFields.includes(field)) inputFields.push(field);
+        }));
+        const seasonColumns = ALL_SEASONS.flatMap(season => [`value ${season}`, `salary ${season}`, `surplus ${season}`]);
+
+        const rows = records.map(record => {
+            const row = {};
+            inputFields.forEach(field => { row[toColumnName(field)] = record[field]; });
+            record.seasons.forEach(season => {
+                row[`value ${season.season}`] = season.value;
+                row[`salary ${season.season}`] = season.actualSalary;
+                row[`surplus ${season.season}`] = season.surplus;
+            });
+            TOTAL_FIELDS.forEach(field => { row[toColumnName(field)] = record[field]; });
+            return row;
+        });
+        return formatCsv(rows, [...inputFields.map(toColumnName), ...seasonColumns, ...TOTAL_FIELDS.map(toColumnName)]);
+    };
+
+    // `meta` (snapshot date, model settings, ...) goes first, then the records as `players`
+    const formatExportJson = (records, meta = {}) => JSON.stringify({ ...meta, players: records }, null, 2);
+
+    const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, char => (
+        { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" }[char]
+    ));
+
+    const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+    // "2026-01-28" -> "January 28, 2026"
+    const formatLongDate = (isoDate) => {
+        const [year, month, day] = String(isoDate).slice(0, 10).split("-").map(Number);
+        return `${MONTHS[month - 1]} ${day}, ${year}`;
+    };
+
+    const formatMoney = (value, isMinimum) => (value === null ? "—" : isMinimum ? "Min" : `$${value.toFixed(1)}M`);
+    const formatSigned = (value) => (value === null ? "—" : `${value > 0 ? "+" : ""}${value.toFixed(1)}M`);
+
+    const DECISIONS = { exercised: "Exercised", declined: "Declined", ended: "Ended" };
+
+    const REPORT_STYLE = `
+        body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2937; margin: 2rem; font-size: 12px; }
+        h1 { font-size: 20px; margin: 0 0 4px; }
+        h2 { font-size: 15px; margin: 0 0 4px; }
+        .meta { color: #6b7280; margin-bottom: 16px; }
+        table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+        th, td { border-bottom: 1px solid #e5e7eb; padding: 3px 6px; text-align: right; }
+        th:first-child, td:first-child { text-align: left; }
+        th { background: #f3f4f6; }
+        .settings td { text-align: left; }
+        .player { margin-top: 20px; page-break-inside: avoid; break-inside: avoid; }
+        .positive { color: #15803d; }
+        .negative { color: #b91c1c; }
+        .actions { margin-bottom: 16px; }
+        @media print {
+            body { margin: 0.5in; }
+            .actions { display: none; }
+        }
+    `;
+
+    const surplusClass = (value) => (value === null ? "" : value > 0 ? "positive" : "negative");
+
+    const formatPlayerSection = (record) => {
+        const details = [record.team, record.pos, `age ${record.age.toFixed(1)}`].filter(Boolean).join(" · ");
+        const inputs = [
+            `${record.games} games × ${record.minutes} min`,
+            `DARKO ${record.darko.toFixed(1)}`,
+            `adjustment ${record.adjustment > 0 ? "+" : ""}${record.adjustment.toFixed(1)}`,
+            `adjusted DARKO ${record.adjustedDarko.toFixed(1)} (${record.label})`
+        ].join(" · ");
+        const rows = record.seasons.map(season => `
+            <tr>
+                <td>${escapeHtml(season.season)}</td>
+                <td>${season.age.toFixed(1)}</td>
+                <td>${season.games}</td>
+                <td>${season.minutes}</td>
+                <td>${season.darko.toFixed(1)}</td>
+                <td>${formatMoney(season.value, season.isMinimum)}</td>
+                <td>${formatMoney(season.actualSalary)}</td>
+                <td class="${surplusClass(season.surplus)}">${formatSigned(season.surplus)}</td>
+                <td>${DECISIONS[season.decision] || ""}</td>
+            </tr>`).join("");
+
+        return `
+        <section class="player">
+            <h2>${escapeHtml(record.name)}</h2>
+            <div class="meta">${escapeHtml(details)}<br>${escapeHtml(inputs)}</div>
+            <table>
+                <thead><tr><th>Season</th><th>Age</th><th>Games</th><th>Min</th><th>DARKO</th><th>Value</th><th>Salary</th><th>Surplus</th><th>Option</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div>Total contract surplus: <strong class="${surplusClass(record.totalSurplus)}">${formatSigned(record.totalSurplus)}</strong>
+                (full term ${formatSigned(record.fullTermSurplus)}, options exercised rationally ${formatSigned(record.rationalSurplus)})</div>
+        </section>`;
+    };
+
+    // A standalone HTML page for printing or saving as PDF. `meta` takes a title, the
+    // DARKO snapshot date, when the report was generated and `settings`, the model
+    // assumptions as [label, value] pairs.
+    const formatReport = (records, meta = {}) => {
+        const { title = "NBA Salary Model comparison", snapshotDate, generatedAt = new Date().toISOString(), settings = [] } = meta;
+        const settingRows = settings.map(([label, value]) => (
+            `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+        )).join("");
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(title)}</title>
+    <style>${REPORT_STYLE}</style>
+</head>
+<body>
+    <div class="actions"><button onclick="window.print()">Print / save as PDF</button></div>
+    <h1>${escapeHtml(title)}</h1>
+    <div class="meta">
+        ${snapshotDate ? `DARKO snapshot of ${formatLongDate(snapshotDate)} · ` : ""}Generated ${formatLongDate(generatedAt)} · All money in $M
+    </div>
+    <h2>Model assumptions</h2>
+    <table class="settings"><tbody>${settingRows}</tbody></table>
+    ${records.map(formatPlayerSection).join("")}
+</body>
+</html>
+`;
+    };
+
+    return {
+        createExportRecord,
+        formatExportCsv,
+        formatExportJson,
+        formatReport
+    };
+});
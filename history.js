@@ -0,0 +1,95 @@
+// NBA Salary Model - DARKO history
+// Values players against earlier DARKO snapshots (see snapshots.js) to track movement over the season.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalaryHistory = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { projectPlayer } = SalaryModel;
+
+    const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+    const sortSnapshots = (snapshots) => [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+
+    // A player as of a snapshot, or null if the snapshot doesn't have them. DARKO comes
+    // from the snapshot and the age is rolled back from `currentDate`, the date of `player`'s
+    // data (left as is without one). Team and contract come from the snapshot too; snapshots
+    // from before those were recorded keep the current ones.
+    const getSnapshotPlayer = (player, snapshot, currentDate) => {
+        if (snapshot.darko[player.id] === undefined) return null;
+        const yearsBack = currentDate ? (new Date(currentDate) - new Date(snapshot.date)) / MS_PER_YEAR : 0;
+        const contract = snapshot.contracts?.[player.id];
+        return {
+            ...player,
+            team: snapshot.teams?.[player.id] ?? player.team,
+            ...(contract ? {
+                actualSalary: contract.actualSalary,
+                futureSalaries: contract.futureSalaries,
+                contractTerms: contract.contractTerms
+            } : {}),
+            age: Number((player.age - yearsBack).toFixed(1)),
+            darko: snapshot.darko[player.id]
+        };
+    };
+
+    // The player list as of a snapshot, leaving out players it doesn't have
+    const getSnapshotPlayers = (players, snapshot, currentDate) => players
+        .map(player => getSnapshotPlayer(player, snapshot, currentDate))
+        .filter(Boolean);
+
+    // One point per snapshot the player appears in, oldest first: { date, darko, value, isMinimum }.
+    // Each point values the player as getSnapshotPlayer has them on that date, with
+    // `currentDate` the date of `player`'s data.
+    const getPlayerHistory = (player, snapshots, options = {}, currentDate) => sortSnapshots(snapshots)
+        .flatMap(snapshot => {
+            const asOf = getSnapshotPlayer(player, snapshot, currentDate);
+            if (!asOf) return [];
+            const projection = projectPlayer(asOf, options);
+            return [{
+                date: snapshot.date,
+                darko: asOf.darko,
+                value: projection.currentValue,
+                isMinimum: projection.isMinimum
+            }];
+        });
+
+    // Change in DARKO and current-season value for every player in both snapshots,
+    // sorted from biggest riser to biggest faller. Both ends value the player as
+    // getSnapshotPlayer has them on that date, with `currentDate` the date of `players`.
+    // `getOptions(player)` returns the projectPlayer options for each player, as in
+    // projectLeague.
+    const getMovers = (players, fromSnapshot, toSnapshot, getOptions = () => ({}), currentDate) => players
+        .map(player => ({
+            player,
+            fromPlayer: getSnapshotPlayer(player, fromSnapshot, currentDate),
+            toPlayer: getSnapshotPlayer(player, toSnapshot, currentDate)
+        }))
+        .filter(({ fromPlayer, toPlayer }) => fromPlayer && toPlayer)
+        .map(({ player, fromPlayer, toPlayer }) => {
+            const options = getOptions(player) || {};
+            const from = projectPlayer(fromPlayer, options);
+            const to = projectPlayer(toPlayer, options);
+            return {
+                player,
+                fromDarko: fromPlayer.darko,
+                toDarko: toPlayer.darko,
+                darkoDelta: toPlayer.darko - fromPlayer.darko,
+                fromValue: from.currentValue,
+                fromMinimum: from.isMinimum,
+                toValue: to.currentValue,
+                toMinimum: to.isMinimum,
+                valueDelta: to.currentValue - from.currentValue
+            };
+        })
+        .sort((a, b) => b.valueDelta - a.valueDelta || b.darkoDelta - a.darkoDelta);
+
+    return {
+        sortSnapshots,
+        getSnapshotPlayer,
+        getSnapshotPlayers,
+        getPlayerHistory,
+        getMovers
+    };
+});
@@ -0,0 +1,71 @@
+// NBA Salary Model - league-wide valuation
+// Runs projectPlayer over a list of players and filters/sorts the results.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalaryLeague = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { projectPlayer, normalizeTeam, normalizePosition } = SalaryModel;
+
+    // `getOptions(player)` returns the games/minutes/adjustment for one player;
+    // players it returns nothing for use the model defaults.
+    const projectLeague = (players, getOptions = () => ({})) => (
+        players.map(player => projectPlayer(player, getOptions(player) || {}))
+    );
+
+    // Filters are all optional: team, pos, minAge, maxAge and tier (a getDarkoLabel label).
+    // Team, position and tier match case-insensitively.
+    const filterProjections = (projections, filters = {}) => {
+        const { team, pos, minAge, maxAge, tier } = filters;
+        const teamCode = team ? normalizeTeam(team) : null;
+        const posCode = pos ? normalizePosition(pos) : null;
+        const tierLabel = tier ? tier.toLowerCase() : null;
+
+        return projections.filter(({ player, label }) => {
+            if (teamCode && normalizeTeam(player.team) !== teamCode) return false;
+            if (posCode && normalizePosition(player.pos) !== posCode) return false;
+            if (minAge != null && player.age < minAge) return false;
+            if (maxAge != null && player.age > maxAge) return false;
+            if (tierLabel && label.toLowerCase() !== tierLabel) return false;
+            return true;
+        });
+    };
+
+    // Sort keys for sortProjections. Free agents (null salary/surplus) always sort last.
+    const SORT_KEYS = {
+        name: p => p.player.name,
+        team: p => normalizeTeam(p.player.team),
+        pos: p => normalizePosition(p.player.pos),
+        age: p => p.player.age,
+        darko: p => p.adjustedDarko,
+        value: p => p.currentValue,
+        salary: p => p.actualSalary,
+        surplus: p => p.currentSurplus,
+        total: p => p.totalSurplus
+    };
+
+    const sortProjections = (projections, key = "total", direction = "desc") => {
+        const getValue = SORT_KEYS[key];
+        if (!getValue) throw new Error(`Unknown sort key "${key}"`);
+        const sign = direction === "asc" ? 1 : -1;
+
+        return [...projections].sort((a, b) => {
+            const va = getValue(a);
+            const vb = getValue(b);
+            if (va === vb) return 0;
+            if (va === null) return 1;
+            if (vb === null) return -1;
+            if (typeof va === "string") return sign * va.localeCompare(vb);
+            return sign * (va - vb);
+        });
+    };
+
+    return {
+        SORT_KEYS,
+        projectLeague,
+        filterProjections,
+        sortProjections
+    };
+});
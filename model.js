@@ -0,0 +1,328 @@
+// NBA Salary Model - valuation engine
+// Shared by index.html (as the global `SalaryModel`) and Node scripts (via require).
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SalaryModel = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    // --- Constants ---
+    const CURRENT_SEASON = "2025-26";
+    const FUTURE_SEASONS = ["2026-27", "2027-28", "2028-29", "2029-30", "2030-31"];
+    const ALL_SEASONS = [CURRENT_SEASON, ...FUTURE_SEASONS];
+
+    const INFLATION_SCALERS = {
+        "2026-27": 1.074, "2027-28": 1.127, "2028-29": 1.184, "2029-30": 1.240, "2030-31": 1.305
+    };
+
+    // 2025-26 salary cap in $M; later caps follow the inflation scalers
+    const SALARY_CAP = 154.6;
+
+    // Modeled values under this cutoff ($M) are treated as a minimum contract
+    const MINIMUM_SALARY_CUTOFF = 3.0;
+
+    // Every tunable constant in the salary formula and projection. Pass a (partial) copy
+    // as `assumptions` to calculateSalary/projectPlayer to run a scenario.
+    const DEFAULT_ASSUMPTIONS = {
+        minutesBaseline: 1475,      // average minutes of a non-replacement-level player
+        replacementLevel: -3.0,     // DARKO of a replacement-level player
+        winCost: 4.32,              // $M per win in 2025-26 dollars
+        mvpBoostCap: 0.10,          // maximum bonus/penalty (±10%)
+        mvpBoostExponent: 1.2,
+        mvpBoostFullDarko: 4,       // |DARKO| at which the bonus/penalty reaches the cap
+        minimumSalaryCutoff: MINIMUM_SALARY_CUTOFF,
+        inflationScalers: INFLATION_SCALERS
+    };
+
+    // Fills in anything a scenario leaves out from DEFAULT_ASSUMPTIONS
+    const resolveAssumptions = (assumptions = {}) => ({
+        ...DEFAULT_ASSUMPTIONS,
+        ...assumptions,
+        inflationScalers: { ...DEFAULT_ASSUMPTIONS.inflationScalers, ...assumptions.inflationScalers }
+    });
+
+    // Inflation scalers for a flat yearly salary cap growth rate (0.1 = 10% a year)
+    const getInflationScalers = (capGrowth) => {
+        const scalers = {};
+        FUTURE_SEASONS.forEach((season, idx) => {
+            scalers[season] = Number(Math.pow(1 + capGrowth, idx + 1).toFixed(3));
+        });
+        return scalers;
+    };
+
+    // The data mixes Basketball Reference and NBA.com team codes
+    const TEAM_ALIASES = { BRK: "BKN", CHO: "CHA", PHO: "PHX" };
+
+    const DEFAULT_GAMES = 70;
+    const DEFAULT_MINUTES = 30;
+
+    const getDarkoLabel = (darko) => {
+        if (darko >= 6.0) return "MVP Level";
+        if (darko >= 4.0) return "All-NBA";
+        if (darko >= 2.0) return "All-Star";
+        if (darko >= 1.0) return "Quality Starter";
+        if (darko >= -0.9) return "Average Player";
+        if (darko >= -2.0) return "Bench";
+        return "Replacement Level";
+    };
+
+    const normalizeTeam = (team) => {
+        const code = String(team || "").toUpperCase();
+        return TEAM_ALIASES[code] || code;
+    };
+
+    const POSITION_LABELS = { pg: "PG", sg: "SG", sf: "SF", pf: "PF", c: "C" };
+
+    // "c_pos", "C" and "c" all normalize to "c"
+    const normalizePosition = (pos) => String(pos || "").toLowerCase().replace(/_pos$/, "");
+
+    const getPositionLabel = (pos) => POSITION_LABELS[normalizePosition(pos)] || "";
+
+    // Wings are scarcer than small guards and centers, so they earn a premium on modeled value
+    const POSITIONAL_MULTIPLIERS = { pg: 0.95, sg: 1.0, sf: 1.05, pf: 1.0, c: 0.95 };
+
+    const POSITION_GROUPS = { pg: "guard", sg: "guard", sf: "wing", pf: "big", c: "big" };
+
+    const getPositionalMultiplier = (pos) => POSITIONAL_MULTIPLIERS[normalizePosition(pos)] ?? 1;
+
+    // Aging curves as [age below, yearly DARKO delta] steps. "generic" is the original
+    // curve; guards peak later and decline more gently, bigs peak earlier and fall off faster.
+    const AGING_CURVES = {
+        generic: [
+            [21, 0.65], [22, 0.5], [23, 0.45], [24, 0.40], [27, 0.10], [29, 0], [30, -0.05],
+            [31, -0.1], [32, -0.2], [33, -0.3], [34, -0.45], [35, -0.65], [36, -0.9], [Infinity, -1.2]
+        ],
+        guard: [
+            [21, 0.65], [22, 0.5], [23, 0.45], [24, 0.40], [27, 0.15], [29, 0.05], [30, 0],
+            [31, -0.05], [32, -0.15], [33, -0.25], [34, -0.4], [35, -0.6], [36, -0.85], [Infinity, -1.1]
+        ],
+        big: [
+            [21, 0.7], [22, 0.55], [23, 0.45], [24, 0.35], [27, 0.05], [29, -0.05], [30, -0.1],
+            [31, -0.2], [32, -0.3], [33, -0.45], [34, -0.6], [35, -0.8], [36, -1.0], [Infinity, -1.3]
+        ]
+    };
+    AGING_CURVES.wing = AGING_CURVES.generic;
+
+    // Uses the generic curve unless a position is passed
+    const getAgingDelta = (age, pos = null) => {
+        const group = pos ? POSITION_GROUPS[normalizePosition(pos)] : null;
+        const curve = AGING_CURVES[group] || AGING_CURVES.generic;
+        return curve.find(([ageBelow]) => age < ageBelow)[1];
+    };
+
+    // Returns the modeled salary in $M, rounded to one decimal.
+    // Returns 0 when the value falls under MINIMUM_SALARY_CUTOFF (a minimum contract).
+    const calculateSalary = (games, minutes, darko, adjustment = 0, multiplier = 1, assumptions = DEFAULT_ASSUMPTIONS) => {
+        const {
+            minutesBaseline, replacementLevel, winCost,
+            mvpBoostCap, mvpBoostExponent, mvpBoostFullDarko, minimumSalaryCutoff
+        } = assumptions;
+        const adjustedDarko = darko + adjustment;
+        let salary = (games * minutes / minutesBaseline * (adjustedDarko - replacementLevel)) * winCost;
+        const boostFactor = Math.pow(Math.abs(adjustedDarko) / mvpBoostFullDarko, mvpBoostExponent) * mvpBoostCap;
+        const cappedBoost = Math.min(boostFactor, mvpBoostCap);
+
+        if (adjustedDarko > 0) {
+            salary = salary * (1 + cappedBoost);
+        } else if (adjustedDarko < 0) {
+            salary = salary * (1 - cappedBoost);
+        }
+        salary = salary * multiplier;
+
+        if (salary < minimumSalaryCutoff) return 0;
+        return Number(salary.toFixed(1));
+    };
+
+    // Optional per-season contract terms, stored as player.contractTerms:
+    //   { "2027-28": { option: "player", guaranteed: 0, triggerDate: "2027-06-29" } }
+    // `option` is "player", "team" or "eto" (early termination, decided by the player).
+    // `guaranteed` ($M) defaults to 0 for option years and the full salary otherwise;
+    // a non-option year guaranteed below its salary can be waived by the team.
+    const CONTRACT_OPTION_TYPES = {
+        player: "Player option",
+        team: "Team option",
+        eto: "Early termination option"
+    };
+
+    const getContractTerms = (player, season) => player.contractTerms?.[season] || null;
+
+    const getGuaranteedSalary = (terms, salary) => {
+        if (terms && terms.guaranteed !== undefined && terms.guaranteed !== null) return Math.min(Number(terms.guaranteed), salary);
+        return terms && terms.option ? 0 : salary;
+    };
+
+    // Who can end the contract in a season: "player", "team" or null (fully guaranteed)
+    const getContractDecider = (terms, salary) => {
+        if (terms && (terms.option === "player" || terms.option === "eto")) return "player";
+        if (terms && terms.option === "team") return "team";
+        return getGuaranteedSalary(terms, salary) < salary ? "team" : null;
+    };
+
+    // Sum of aging deltas applied between the player's current age and `yearOffset` seasons later
+    const getCumulativeAgingDelta = (age, yearOffset, pos = null) => {
+        let cumulativeDelta = 0;
+        for (let i = 0; i < yearOffset; i++) {
+            cumulativeDelta += getAgingDelta(age + i, pos);
+        }
+        return cumulativeDelta;
+    };
+
+    // Values a player for the current season and every season in FUTURE_SEASONS.
+    // All money fields are numbers in $M; salary and surplus fields are null for seasons
+    // without a contract ("Free Agent"), and those seasons are left out of totalSurplus.
+    // `positional` applies POSITIONAL_MULTIPLIERS and `positionalAging` swaps in the
+    // player's position-group aging curve; both are off by default (the original model).
+    // `assumptions` overrides any of DEFAULT_ASSUMPTIONS.
+    //
+    // Option years (see CONTRACT_OPTION_TYPES) are decided rationally: the player opts out
+    // when modeled value exceeds the salary and the team declines or waives when it falls
+    // below, ending the contract with only guaranteed money owed as dead money. Each season
+    // reports that `decision`; `rationalSurplus` totals it and `fullTermSurplus` assumes
+    // every option is exercised. `exerciseOptions` makes the salary/surplus fields and
+    // totalSurplus follow the rational path instead of the full term.
+    //
+    // `seasonGames` and `seasonMinutes` ({ [season]: number }) override `games` and `minutes`
+    // per season (depth.js uses them for changing roles) and `darkoShifts` ({ [season]: delta })
+    // adds to the aged DARKO of future seasons; simulation.js samples games and aging.
+    const projectPlayer = (player, options = {}) => {
+        const {
+            games = DEFAULT_GAMES,
+            minutes = DEFAULT_MINUTES,
+            adjustment = 0,
+            positional = false,
+            positionalAging = false,
+            exerciseOptions = false,
+            seasonGames = {},
+            seasonMinutes = {},
+            darkoShifts = {}
+        } = options;
+        const assumptions = resolveAssumptions(options.assumptions);
+
+        const multiplier = positional ? getPositionalMultiplier(player.pos) : 1;
+        const agingPosition = positionalAging ? player.pos : null;
+        const adjustedDarko = player.darko + adjustment;
+        const currentValue = calculateSalary(seasonGames[CURRENT_SEASON] ?? games, seasonMinutes[CURRENT_SEASON] ?? minutes, player.darko, adjustment, multiplier, assumptions);
+        const actualSalary = player.actualSalary > 0 ? player.actualSalary : null;
+        const currentSurplus = actualSalary !== null ? currentValue - actualSalary : null;
+
+        let fullTermSurplus = currentSurplus !== null ? currentSurplus : 0;
+        let rationalSurplus = fullTermSurplus;
+        let endedBy = null;
+
+        const seasons = FUTURE_SEASONS.map((season, idx) => {
+            const yearOffset = idx + 1;
+            const darko = adjustedDarko + getCumulativeAgingDelta(player.age, yearOffset, agingPosition) + (darkoShifts[season] || 0);
+            const rawValue = calculateSalary(seasonGames[season] ?? games, seasonMinutes[season] ?? minutes, darko, 0, multiplier, assumptions);
+            const value = rawValue * (assumptions.inflationScalers[season] || 1);
+            const futureSalary = player.futureSalaries?.[season];
+            const salary = futureSalary ? Number(futureSalary) : null;
+            const terms = salary !== null ? getContractTerms(player, season) : null;
+
+            // "exercised", "declined" (this season's decider ended the contract),
+            // "ended" (an earlier season did) or null for guaranteed years
+            let decision = null;
+            if (salary !== null && endedBy) {
+                decision = "ended";
+            } else if (salary !== null) {
+                const decider = getContractDecider(terms, salary);
+                const declines = (decider === "player" && value > salary) || (decider === "team" && value < salary);
+                if (decider) decision = declines ? "declined" : "exercised";
+                if (declines) endedBy = decider;
+            }
+
+            const dropped = decision === "declined" || decision === "ended";
+            const deadMoney = dropped && endedBy === "team" ? getGuaranteedSalary(terms, salary) : 0;
+            const fullTerm = salary !== null ? value - salary : null;
+            const rational = dropped ? (deadMoney > 0 ? -deadMoney : null) : fullTerm;
+            if (fullTerm !== null) fullTermSurplus += fullTerm;
+            if (rational !== null) rationalSurplus += rational;
+
+            const useRational = exerciseOptions && dropped;
+            return {
+                season,
+                age: player.age + yearOffset,
+                darko,
+                value,
+                isMinimum: rawValue === 0,
+                actualSalary: useRational ? (deadMoney > 0 ? deadMoney : null) : salary,
+                surplus: useRational ? rational : fullTerm,
+                contractSalary: salary,
+                terms,
+                decision,
+                deadMoney: useRational ? deadMoney : 0
+            };
+        });
+
+        return {
+            player,
+            games,
+            minutes,
+            adjustment,
+            positional,
+            positionalAging,
+            exerciseOptions,
+            adjustedDarko,
+            label: getDarkoLabel(adjustedDarko),
+            currentValue,
+            isMinimum: currentValue === 0,
+            actualSalary,
+            currentSurplus,
+            seasons,
+            fullTermSurplus,
+            rationalSurplus,
+            totalSurplus: exerciseOptions ? rationalSurplus : fullTermSurplus
+        };
+    };
+
+    // Flattens a projectPlayer result into one row per season, current season first
+    const getSeasonRows = (projection) => [
+        {
+            season: CURRENT_SEASON,
+            age: projection.player.age,
+            darko: projection.adjustedDarko,
+            value: projection.currentValue,
+            isMinimum: projection.isMinimum,
+            actualSalary: projection.actualSalary,
+            surplus: projection.currentSurplus,
+            contractSalary: projection.actualSalary,
+            terms: null,
+            decision: null,
+            deadMoney: 0
+        },
+        ...projection.seasons
+    ];
+
+    return {
+        CURRENT_SEASON,
+        FUTURE_SEASONS,
+        ALL_SEASONS,
+        INFLATION_SCALERS,
+        SALARY_CAP,
+        MINIMUM_SALARY_CUTOFF,
+        DEFAULT_ASSUMPTIONS,
+        DEFAULT_GAMES,
+        DEFAULT_MINUTES,
+        TEAM_ALIASES,
+        POSITION_LABELS,
+        POSITIONAL_MULTIPLIERS,
+        POSITION_GROUPS,
+        AGING_CURVES,
+        CONTRACT_OPTION_TYPES,
+        normalizeTeam,
+        normalizePosition,
+        getPositionLabel,
+        getPositionalMultiplier,
+        resolveAssumptions,
+        getInflationScalers,
+        getDarkoLabel,
+        getAgingDelta,
+        getCumulativeAgingDelta,
+        getContractTerms,
+        getGuaranteedSalary,
+        getContractDecider,
+        calculateSalary,
+        projectPlayer,
+        getSeasonRows
+    };
+});
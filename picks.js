@@ -0,0 +1,170 @@
+// NBA Salary Model - draft pick valuation
+// Values a first-round pick as a player on a rookie-scale contract, with an expected DARKO
+// and minutes trajectory for the slot, through the same projectPlayer pipeline.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalaryPicks = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const {
+        CURRENT_SEASON, ALL_SEASONS, DEFAULT_MINUTES, resolveAssumptions, getCumulativeAgingDelta, projectPlayer
+    } = SalaryModel;
+
+    const FIRST_ROUND_PICKS = 30;
+    const ROOKIE_YEARS = 4;
+
+    // First-year rookie scale salary ($M) by pick for 2025-26, at the 120% of scale nearly
+    // every pick signs for. Later drafts grow with the cap.
+    const ROOKIE_SCALE = [
+        13.83, 12.37, 11.11, 10.02, 9.07, 8.25, 7.53, 6.90, 6.31, 5.99,
+        5.69, 5.41, 5.14, 4.88, 4.64, 4.40, 4.18, 3.98, 3.81, 3.71,
+        3.52, 3.36, 3.20, 3.07, 2.98, 2.88, 2.84, 2.80, 2.77, 2.75
+    ];
+
+    // Years 2 and 3 pay a fixed share over year 1; the year-4 option raise over year 3
+    // grows for later picks. Anchors are [pick, raise], interpolated in between.
+    const ROOKIE_RAISES = [0, 0.05, 0.10];
+    const FOURTH_YEAR_RAISES = [[1, 0.26], [10, 0.27], [13, 0.43], [16, 0.53], [20, 0.56], [23, 0.70], [26, 0.80], [30, 0.81]];
+
+    // Expected rookie season by pick as [pick, DARKO, minutes per game, age], interpolated
+    // in between. Rough priors from recent first-round classes, not a fitted model.
+    const PICK_EXPECTATIONS = [
+        [1, -0.9, 30, 19.3],
+        [5, -1.2, 26, 19.6],
+        [10, -1.5, 22, 19.8],
+        [20, -1.8, 16, 20.3],
+        [30, -2.0, 12, 20.6]
+    ];
+
+    // Minutes per game gained each season after the rookie year, up to DEFAULT_MINUTES
+    const ROOKIE_MINUTES_GROWTH = 4;
+
+    const CURRENT_START_YEAR = Number(CURRENT_SEASON.slice(0, 4));
+
+    // Drafts whose rookie season falls inside the modeled seasons: 2026 through 2030
+    const DRAFT_YEARS = ALL_SEASONS.slice(1).map((_, idx) => CURRENT_START_YEAR + idx + 1);
+
+    const interpolate = (anchors, pick, column) => {
+        const upper = anchors.findIndex(anchor => anchor[0] >= pick);
+        if (upper <= 0) return anchors[Math.max(upper, 0)][column];
+        const [fromPick] = anchors[upper - 1];
+        const [toPick] = anchors[upper];
+        const share = (pick - fromPick) / (toPick - fromPick);
+        return anchors[upper - 1][column] + (anchors[upper][column] - anchors[upper - 1][column]) * share;
+    };
+
+    const validatePick = (pick, draftYear) => {
+        if (!Number.isInteger(pick) || pick < 1 || pick > FIRST_ROUND_PICKS) {
+            throw new Error(`Pick must be 1-${FIRST_ROUND_PICKS}, got ${pick}`);
+        }
+        if (!DRAFT_YEARS.includes(draftYear)) {
+            throw new Error(`Draft year must be ${DRAFT_YEARS[0]}-${DRAFT_YEARS[DRAFT_YEARS.length - 1]}, got ${draftYear}`);
+        }
+    };
+
+    // { darko, minutes, age } of the rookie season for a pick
+    const getPickExpectation = (pick) => ({
+        darko: interpolate(PICK_EXPECTATIONS, pick, 1),
+        minutes: interpolate(PICK_EXPECTATIONS, pick, 2),
+        age: interpolate(PICK_EXPECTATIONS, pick, 3)
+    });
+
+    // Salary for each rookie-contract season ({ [season]: $M }), scaled by the projected cap
+    // growth up to the draft year: the inflation scalers of `assumptions`, like every other
+    // salary. Seasons past the modeled ones are left out.
+    const getRookieScale = (pick, draftYear, assumptions) => {
+        validatePick(pick, draftYear);
+        const offset = draftYear - CURRENT_START_YEAR;
+        const { inflationScalers } = resolveAssumptions(assumptions);
+        const base = ROOKIE_SCALE[pick - 1] * (inflationScalers[ALL_SEASONS[offset]] || 1);
+        const salaries = ROOKIE_RAISES.map(raise => base * (1 + raise));
+        salaries.push(salaries[2] * (1 + interpolate(FOURTH_YEAR_RAISES, pick, 1)));
+
+        const scale = {};
+        salaries.slice(0, ROOKIE_YEARS).forEach((salary, year) => {
+            const season = ALL_SEASONS[offset + year];
+            if (season) scale[season] = Number(salary.toFixed(2));
+        });
+        return scale;
+    };
+
+    // A pick as a player object projectPlayer can value, e.g. "2026 #5 pick". Age and DARKO
+    // are backed out to the current season so that aging lands on the expected rookie
+    // season; the rookie scale goes in futureSalaries with team options on years 3 and 4.
+    // `team` is the team that owns the pick; `assumptions` set the rookie scale's cap growth.
+    const createPickPlayer = (pick, draftYear, team = "", assumptions) => {
+        const rookieScale = getRookieScale(pick, draftYear, assumptions);
+        const offset = draftYear - CURRENT_START_YEAR;
+        const expectation = getPickExpectation(pick);
+        const age = Number((expectation.age - offset).toFixed(1));
+        const contractTerms = {};
+        Object.keys(rookieScale).slice(2).forEach(season => { contractTerms[season] = { option: "team" }; });
+
+        return {
+            id: `pick-${draftYear}-${pick}`,
+            name: `${draftYear} #${pick} pick`,
+            team,
+            pos: "",
+            age,
+            darko: expectation.darko - getCumulativeAgingDelta(age, offset),
+            actualSalary: 0,
+            futureSalaries: rookieScale,
+            contractTerms,
+            isPick: true,
+            pick,
+            draftYear,
+            rookieSeason: ALL_SEASONS[offset],
+            expectedDarko: expectation.darko,
+            expectedMinutes: expectation.minutes
+        };
+    };
+
+    // projectPlayer options that keep a pick off the floor before its rookie season and
+    // give it the expected minutes, growing by ROOKIE_MINUTES_GROWTH a season after that
+    const getPickOptions = (pickPlayer) => {
+        const offset = pickPlayer.draftYear - CURRENT_START_YEAR;
+        const seasonGames = {};
+        const seasonMinutes = {};
+        ALL_SEASONS.forEach((season, idx) => {
+            if (idx < offset) {
+                seasonGames[season] = 0;
+                seasonMinutes[season] = 0;
+            } else {
+                const grown = pickPlayer.expectedMinutes + ROOKIE_MINUTES_GROWTH * (idx - offset);
+                seasonMinutes[season] = Math.max(pickPlayer.expectedMinutes, Math.min(DEFAULT_MINUTES, grown));
+            }
+        });
+        return { seasonGames, seasonMinutes };
+    };
+
+    // Values a pick with projectPlayer. `options` are the usual projectPlayer options
+    // (games, adjustment, model toggles, assumptions); minutes come from getPickOptions.
+    const valuePick = (pick, draftYear, options = {}) => {
+        const player = createPickPlayer(pick, draftYear, "", options.assumptions);
+        return projectPlayer(player, { ...options, ...getPickOptions(player) });
+    };
+
+    // Every first-round pick of every modeled draft, for search and the picks table
+    const createDraftPicks = (assumptions) => DRAFT_YEARS.flatMap(draftYear => (
+        Array.from({ length: FIRST_ROUND_PICKS }, (_, idx) => createPickPlayer(idx + 1, draftYear, "", assumptions))
+    ));
+
+    return {
+        FIRST_ROUND_PICKS,
+        ROOKIE_YEARS,
+        ROOKIE_SCALE,
+        ROOKIE_RAISES,
+        FOURTH_YEAR_RAISES,
+        PICK_EXPECTATIONS,
+        ROOKIE_MINUTES_GROWTH,
+        DRAFT_YEARS,
+        getPickExpectation,
+        getRookieScale,
+        createPickPlayer,
+        getPickOptions,
+        valuePick,
+        createDraftPicks
+    };
+});
@@ -1,3 +1,6 @@
+// Date of the DARKO ratings below; shown in the app header
+const DATA_SNAPSHOT_DATE = "2026-01-28";
+
    const PLAYER_DATA = [
     { id: 203999, name: "Nikola Jokic", team: "DEN", pos: "c_pos", age: 30.9, darko: 6.71, actualSalary: 55.2, futureSalaries: { "2026-27": 59.03, "2027-28": 62.84 } },
     { id: 202695, name: "Kawhi Leonard", team: "LAC", pos: "sf_pos", age: 34.6, darko: 6.21, actualSalary: 50.0, futureSalaries: { "2026-27": 50.30 } },
@@ -102,7 +105,6 @@
     { id: 1642281, name: "Jaylon Tyson", team: "CLE", pos: "sg_pos", age: 23.2, darko: -0.23, actualSalary: 3.4, futureSalaries: { "2026-27": 3.6, "2027-28": 5.4 } },
     { id: 1628969, name: "Mikal Bridges", team: "NYK", pos: "sg_pos", age: 29.4, darko: 0.38, actualSalary: 24.9, futureSalaries: { "2026-27": 33.48, "2027-28": 36.16, "2028-29": 38.84, "2029-30": 41.52 } },
     { id: 1641709, name: "Ausar Thompson", team: "DET", pos: "sg_pos", age: 23.0, darko: 0.71, actualSalary: 8.8, futureSalaries: { "2026-27": 11.12 } },
-    { id: 1629674, name: "Neemias Queta", team: "BOS", pos: "c_pos", age: 26.5, darko: 1.26, actualSalary: 2.3, futureSalaries: { "2026-27": 2.67 } },
     { id: 1631157, name: "Ryan Rollins", team: "MIL", pos: "pg_pos", age: 23.6, darko: 1.12, actualSalary: 4.0, futureSalaries: { "2026-27": 4.00, "2027-28": 4.00 } },
     { id: 1641744, name: "Zach Edey", team: "MEM", pos: "c_pos", age: 23.7, darko: 0.02, actualSalary: 6.0, futureSalaries: { "2026-27": 6.33, "2027-28": 8.07 } },
     { id: 1631165, name: "Keon Ellis", team: "SAC", pos: "sg_pos", age: 26.1, darko: 0.17, actualSalary: 2.3, futureSalaries: {} },
@@ -117,15 +119,11 @@
     { id: 1629723, name: "John Konchar", team: "MEM", pos: "sg_pos", age: 29.9, darko: -0.22, actualSalary: 6.2, futureSalaries: { "2026-27": 6.17 } },
     { id: 1629028, name: "Deandre Ayton", team: "LAL", pos: "c_pos", age: 27.5, darko: 0.2, actualSalary: 8.1, futureSalaries: { "2026-27": 8.10 } },
     { id: 1630541, name: "Moses Moody", team: "GSW", pos: "sg_pos", age: 23.7, darko: 0.88, actualSalary: 11.6, futureSalaries: { "2026-27": 12.50, "2027-28": 13.43 } },
-    { id: 203944, name: "Julius Randle", team: "MIN", pos: "pf_pos", age: 31.2, darko: 0.81, actualSalary: 30.9, futureSalaries: { "2026-27": 33.33, "2027-28": 35.80 } },
     { id: 1628976, name: "Wendell Carter Jr.", team: "ORL", pos: "pf_pos", age: 26.8, darko: 0.92, actualSalary: 10.9, futureSalaries: { "2026-27": 18.10, "2027-28": 19.55, "2028-29": 21.00 } },
-    { id: 1627742, name: "Brandon Ingram", team: "TOR", pos: "sf_pos", age: 28.4, darko: 0.97, actualSalary: 38.1, futureSalaries: { "2026-27": 40.00, "2027-28": 41.90 } },
     { id: 1630174, name: "Aaron Nesmith", team: "IND", pos: "sg_pos", age: 26.3, darko: 0.51, actualSalary: 11.0, futureSalaries: { "2026-27": 11.00, "2027-28": 19.42, "2028-29": 20.97 } },
-    { id: 1641717, name: "Cason Wallace", team: "OKC", pos: "sg_pos", age: 22.2, darko: 0.97, actualSalary: 5.8, futureSalaries: { "2026-27": 7.42 } },
     { id: 1642270, name: "Donovan Clingan", team: "POR", pos: "c_pos", age: 21.9, darko: 0.9, actualSalary: 7.2, futureSalaries: { "2026-27": 7.52, "2027-28": 9.55 } },
     { id: 1630540, name: "Miles McBride", team: "NYK", pos: "pg_pos", age: 25.4, darko: 0.4, actualSalary: 4.3, futureSalaries: { "2026-27": 3.96 } },
     { id: 1629636, name: "Darius Garland", team: "CLE", pos: "pg_pos", age: 26.0, darko: 0.5, actualSalary: 39.4, futureSalaries: { "2026-27": 42.17, "2027-28": 44.89 } },
-    { id: 1626167, name: "Myles Turner", team: "MIL", pos: "c_pos", age: 29.9, darko: 0.79, actualSalary: 25.3, futureSalaries: { "2026-27": 26.58, "2027-28": 27.85, "2028-29": 29.12 } },
     { id: 1631117, name: "Walker Kessler", team: "UTA", pos: "c_pos", age: 24.5, darko: 0.63, actualSalary: 4.9, futureSalaries: {} },
     { id: 1630581, name: "Josh Giddey", team: "CHI", pos: "pg_pos", age: 23.3, darko: 0.34, actualSalary: 25.0, futureSalaries: { "2026-27": 25.00, "2027-28": 25.00, "2028-29": 25.00 } },
     { id: 1627739, name: "Kris Dunn", team: "LAC", pos: "sg_pos", age: 31.9, darko: 0.58, actualSalary: 5.4, futureSalaries: { "2026-27": 5.68 } },
@@ -134,7 +132,6 @@
     { id: 1629680, name: "Matisse Thybulle", team: "POR", pos: "sg_pos", age: 28.9, darko: 0.59, actualSalary: 11.6, futureSalaries: {} },
     { id: 1631204, name: "Marcus Sasser", team: "DET", pos: "pg_pos", age: 25.4, darko: -0.15, actualSalary: 2.9, futureSalaries: { "2026-27": 5.20 } },
     { id: 1629027, name: "Trae Young", team: "WAS", pos: "pg_pos", age: 27.4, darko: 0.49, actualSalary: 46.0, futureSalaries: { "2026-27": 48.97 } },
-    { id: 1630193, name: "Immanuel Quickley", team: "TOR", pos: "pg_pos", age: 26.6, darko: 0.82, actualSalary: 32.5, futureSalaries: { "2026-27": 32.50, "2027-28": 32.50, "2028-29": 32.50 } },
     { id: 1631101, name: "Shaedon Sharpe", team: "POR", pos: "sg_pos", age: 22.7, darko: 0.62, actualSalary: 8.4, futureSalaries: { "2026-27": 20.09, "2027-28": 21.70, "2028-29": 23.30, "2029-30": 24.91 } },
     { id: 1630573, name: "Sam Hauser", team: "BOS", pos: "sf_pos", age: 28.1, darko: 0.59, actualSalary: 10.0, futureSalaries: { "2026-27": 10.85, "2027-28": 11.65, "2028-29": 12.46 } },
     { id: 1629675, name: "Naz Reid", team: "MIN", pos: "pf_pos", age: 26.4, darko: 0.68, actualSalary: 21.6, futureSalaries: { "2026-27": 23.28, "2027-28": 25.00, "2028-29": 26.72, "2029-30": 28.45 } },
@@ -531,4 +528,8 @@
     { id: 1642267, name: "Carlton Carrington", team: "WAS", pos: "pg_pos", age: 20.5, darko: -3.86, actualSalary: 4.7, futureSalaries: { "2026-27": 4.90, "2027-28": 7.26 } },
     { id: 1641722, name: "Jordan Hawkins", team: "NOP", pos: "sg_pos", age: 23.8, darko: -3.93, actualSalary: 4.7, futureSalaries: { "2026-27": 7.02 } },
     { id: 201145, name: "Jeff Green", team: "HOU", pos: "pf_pos", age: 39.4, darko: -4.89, actualSalary: 2.3, futureSalaries: {} }
-]
\ No newline at end of file
+]
+
+if (typeof module === "object" && module.exports) {
+    module.exports = { PLAYER_DATA, DATA_SNAPSHOT_DATE };
+}
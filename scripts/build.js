@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+// Builds what index.html loads, so the page runs straight from disk with no network:
+//
+//   npm run build
+//
+//   build/app.js    app.jsx with the JSX compiled away
+//   build/app.css   Tailwind from styles.css, purged to the classes index.html, app.jsx
+//                   and the model scripts use
+//   vendor/         React and ReactDOM, copied from the pinned versions in node_modules
+//
+// The output is committed; rerun after editing app.jsx or styles.css, or after bumping
+// React or Tailwind in package.json.
+const fs = require("fs");
+const path = require("path");
+const babel = require("@babel/core");
+const postcss = require("postcss");
+const tailwindcss = require("tailwindcss");
+
+const ROOT = path.join(__dirname, "..");
+const BUILD_DIR = path.join(ROOT, "build");
+const VENDOR_DIR = path.join(ROOT, "vendor");
+
+const banner = (source) => `Generated by scripts/build.js from ${source}; edit that and rebuild`;
+
+// Files Tailwind scans for class names
+const CONTENT = ["index.html", "app.jsx", "*.js"].map(pattern => path.join(ROOT, pattern));
+
+// The packages don't export their umd/ folders, so they're found from package.json
+const resolveUmd = (pkg, file) => path.join(path.dirname(require.resolve(`${pkg}/package.json`)), "umd", file);
+
+const VENDOR_FILES = [
+    resolveUmd("react", "react.production.min.js"),
+    resolveUmd("react-dom", "react-dom.production.min.js")
+];
+
+// Only the JSX is compiled; the page targets current browsers, like the rest of the scripts
+const buildScript = () => {
+    const { code } = babel.transformFileSync(path.join(ROOT, "app.jsx"), {
+        babelrc: false,
+        configFile: false,
+        presets: [["@babel/preset-react", { useSpread: true }]],
+        retainLines: true
+    });
+    fs.writeFileSync(path.join(BUILD_DIR, "app.js"), `// ${banner("app.jsx")}\n${code}\n`);
+};
+
+const buildStyles = async () => {
+    const from = path.join(ROOT, "styles.css");
+    const to = path.join(BUILD_DIR, "app.css");
+    const result = await postcss([tailwindcss({ content: CONTENT })]).process(fs.readFileSync(from, "utf8"), { from, to });
+    fs.writeFileSync(to, `/* ${banner("styles.css")} */\n${result.css}`);
+};
+
+const copyVendorFiles = () => {
+    VENDOR_FILES.forEach(file => fs.copyFileSync(file, path.join(VENDOR_DIR, path.basename(file))));
+};
+
+const main = async () => {
+    fs.mkdirSync(BUILD_DIR, { recursive: true });
+    fs.mkdirSync(VENDOR_DIR, { recursive: true });
+    buildScript();
+    await buildStyles();
+    copyVendorFiles();
+    process.stdout.write(`Built build/app.js, build/app.css and ${VENDOR_FILES.length} vendor files\n`);
+};
+
+if (require.main === module) {
+    main().catch(err => {
+        process.stderr.write(`${err.stack || err.message}\n`);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+// Rebuilds players.js from a DARKO export and a contracts CSV, joined on NBA player id.
+//
+//   node scripts/import-data.js --darko darko.csv --contracts contracts.csv --date 2026-02-04
+//   node scripts/import-data.js --darko darko.csv --contracts contracts.csv --write
+//   node scripts/import-data.js --check
+//
+// Without --write it only validates the files and reports what would change.
+// Run with --help for every option.
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const {
+    CURRENT_SEASON, FUTURE_SEASONS, SALARY_CAP, DEFAULT_ASSUMPTIONS, CONTRACT_OPTION_TYPES, normalizePosition, POSITION_LABELS
+} = require("../model.js");
+const { parseCsv } = require("../csv.js");
+
+const PLAYERS_FILE = path.join(__dirname, "..", "players.js");
+const SNAPSHOTS_FILE = path.join(__dirname, "..", "snapshots.js");
+
+const USAGE = `Usage: node scripts/import-data.js [options]
+
+  --darko <path>       DARKO export CSV: nba_id, player_name, team, pos, age, dpm
+  --contracts <path>   Contracts CSV: id plus one column per season (${CURRENT_SEASON} ... ${FUTURE_SEASONS[FUTURE_SEASONS.length - 1]}),
+                       optionally name and team (which wins over the DARKO team) and per-season
+                       "<season> option" (player/team/eto), "<season> guaranteed" and "<season> trigger"
+  --date <yyyy-mm-dd>  Snapshot date shown in the app (default: today)
+  --write              Regenerate players.js (otherwise a dry run)
+  --force              Write even if validation finds errors
+  --out <path>         Write somewhere other than players.js (needs --snapshots too)
+  --snapshots <path>   DARKO history the new snapshot is added to (default: snapshots.js)
+  --check              Only validate the current players.js
+`;
+
+const AGE_RANGE = [18, 45];
+const DARKO_RANGE = [-8, 10];
+
+// Most a contract can pay in a season, as a share of that season's projected cap: a 35%
+// max with four 8% raises. Anything above is a data error.
+const MAX_SALARY_SHARE = 0.35 * 1.32;
+
+// Salaries are in $M, so a cell this large is whole dollars ("$38,300,000")
+const WHOLE_DOLLARS = 1000;
+
+// Accepted header names for each field, first match wins
+const DARKO_COLUMNS = {
+    id: ["nba_id", "player_id", "id"],
+    name: ["player_name", "name", "player"],
+    team: ["team", "tm", "team_abbreviation"],
+    pos: ["pos", "position"],
+    age: ["age"],
+    darko: ["dpm", "darko"]
+};
+
+const CONTRACT_COLUMNS = {
+    id: ["nba_id", "player_id", "id"],
+    name: ["player_name", "name", "player"],
+    team: ["team", "tm", "team_abbreviation"]
+};
+
+// "PO", "TO" and "ETO" as written on most contract sites
+const OPTION_ALIASES = { p: "player", po: "player", t: "team", to: "team", eto: "eto" };
+
+const pick = (row, aliases) => {
+    const key = Object.keys(row).find(column => aliases.includes(column.toLowerCase()));
+    return key === undefined ? "" : row[key];
+};
+
+// Paths from the command line are relative to where the script is run, not to this file
+const requireFresh = (file) => {
+    const resolved = path.resolve(process.cwd(), file);
+    delete require.cache[resolved];
+    return require(resolved);
+};
+
+const loadCurrentData = (file = PLAYERS_FILE) => requireFresh(file);
+
+const loadSnapshots = (file = SNAPSHOTS_FILE) => {
+    if (!fs.existsSync(path.resolve(process.cwd(), file))) return [];
+    return requireFresh(file);
+};
+
+// --- Validation ---
+
+const getMaxSeasonSalary = (season) => MAX_SALARY_SHARE * SALARY_CAP * (DEFAULT_ASSUMPTIONS.inflationScalers[season] || 1);
+
+const checkSalary = (where, season, salary, errors) => {
+    if (!(salary >= 0)) errors.push(`${where}: invalid ${season} salary ${salary}`);
+    else if (salary > getMaxSeasonSalary(season)) {
+        errors.push(`${where}: ${season} salary ${salary} is above the largest possible contract ($${getMaxSeasonSalary(season).toFixed(1)}M); salaries are in $M`);
+    }
+};
+
+const validatePlayers = (players) => {
+    const errors = [];
+    const warnings = [];
+    const ids = new Map();
+    const names = new Map();
+
+    players.forEach((player, idx) => {
+        const where = `${player.name || "(no name)"} [row ${idx + 1}]`;
+        if (!Number.isInteger(player.id) || player.id <= 0) errors.push(`${where}: missing or invalid id "${player.id}"`);
+        if (!player.name) errors.push(`${where}: missing name`);
+        if (!player.team) errors.push(`${where}: missing team`);
+        if (!POSITION_LABELS[normalizePosition(player.pos)]) errors.push(`${where}: unknown position "${player.pos}"`);
+        if (!(player.age >= AGE_RANGE[0] && player.age <= AGE_RANGE[1])) {
+            errors.push(`${where}: age ${player.age} outside ${AGE_RANGE[0]}-${AGE_RANGE[1]}`);
+        }
+        if (!(player.darko >= DARKO_RANGE[0] && player.darko <= DARKO_RANGE[1])) {
+            errors.push(`${where}: DARKO ${player.darko} outside ${DARKO_RANGE[0]} to ${DARKO_RANGE[1]}`);
+        }
+        checkSalary(where, CURRENT_SEASON, player.actualSalary, errors);
+        Object.entries(player.futureSalaries || {}).forEach(([season, salary]) => {
+            if (!FUTURE_SEASONS.includes(season)) warnings.push(`${where}: salary for unmodeled season ${season}`);
+            checkSalary(where, season, salary, errors);
+        });
+        Object.entries(player.contractTerms || {}).forEach(([season, terms]) => {
+            const salary = player.futureSalaries?.[season];
+            if (!salary) errors.push(`${where}: contract terms for ${season} without a salary`);
+            if (terms.option && !CONTRACT_OPTION_TYPES[terms.option]) errors.push(`${where}: unknown ${season} option "${terms.option}"`);
+            if (terms.guaranteed !== undefined && !(terms.guaranteed >= 0 && terms.guaranteed <= salary)) {
+                errors.push(`${where}: ${season} guarantee ${terms.guaranteed} outside 0 to the salary`);
+            }
+            if (terms.triggerDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(terms.triggerDate)) {
+                errors.push(`${where}: ${season} trigger date "${terms.triggerDate}" is not yyyy-mm-dd`);
+            }
+        });
+
+        if (ids.has(player.id)) errors.push(`${where}: duplicate id ${player.id} (also ${ids.get(player.id)})`);
+        else ids.set(player.id, where);
+
+        const nameKey = String(player.name).toLowerCase();
+        if (names.has(nameKey) && names.get(nameKey) !== player.id) {
+            warnings.push(`${where}: duplicate name with a different id (${names.get(nameKey)})`);
+        } else {
+            names.set(nameKey, player.id);
+        }
+    });
+
+    return { errors, warnings };
+};
+
+// --- Import ---
+
+const parseNumberCell = (value) => (value === "" ? NaN : Number(String(value).replace(/[$,]/g, "")));
+
+// Joins DARKO and contract rows on id. Contracted players missing from DARKO are errors;
+// DARKO players without a contract row are left out and listed in `skipped`. Salary cells
+// in whole dollars are converted to $M, with a warning.
+const buildPlayers = (darkoRows, contractRows, currentPlayers = []) => {
+    const errors = [];
+    const warnings = [];
+    let wholeDollarCells = 0;
+    const parseSalaryCell = (value) => {
+        const salary = parseNumberCell(value);
+        if (!(salary >= WHOLE_DOLLARS)) return salary;
+        wholeDollarCells += 1;
+        return Math.round(salary / 1e4) / 100;
+    };
+    const current = new Map(currentPlayers.map(p => [p.id, p]));
+
+    const darkoById = new Map();
+    darkoRows.forEach((row, idx) => {
+        const id = Number(pick(row, DARKO_COLUMNS.id));
+        if (!Number.isInteger(id) || id <= 0) {
+            errors.push(`DARKO row ${idx + 2}: missing or invalid id "${pick(row, DARKO_COLUMNS.id)}"`);
+        } else if (darkoById.has(id)) {
+            errors.push(`DARKO row ${idx + 2}: duplicate id ${id}`);
+        } else {
+            darkoById.set(id, row);
+        }
+    });
+
+    const seasonColumns = contractRows.length > 0
+        ? Object.keys(contractRows[0]).filter(column => /^\d{4}-\d{2}$/.test(column))
+        : [];
+    if (contractRows.length > 0 && !seasonColumns.includes(CURRENT_SEASON)) {
+        errors.push(`Contracts file has no ${CURRENT_SEASON} column`);
+    }
+
+    const contractIds = new Set();
+    const players = [];
+    contractRows.forEach((row, idx) => {
+        const id = Number(pick(row, CONTRACT_COLUMNS.id));
+        if (!Number.isInteger(id) || id <= 0) {
+            errors.push(`Contracts row ${idx + 2}: missing or invalid id "${pick(row, CONTRACT_COLUMNS.id)}"`);
+            return;
+        }
+        if (contractIds.has(id)) {
+            errors.push(`Contracts row ${idx + 2}: duplicate id ${id}`);
+            return;
+        }
+        contractIds.add(id);
+
+        const darko = darkoById.get(id);
+        if (!darko) {
+            errors.push(`Contracts row ${idx + 2}: id ${id} (${pick(row, CONTRACT_COLUMNS.name) || "no name"}) is not in the DARKO file`);
+            return;
+        }
+
+        const existing = current.get(id) || {};
+        const futureSalaries = {};
+        seasonColumns.filter(season => season !== CURRENT_SEASON).forEach(season => {
+            if (row[season] === "") return;
+            const salary = parseSalaryCell(row[season]);
+            if (salary !== 0) futureSalaries[season] = salary;
+        });
+        const contractTerms = {};
+        Object.keys(futureSalaries).forEach(season => {
+            const terms = {};
+            const option = String(row[`${season} option`] || "").toLowerCase();
+            if (option) terms.option = OPTION_ALIASES[option] || option;
+            if (row[`${season} guaranteed`]) terms.guaranteed = parseSalaryCell(row[`${season} guaranteed`]);
+            if (row[`${season} trigger`]) terms.triggerDate = row[`${season} trigger`];
+            if (Object.keys(terms).length > 0) contractTerms[season] = terms;
+        });
+        const rawPos = pick(darko, DARKO_COLUMNS.pos);
+
+        players.push({
+            id,
+            name: pick(darko, DARKO_COLUMNS.name) || pick(row, CONTRACT_COLUMNS.name) || existing.name,
+            team: (pick(row, CONTRACT_COLUMNS.team) || pick(darko, DARKO_COLUMNS.team) || existing.team || "").toUpperCase(),
+            pos: rawPos ? `${normalizePosition(rawPos)}_pos` : existing.pos,
+            age: parseNumberCell(pick(darko, DARKO_COLUMNS.age)),
+            darko: parseNumberCell(pick(darko, DARKO_COLUMNS.darko)),
+            actualSalary: row[CURRENT_SEASON] === "" ? 0 : parseSalaryCell(row[CURRENT_SEASON]),
+            futureSalaries,
+            ...(Object.keys(contractTerms).length > 0 ? { contractTerms } : {})
+        });
+    });
+
+    if (wholeDollarCells > 0) warnings.push(`${wholeDollarCells} salary cells were in whole dollars and were converted to $M`);
+    const skipped = [...darkoById.keys()].filter(id => !contractIds.has(id));
+    players.sort((a, b) => b.darko - a.darko);
+    return { players, errors, warnings, skipped };
+};
+
+// --- Diff ---
+
+const diffPlayers = (before, after) => {
+    const beforeById = new Map(before.map(p => [p.id, p]));
+    const afterById = new Map(after.map(p => [p.id, p]));
+
+    const added = after.filter(p => !beforeById.has(p.id));
+    const removed = before.filter(p => !afterById.has(p.id));
+    const darkoChanges = [];
+    const teamChanges = [];
+    const salaryChanges = [];
+
+    after.forEach(player => {
+        const old = beforeById.get(player.id);
+        if (!old) return;
+        const delta = player.darko - old.darko;
+        if (Math.abs(delta) >= 0.005) darkoChanges.push({ player, from: old.darko, to: player.darko, delta });
+        if (old.team !== player.team) teamChanges.push({ player, from: old.team, to: player.team });
+        const oldContract = JSON.stringify([old.actualSalary, old.futureSalaries, old.contractTerms || {}]);
+        const newContract = JSON.stringify([player.actualSalary, player.futureSalaries, player.contractTerms || {}]);
+        if (oldContract !== newContract) salaryChanges.push({ player, from: old, to: player });
+    });
+    darkoChanges.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    return { added, removed, darkoChanges, teamChanges, salaryChanges };
+};
+
+const formatContract = (p) => [
+    `${CURRENT_SEASON} $${p.actualSalary}M`,
+    ...Object.entries(p.futureSalaries || {}).map(([season, salary]) => {
+        const option = p.contractTerms?.[season]?.option;
+        return `${season} $${salary}M${option ? ` (${option} option)` : ""}`;
+    })
+].join(", ");
+
+const formatDiff = (diff, limit = 15) => {
+    const lines = [
+        `${diff.added.length} added, ${diff.removed.length} removed, ${diff.darkoChanges.length} DARKO changes, ` +
+        `${diff.teamChanges.length} team changes, ${diff.salaryChanges.length} contract changes`
+    ];
+    const section = (title, items, format) => {
+        if (items.length === 0) return;
+        lines.push("", `${title}:`);
+        items.slice(0, limit).forEach(item => lines.push(`  ${format(item)}`));
+        if (items.length > limit) lines.push(`  ... and ${items.length - limit} more`);
+    };
+    section("Added", diff.added, p => `${p.name} (${p.team}, DARKO ${p.darko})`);
+    section("Removed", diff.removed, p => `${p.name} (${p.team})`);
+    section("Biggest DARKO changes", diff.darkoChanges, c => (
+        `${c.player.name}: ${c.from.toFixed(2)} -> ${c.to.toFixed(2)} (${c.delta > 0 ? "+" : ""}${c.delta.toFixed(2)})`
+    ));
+    section("Team changes", diff.teamChanges, c => `${c.player.name}: ${c.from} -> ${c.to}`);
+    section("Contract changes", diff.salaryChanges, c => `${c.player.name}: ${formatContract(c.from)} -> ${formatContract(c.to)}`);
+    return lines.join("\n");
+};
+
+// --- Output ---
+
+const formatContractTerms = (contractTerms) => {
+    const seasons = Object.entries(contractTerms).map(([season, terms]) => {
+        const fields = [];
+        if (terms.option) fields.push(`option: "${terms.option}"`);
+        if (terms.guaranteed !== undefined) fields.push(`guaranteed: ${terms.guaranteed.toFixed(2)}`);
+        if (terms.triggerDate) fields.push(`triggerDate: "${terms.triggerDate}"`);
+        return `"${season}": { ${fields.join(", ")} }`;
+    });
+    return `{ ${seasons.join(", ")} }`;
+};
+
+// actualSalary, futureSalaries and contractTerms, as written in players.js and snapshots.js
+const formatContractFields = (p) => {
+    const future = Object.entries(p.futureSalaries)
+        .map(([season, salary]) => `"${season}": ${salary.toFixed(2)}`)
+        .join(", ");
+    return `actualSalary: ${p.actualSalary.toFixed(1)}, futureSalaries: { ${future}${future ? " " : ""}}` +
+        (p.contractTerms ? `, contractTerms: ${formatContractTerms(p.contractTerms)}` : "");
+};
+
+const formatPlayer = (p) => (
+    `    { id: ${p.id}, name: ${JSON.stringify(p.name)}, team: "${p.team}", pos: "${p.pos}", ` +
+    `age: ${p.age.toFixed(1)}, darko: ${p.darko.toFixed(2)}, ${formatContractFields(p)} }`
+);
+
+const formatPlayersFile = (players, snapshotDate, sources = []) => [
+    `// Generated by scripts/import-data.js${sources.length ? ` from ${sources.join(" and ")}` : ""}`,
+    "// Date of the DARKO ratings below; shown in the app header",
+    `const DATA_SNAPSHOT_DATE = "${snapshotDate}";`,
+    "",
+    "const PLAYER_DATA = [",
+    players.map(formatPlayer).join(",\n"),
+    "];",
+    "",
+    "if (typeof module === \"object\" && module.exports) {",
+    "    module.exports = { PLAYER_DATA, DATA_SNAPSHOT_DATE };",
+    "}",
+    ""
+].join("\n");
+
+// Adds (or replaces) the snapshot for `date` and sorts the history oldest first. Besides
+// DARKO it records each player's team and contract, which can change between refreshes.
+const addSnapshot = (snapshots, players, date) => {
+    const darko = {};
+    const teams = {};
+    const contracts = {};
+    players.forEach(p => {
+        darko[p.id] = p.darko;
+        teams[p.id] = p.team;
+        contracts[p.id] = {
+            actualSalary: p.actualSalary,
+            futureSalaries: p.futureSalaries,
+            ...(p.contractTerms ? { contractTerms: p.contractTerms } : {})
+        };
+    });
+    return [...snapshots.filter(s => s.date !== date), { date, darko, teams, contracts }]
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// `perLine` entries to a line; older snapshots may lack teams and contracts
+const formatSnapshotField = (name, values, formatValue, perLine) => {
+    const entries = Object.entries(values).map(([id, value]) => `${id}: ${formatValue(value)}`);
+    const lines = [];
+    for (let i = 0; i < entries.length; i += perLine) lines.push(`            ${entries.slice(i, i + perLine).join(", ")}`);
+    return [`        ${name}: {`, lines.join(",\n"), "        }"].join("\n");
+};
+
+const formatSnapshot = ({ date, darko, teams, contracts }) => [
+    "    {",
+    `        date: "${date}",`,
+    [
+        formatSnapshotField("darko", darko, value => value.toFixed(2), 8),
+        ...(teams ? [formatSnapshotField("teams", teams, value => `"${value}"`, 8)] : []),
+        ...(contracts ? [formatSnapshotField("contracts", contracts, contract => `{ ${formatContractFields(contract)} }`, 1)] : [])
+    ].join(",\n"),
+    "    }"
+].join("\n");
+
+const formatSnapshotsFile = (snapshots) => [
+    "// DARKO ratings, teams and contracts from every data refresh, keyed by player id, oldest first.",
+    "// scripts/import-data.js --write adds each new snapshot here.",
+    "const DARKO_SNAPSHOTS = [",
+    snapshots.map(formatSnapshot).join(",\n"),
+    "];",
+    "",
+    "if (typeof module === \"object\" && module.exports) {",
+    "    module.exports = DARKO_SNAPSHOTS;",
+    "}",
+    ""
+].join("\n");
+
+const printIssues = ({ errors, warnings }) => {
+    errors.forEach(message => process.stderr.write(`error: ${message}\n`));
+    warnings.forEach(message => process.stderr.write(`warning: ${message}\n`));
+};
+
+const main = () => {
+    const { values } = parseArgs({
+        options: {
+            darko: { type: "string" },
+            contracts: { type: "string" },
+            date: { type: "string", default: new Date().toISOString().slice(0, 10) },
+            write: { type: "boolean", default: false },
+            force: { type: "boolean", default: false },
+            out: { type: "string" },
+            snapshots: { type: "string" },
+            check: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const { PLAYER_DATA } = loadCurrentData();
+
+    if (values.check) {
+        const issues = validatePlayers(PLAYER_DATA);
+        printIssues(issues);
+        process.stdout.write(`${PLAYER_DATA.length} players, ${issues.errors.length} errors, ${issues.warnings.length} warnings\n`);
+        return issues.errors.length > 0 ? 1 : 0;
+    }
+
+    if (!values.darko || !values.contracts) throw new Error("--darko and --contracts are both required");
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values.date)) throw new Error(`--date must be yyyy-mm-dd, got "${values.date}"`);
+    if (values.out && !values.snapshots) throw new Error("--out needs --snapshots as well, so the repo's snapshots.js is left alone");
+
+    const darkoRows = parseCsv(fs.readFileSync(values.darko, "utf8"));
+    const contractRows = parseCsv(fs.readFileSync(values.contracts, "utf8"));
+    const built = buildPlayers(darkoRows, contractRows, PLAYER_DATA);
+    const validation = validatePlayers(built.players);
+    const issues = { errors: [...built.errors, ...validation.errors], warnings: [...built.warnings, ...validation.warnings] };
+
+    printIssues(issues);
+    if (built.skipped.length > 0) {
+        process.stderr.write(`note: ${built.skipped.length} DARKO players have no contract row and were left out\n`);
+    }
+    process.stdout.write(`${formatDiff(diffPlayers(PLAYER_DATA, built.players))}\n`);
+
+    if (issues.errors.length > 0 && !values.force) {
+        process.stdout.write(`\n${issues.errors.length} errors; nothing written (use --force to write anyway)\n`);
+        return 1;
+    }
+    if (!values.write) {
+        process.stdout.write("\nDry run; use --write to regenerate players.js\n");
+        return 0;
+    }
+
+    // Build both files before writing either, so a bad snapshots file can't leave
+    // players.js and snapshots.js out of step
+    const out = values.out ? path.resolve(process.cwd(), values.out) : PLAYERS_FILE;
+    const snapshotsFile = values.snapshots ? path.resolve(process.cwd(), values.snapshots) : SNAPSHOTS_FILE;
+    const sources = [values.darko, values.contracts].map(file => path.basename(file));
+    const playersSource = formatPlayersFile(built.players, values.date, sources);
+    const snapshots = addSnapshot(loadSnapshots(snapshotsFile), built.players, values.date);
+    const snapshotsSource = formatSnapshotsFile(snapshots);
+
+    fs.writeFileSync(out, playersSource);
+    fs.writeFileSync(snapshotsFile, snapshotsSource);
+    process.stdout.write(`\nWrote ${built.players.length} players to ${out} (snapshot ${values.date})\n`);
+    process.stdout.write(`Added the ${values.date} snapshot to ${snapshotsFile} (${snapshots.length} snapshots)\n`);
+    return 0;
+};
+
+if (require.main === module) {
+    try {
+        process.exitCode = main();
+    } catch (err) {
+        process.stderr.write(`${err.message}\n\n${USAGE}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    validatePlayers,
+    buildPlayers,
+    diffPlayers,
+    formatDiff,
+    formatPlayersFile,
+    addSnapshot,
+    formatSnapshotsFile
+};
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+// Values every player in PLAYER_DATA and prints a ranked surplus table.
+//
+//   node scripts/value-league.js --team OKC --format csv > okc.csv
+//   node scripts/value-league.js --pos c --max-age 25 --tier All-Star
+//   node scripts/value-league.js --minutes-file minutes.csv --sort surplus --limit 25
+//
+// Run with --help for every option.
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const { PLAYER_DATA } = require("../players.js");
+const { CURRENT_SEASON, FUTURE_SEASONS, normalizeTeam, getPositionLabel } = require("../model.js");
+const {
+    SORT_KEYS,
+    projectLeague,
+    filterProjections,
+    sortProjections
+} = require("../league.js");
+const { getTeamDepthChart, getPlayerMinutes } = require("../depth.js");
+const { ADJUSTMENT_COMPONENTS, parseAdjustmentInputs, getComponentAdjustment } = require("../adjustments.js");
+const { parseCsv, formatCsv } = require("../csv.js");
+
+const USAGE = `Usage: node scripts/value-league.js [options]
+
+Output
+  --format <table|csv|json>   Output format (default: table)
+  --sort <key>                ${Object.keys(SORT_KEYS).join(", ")} (default: total)
+  --asc                       Sort ascending instead of descending
+  --limit <n>                 Only print the first n rows
+
+Filters
+  --team <code>               Team code, e.g. OKC
+  --pos <pos>                 pg, sg, sf, pf or c
+  --min-age <age>             Minimum age
+  --max-age <age>             Maximum age
+  --tier <label>              DARKO tier, e.g. "All-Star" or "Replacement Level"
+
+Playing time
+  --games <n>                 Games for every player (default: 70)
+  --minutes <n>               Minutes per game for every player (default: 30)
+  --minutes-file <path>       Per-player overrides keyed by player id: a JSON object
+                              ({ "203999": { "games": 74, "minutes": 34 } }) or a CSV
+                              with columns id,games,minutes[,adjustment]
+  --depth-charts <path>       Minutes from team depth charts: a JSON object of charts
+                              keyed by team code, as exported from the Depth Charts tab.
+                              Teams left out use the suggested chart for their roster.
+                              --minutes-file still overrides individual players
+
+Model
+  --positional                Apply positional value multipliers
+  --positional-aging          Use position-specific aging curves
+  --exercise-options          Total surplus with options exercised rationally
+  --assumptions <path>        JSON file overriding model assumptions, e.g.
+                              { "winCost": 5, "inflationScalers": { "2026-27": 1.1 } }
+  --adjustments <path>        CSV of adjustment component inputs (${Object.keys(ADJUSTMENT_COMPONENTS).join(", ")}) by id
+                              or name; every component in it is applied
+  --adjustment-settings <path>
+                              JSON file overriding component settings, e.g.
+                              { "pigeon": { "baseline": 12, "penalty": 0.15 } }
+`;
+
+const parseNumber = (value, flag) => {
+    if (value === undefined) return undefined;
+    const num = Number(value);
+    if (Number.isNaN(num)) throw new Error(`${flag} expects a number, got "${value}"`);
+    return num;
+};
+
+const readMinutesFile = (file) => {
+    const text = fs.readFileSync(file, "utf8");
+    if (path.extname(file).toLowerCase() === ".json") return JSON.parse(text);
+
+    const rows = parseCsv(text);
+    if (rows.length > 0 && !("id" in rows[0])) throw new Error(`${file} needs an "id" column`);
+
+    const overrides = {};
+    rows.forEach(row => {
+        overrides[row.id] = {};
+        ["games", "minutes", "adjustment"].forEach(field => {
+            if (row[field] !== undefined && row[field] !== "") {
+                overrides[row.id][field] = parseNumber(row[field], `${file} ${field}`);
+            }
+        });
+    });
+    return overrides;
+};
+
+const round = (value, digits = 2) => value === null ? null : Number(value.toFixed(digits));
+
+const toRows = (projections) => projections.map((projection, idx) => {
+    const { player } = projection;
+    const row = {
+        rank: idx + 1,
+        id: player.id,
+        name: player.name,
+        team: normalizeTeam(player.team),
+        pos: getPositionLabel(player.pos),
+        age: player.age,
+        games: projection.games,
+        minutes: projection.minutes,
+        darko: round(projection.adjustedDarko),
+        tier: projection.label,
+        value: round(projection.currentValue),
+        salary: round(projection.actualSalary),
+        [`surplus ${CURRENT_SEASON}`]: round(projection.currentSurplus)
+    };
+    projection.seasons.forEach(season => {
+        row[`surplus ${season.season}`] = round(season.surplus);
+    });
+    row.total = round(projection.totalSurplus);
+    return row;
+});
+
+const TEXT_COLUMNS = ["name", "team", "pos", "tier"];
+const MONEY_COLUMNS = /^(darko|value|salary|surplus|total)/;
+
+const formatTable = (rows, columns) => {
+    const headers = columns.map(c => c.replace(/^surplus /, ""));
+    const cells = rows.map(row => columns.map(column => {
+        const value = row[column];
+        if (value === null) return "FA";
+        return MONEY_COLUMNS.test(column) ? value.toFixed(1) : String(value);
+    }));
+    const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(r => r[i].length)));
+    const line = (values) => values.map((value, i) => (
+        TEXT_COLUMNS.includes(columns[i]) ? value.padEnd(widths[i]) : value.padStart(widths[i])
+    )).join("  ");
+    return [line(headers), widths.map(w => "-".repeat(w)).join("  "), ...cells.map(line)].join("\n");
+};
+
+const main = () => {
+    const { values } = parseArgs({
+        options: {
+            format: { type: "string", default: "table" },
+            sort: { type: "string", default: "total" },
+            asc: { type: "boolean", default: false },
+            limit: { type: "string" },
+            team: { type: "string" },
+            pos: { type: "string" },
+            "min-age": { type: "string" },
+            "max-age": { type: "string" },
+            tier: { type: "string" },
+            games: { type: "string" },
+            minutes: { type: "string" },
+            "minutes-file": { type: "string" },
+            "depth-charts": { type: "string" },
+            positional: { type: "boolean", default: false },
+            "positional-aging": { type: "boolean", default: false },
+            "exercise-options": { type: "boolean", default: false },
+            assumptions: { type: "string" },
+            adjustments: { type: "string" },
+            "adjustment-settings": { type: "string" },
+            help: { type: "boolean", short: "h", default: false }
+        }
+    });
+
+    if (values.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!["table", "csv", "json"].includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}"`);
+    }
+
+    const defaults = {
+        games: parseNumber(values.games, "--games"),
+        minutes: parseNumber(values.minutes, "--minutes"),
+        positional: values.positional,
+        positionalAging: values["positional-aging"],
+        exerciseOptions: values["exercise-options"],
+        assumptions: values.assumptions ? JSON.parse(fs.readFileSync(values.assumptions, "utf8")) : undefined
+    };
+    const overrides = values["minutes-file"] ? readMinutesFile(values["minutes-file"]) : {};
+
+    const adjustmentInputs = values.adjustments
+        ? parseAdjustmentInputs(parseCsv(fs.readFileSync(values.adjustments, "utf8")), PLAYER_DATA).inputs
+        : {};
+    const componentSettings = {};
+    Object.keys(ADJUSTMENT_COMPONENTS).forEach(key => { componentSettings[key] = { enabled: true }; });
+    if (values["adjustment-settings"]) {
+        const settings = JSON.parse(fs.readFileSync(values["adjustment-settings"], "utf8"));
+        Object.entries(settings).forEach(([key, value]) => { componentSettings[key] = { ...componentSettings[key], ...value }; });
+    }
+
+    const depthCharts = values["depth-charts"] ? JSON.parse(fs.readFileSync(values["depth-charts"], "utf8")) : null;
+    const getDepthMinutes = (player) => (
+        depthCharts ? getPlayerMinutes(getTeamDepthChart(depthCharts, PLAYER_DATA, player.team), player.id) : {}
+    );
+
+    const projections = projectLeague(PLAYER_DATA, player => {
+        const options = { ...defaults, ...getDepthMinutes(player), ...overrides[player.id] };
+        options.adjustment = (options.adjustment || 0) + getComponentAdjustment(player, adjustmentInputs, componentSettings);
+        Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+        return options;
+    });
+
+    const filtered = filterProjections(projections, {
+        team: values.team,
+        pos: values.pos,
+        minAge: parseNumber(values["min-age"], "--min-age"),
+        maxAge: parseNumber(values["max-age"], "--max-age"),
+        tier: values.tier
+    });
+
+    let ranked = sortProjections(filtered, values.sort, values.asc ? "asc" : "desc");
+    const limit = parseNumber(values.limit, "--limit");
+    if (limit !== undefined) ranked = ranked.slice(0, limit);
+
+    const rows = toRows(ranked);
+    if (values.format === "json") {
+        process.stdout.write(JSON.stringify(rows, null, 2) + "\n");
+        return;
+    }
+
+    const columns = [
+        "rank", "name", "team", "pos", "age", "darko", "tier", "value", "salary",
+        `surplus ${CURRENT_SEASON}`, ...FUTURE_SEASONS.map(season => `surplus ${season}`), "total"
+    ];
+    if (values.format === "csv") {
+        process.stdout.write(formatCsv(rows, ["id", ...columns, "games", "minutes"]) + "\n");
+    } else if (rows.length === 0) {
+        process.stdout.write("No players match those filters.\n");
+    } else {
+        process.stdout.write(formatTable(rows, columns) + "\n");
+    }
+};
+
+try {
+    main();
+} catch (err) {
+    process.stderr.write(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+}
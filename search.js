@@ -0,0 +1,267 @@
+// NBA Salary Model - player search
+// Ranks players for the search dropdown: accent-insensitive, nicknames, initials, typos,
+// plus filter tokens such as "team:OKC pos:c age:<25".
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalarySearch = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { POSITION_LABELS, normalizeTeam, normalizePosition } = SalaryModel;
+
+    // Nicknames by player id. Initials of the full name ("sga", "kat") already match
+    // without an entry; these are the ones that don't.
+    const PLAYER_ALIASES = {
+        1628983: ["shai"],
+        203076: ["the brow"],
+        2544: ["bron", "king james", "lbj"],
+        203999: ["joker", "the joker"],
+        1641705: ["wemby"],
+        203507: ["greek freak"],
+        101108: ["cp3"],
+        1626156: ["dlo"],
+        1628991: ["jjj", "trip j"],
+        201142: ["kd", "slim reaper"],
+        201939: ["steph", "chef curry"],
+        1630162: ["ant", "ant man"],
+        201935: ["the beard"],
+        203954: ["jojo"],
+        203484: ["kcp"],
+        1629008: ["mpj"],
+        1629638: ["naw"],
+        1631114: ["jdub", "j dub"],
+        204001: ["kp", "unicorn"],
+        202695: ["the claw"],
+        202331: ["pg13"],
+        1629027: ["ice trae"],
+        203992: ["bogi"],
+        202685: ["jv"],
+        202696: ["vooch"]
+    };
+
+    // Plural words that act as position filters in free text, e.g. "all OKC centers"
+    const POSITION_WORDS = {
+        guards: ["pg", "sg"],
+        wings: ["sf"],
+        forwards: ["sf", "pf"],
+        bigs: ["pf", "c"],
+        centers: ["c"]
+    };
+
+    const STOP_WORDS = ["all"];
+
+    // Letters that don't decompose under NFD, plus Cyrillic lookalikes seen in the data
+    const TRANSLITERATIONS = { "ø": "o", "æ": "ae", "ß": "ss", "đ": "d", "ł": "l", "ı": "i", "е": "e", "ё": "e", "о": "o", "а": "a" };
+
+    // "Dёmin", "Jokić" -> "demin", "jokic"; punctuation becomes a word break, except
+    // apostrophes and periods ("D'Angelo" -> "dangelo", "P.J." -> "pj")
+    const normalizeText = (text) => String(text || "")
+        .toLowerCase()
+        .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+        .replace(/./g, char => TRANSLITERATIONS[char] ?? char)
+        .replace(/['’.]/g, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+    const toWords = (text) => normalizeText(text).split(" ").filter(Boolean);
+
+    // Damerau-Levenshtein (optimal string alignment) distance
+    const getEditDistance = (a, b) => {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    };
+
+    // Typos allowed in a query word: none under 4 letters, 1 up to 6, then 2
+    const getMaxTypos = (word) => (word.length < 4 ? 0 : word.length < 7 ? 1 : 2);
+
+    const parseNumberFilter = (value) => {
+        const match = /^(<=|>=|<|>|=)?(-?\d+(?:\.\d+)?)(?:-(-?\d+(?:\.\d+)?))?$/.exec(value);
+        if (!match) return null;
+        const [, op = "=", from, to] = match;
+        if (to !== undefined) return { min: Number(from), max: Number(to) };
+        const num = Number(from);
+        if (op === "<") return { max: num, exclusive: true };
+        if (op === "<=") return { max: num };
+        if (op === ">") return { min: num, exclusive: true };
+        if (op === ">=") return { min: num };
+        return { min: num, max: num + 1, exclusive: true, floor: true };
+    };
+
+    const matchesNumber = (value, filter) => {
+        if (!filter) return true;
+        const { min, max, exclusive, floor } = filter;
+        if (floor) return value >= min && value < max;
+        if (min !== undefined && (exclusive ? value <= min : value < min)) return false;
+        if (max !== undefined && (exclusive ? value >= max : value > max)) return false;
+        return true;
+    };
+
+    const hasFilters = (filters) => Object.keys(filters).length > 0;
+
+    // Splits a query into free text and filters:
+    //   team:OKC          team code (aliases like BRK work)
+    //   pos:c             pg, sg, sf, pf or c; comma-separate several ("pos:pf,c")
+    //   age:<25           <, <=, >, >=, an exact age ("age:25" means 25.0-25.9) or a range ("age:22-25")
+    //   darko:>2          same comparisons as age
+    // An upper-case team code ("OKC") or a plural position ("centers") in the free text
+    // works as a filter too, and "all" is ignored. A lower-case code ("okc") is a filter
+    // when the query has other terms ("okc centers"); alone it may be the start of a name
+    // ("dal" for Dalton), so it stays a word and `teamOrName` holds the team.
+    // Returns { words, filters, errors, teamOrName }.
+    const parseQuery = (query, teams = []) => {
+        const filters = {};
+        const errors = [];
+        const words = [];
+        const teamWords = [];
+        String(query || "").trim().split(/\s+/).filter(Boolean).forEach(token => {
+            const field = /^(team|pos|age|darko):(.*)$/i.exec(token);
+            if (field) {
+                const [, key, value] = field;
+                const name = key.toLowerCase();
+                if (name === "team") {
+                    filters.team = normalizeTeam(value);
+                    if (teams.length > 0 && !teams.includes(filters.team)) errors.push(`Unknown team "${value}"`);
+                } else if (name === "pos") {
+                    const positions = value.split(",").map(normalizePosition).filter(pos => POSITION_LABELS[pos]);
+                    if (positions.length > 0) filters.pos = positions;
+                    else errors.push(`Unknown position "${value}"`);
+                } else {
+                    const filter = parseNumberFilter(value);
+                    if (filter) filters[name] = filter;
+                    else errors.push(`Can't read ${name}:${value}`);
+                }
+                return;
+            }
+            const lower = token.toLowerCase();
+            if (token.length === 3 && teams.includes(normalizeTeam(token))) {
+                if (token === token.toUpperCase()) filters.team = normalizeTeam(token);
+                else teamWords.push(token);
+            } else if (POSITION_WORDS[lower]) {
+                filters.pos = POSITION_WORDS[lower];
+            } else if (!STOP_WORDS.includes(lower)) {
+                words.push(...toWords(token));
+            }
+        });
+
+        let teamOrName = null;
+        if (teamWords.length === 1 && words.length === 0 && !hasFilters(filters)) {
+            words.push(...toWords(teamWords[0]));
+            teamOrName = normalizeTeam(teamWords[0]);
+        } else if (teamWords.length > 0) {
+            filters.team = filters.team || normalizeTeam(teamWords[teamWords.length - 1]);
+        }
+        return { words, filters, errors, teamOrName };
+    };
+
+    // Filters only match rostered players, so draft picks (no team) drop out
+    const matchesFilters = (player, filters) => {
+        if (!hasFilters(filters)) return true;
+        const team = normalizeTeam(player.team);
+        if (!team) return false;
+        if (filters.team && team !== filters.team) return false;
+        if (filters.pos && !filters.pos.includes(normalizePosition(player.pos))) return false;
+        if (!matchesNumber(player.age, filters.age)) return false;
+        if (!matchesNumber(player.darko, filters.darko)) return false;
+        return true;
+    };
+
+    // Initials of every name word, splitting hyphenated names ("Gilgeous-Alexander" -> "ga")
+    const getInitials = (name) => toWords(String(name).replace(/-/g, " ")).map(word => word[0]).join("");
+
+    // Matches each query word to a different name word: 3 for an exact word, 2 for a
+    // prefix, 1 within the typo allowance (of the whole word or a same-length prefix).
+    // Returns the summed quality and typo count, or null if a word can't be placed.
+    const matchWords = (queryWords, nameWords) => {
+        const used = new Set();
+        let quality = 0;
+        let typos = 0;
+        for (const word of queryWords) {
+            let best = null;
+            nameWords.forEach((nameWord, idx) => {
+                if (used.has(idx)) return;
+                let candidate = null;
+                if (nameWord === word) candidate = { quality: 3, typos: 0 };
+                else if (nameWord.startsWith(word)) candidate = { quality: 2, typos: 0 };
+                else {
+                    const distance = Math.min(
+                        getEditDistance(word, nameWord),
+                        getEditDistance(word, nameWord.slice(0, word.length))
+                    );
+                    if (distance > 0 && distance <= getMaxTypos(word)) candidate = { quality: 1, typos: distance };
+                }
+                if (candidate && (!best || candidate.quality > best.quality || (candidate.quality === best.quality && candidate.typos < best.typos))) {
+                    best = { ...candidate, idx };
+                }
+            });
+            if (!best) return null;
+            used.add(best.idx);
+            quality += best.quality;
+            typos += best.typos;
+        }
+        return { quality, typos };
+    };
+
+    // Match score for one player (higher is better) and what matched, or null:
+    //   100 full name · 95 nickname · 90 initials · 60-90 name words (exact > prefix > typo)
+    const scorePlayer = (player, words) => {
+        const query = words.join(" ");
+        const name = normalizeText(player.name);
+        if (name === query) return { score: 100, matchedBy: "name" };
+
+        const aliases = PLAYER_ALIASES[player.id] || [];
+        if (aliases.some(alias => normalizeText(alias) === query)) return { score: 95, matchedBy: "nickname" };
+        if (words.length === 1 && query.length >= 2 && getInitials(player.name) === query) return { score: 90, matchedBy: "initials" };
+
+        const candidates = [toWords(player.name), ...aliases.map(toWords)];
+        let best = null;
+        candidates.forEach((nameWords, idx) => {
+            const match = matchWords(words, nameWords);
+            if (!match) return;
+            // Exact words score highest; each typo costs 5
+            let score = 60 + 30 * (match.quality / (3 * words.length)) - 5 * match.typos;
+            if (idx === 0 && name.startsWith(query)) score += 2;
+            if (idx > 0) score -= 5;
+            if (!best || score > best.score) best = { score, matchedBy: match.typos > 0 ? "typo" : idx > 0 ? "nickname" : "name" };
+        });
+        return best;
+    };
+
+    // Ranks `players` for a query: by match score, then DARKO. A query of only filters
+    // lists every matching player by DARKO. A lone lower-case team code lists the name
+    // matches first, then the rest of that team. Returns { results: [{ player, score,
+    // matchedBy }], filters, errors }.
+    const searchPlayers = (players, query, teams = []) => {
+        const { words, filters, errors, teamOrName } = parseQuery(query, teams);
+        if (words.length === 0 && !hasFilters(filters)) return { results: [], filters, errors };
+
+        const results = [];
+        players.forEach(player => {
+            if (!matchesFilters(player, filters)) return;
+            let match = words.length > 0 ? scorePlayer(player, words) : { score: 0, matchedBy: "filter" };
+            if (!match && teamOrName && normalizeTeam(player.team) === teamOrName) match = { score: 0, matchedBy: "filter" };
+            if (match) results.push({ player, ...match });
+        });
+        results.sort((a, b) => b.score - a.score || b.player.darko - a.player.darko);
+        return { results, filters, errors };
+    };
+
+    return {
+        PLAYER_ALIASES,
+        POSITION_WORDS,
+        normalizeText,
+        getEditDistance,
+        parseQuery,
+        searchPlayers
+    };
+});
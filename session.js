@@ -0,0 +1,53 @@
+// NBA Salary Model - comparison sessions
+// Encodes the comparison cards (player id plus sliders) into a compact string for share links
+// and saved sessions, e.g. "203999_70_30_0,1628983_65_d_1.5". Minutes of "d" mean the card
+// takes its minutes from the player's team depth chart.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalarySession = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { DEFAULT_GAMES, DEFAULT_MINUTES } = SalaryModel;
+
+    const CARD_SEPARATOR = ",";
+    const FIELD_SEPARATOR = "_";
+    const DEPTH_CHART_MINUTES = "d";
+
+    const clamp = (value, min, max, fallback) => {
+        const num = Number(value);
+        if (value === "" || value === undefined || Number.isNaN(num)) return fallback;
+        return Math.min(max, Math.max(min, num));
+    };
+
+    // Cards are { playerId, games, minutes, improvement, depthChart }; empty cards have a null playerId
+    const encodeComparisons = (cards) => cards.map(({ playerId, games, minutes, improvement, depthChart }) => [
+        playerId === null || playerId === undefined ? "" : playerId,
+        games,
+        depthChart ? DEPTH_CHART_MINUTES : minutes,
+        Number(improvement.toFixed(1))
+    ].join(FIELD_SEPARATOR)).join(CARD_SEPARATOR);
+
+    // Inverse of encodeComparisons. Sliders are clamped to their UI ranges and players
+    // that are no longer in `players` come back as empty cards, so old links still open.
+    const decodeComparisons = (encoded, players) => {
+        if (!encoded) return [];
+        return String(encoded).split(CARD_SEPARATOR).map(card => {
+            const [id, games, minutes, improvement] = card.split(FIELD_SEPARATOR);
+            const player = id ? players.find(p => String(p.id) === id) : null;
+            return {
+                player: player || null,
+                games: Math.round(clamp(games, 1, 82, DEFAULT_GAMES)),
+                minutes: Math.round(clamp(minutes, 0, 48, DEFAULT_MINUTES)),
+                improvement: clamp(improvement, -5, 5, 0),
+                depthChart: minutes === DEPTH_CHART_MINUTES
+            };
+        });
+    };
+
+    return {
+        encodeComparisons,
+        decodeComparisons
+    };
+});
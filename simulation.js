@@ -0,0 +1,173 @@
+// NBA Salary Model - Monte Carlo uncertainty
+// Reruns projectPlayer with sampled DARKO error, aging noise and games played to put
+// percentile bands around a player's value and contract surplus.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalarySimulation = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { CURRENT_SEASON, FUTURE_SEASONS, ALL_SEASONS, DEFAULT_GAMES, projectPlayer, getSeasonRows } = SalaryModel;
+
+    const DEFAULT_SIMULATION = {
+        runs: 1000,
+        seed: 1,
+        darkoError: 1.0,        // SD of the gap between DARKO and true current impact
+        agingSd: 0.5,           // SD of each year's DARKO change around getAgingDelta
+        gamesSd: 6,             // SD of games played around the chosen games
+        injuryRate: 0.15,       // chance per season of a significant injury
+        injuryGamesMin: 15,     // games missed by a significant injury, drawn uniformly
+        injuryGamesMax: 60
+    };
+
+    // Limits for settings.runs; past a few thousand runs the bands barely move and the page stalls
+    const MIN_RUNS = 1;
+    const MAX_RUNS = 5000;
+
+    const PERCENTILES = [0.1, 0.5, 0.9];
+
+    // DEFAULT_SIMULATION with `overrides` kept in range, whoever passes them: runs a whole
+    // number within MIN_RUNS-MAX_RUNS, the SDs non-negative, the injury chance 0-1 and the
+    // games lost to injury within a season, max no lower than min. Anything that isn't a
+    // finite number gets the default.
+    const clampSimulationSettings = (overrides = {}) => {
+        const settings = { ...DEFAULT_SIMULATION, ...overrides };
+        const read = (field) => (Number.isFinite(Number(settings[field])) ? Number(settings[field]) : DEFAULT_SIMULATION[field]);
+        const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+        const injuryGamesMin = clamp(read("injuryGamesMin"), 0, 82);
+        return {
+            ...settings,
+            runs: clamp(Math.round(read("runs")), MIN_RUNS, MAX_RUNS),
+            darkoError: Math.max(0, read("darkoError")),
+            agingSd: Math.max(0, read("agingSd")),
+            gamesSd: Math.max(0, read("gamesSd")),
+            injuryRate: clamp(read("injuryRate"), 0, 1),
+            injuryGamesMin,
+            injuryGamesMax: clamp(read("injuryGamesMax"), injuryGamesMin, 82)
+        };
+    };
+
+    // Mulberry32: a small seedable PRNG returning floats in [0, 1)
+    const createRng = (seed = DEFAULT_SIMULATION.seed) => {
+        let state = Number(seed) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    // Standard normal draw (Box-Muller)
+    const sampleNormal = (rng) => {
+        const u = 1 - rng();
+        const v = rng();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+
+    // Seasons set to 0 games (e.g. before a draft pick's rookie season) stay at 0
+    const sampleGames = (rng, games, settings) => {
+        if (games === 0) return 0;
+        let sampled = games + sampleNormal(rng) * settings.gamesSd;
+        if (rng() < settings.injuryRate) {
+            sampled -= settings.injuryGamesMin + rng() * (settings.injuryGamesMax - settings.injuryGamesMin);
+        }
+        return Math.round(Math.min(82, Math.max(0, sampled)));
+    };
+
+    // Linear interpolation between the closest ranks of an ascending array
+    const getPercentile = (sorted, p) => {
+        if (sorted.length === 0) return null;
+        const rank = p * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    };
+
+    // { p10, p50, p90 } of a list of numbers, or null when there are none
+    const summarize = (values) => {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const summary = {};
+        PERCENTILES.forEach(p => { summary[`p${Math.round(p * 100)}`] = getPercentile(sorted, p); });
+        return summary;
+    };
+
+    // Equal-width bins over the range of `values`: [{ from, to, count }]
+    const getHistogram = (values, binCount = 20) => {
+        if (values.length === 0) return [];
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const width = (max - min) / binCount || 1;
+        const bins = Array.from({ length: binCount }, (_, idx) => ({ from: min + idx * width, to: min + (idx + 1) * width, count: 0 }));
+        values.forEach(value => {
+            bins[Math.min(binCount - 1, Math.floor((value - min) / width))].count += 1;
+        });
+        return bins;
+    };
+
+    // Runs `settings.runs` projections of one player. `options` are the projectPlayer
+    // options (games, minutes, adjustment, model toggles, assumptions) the card uses;
+    // games are sampled around `options.seasonGames` where it sets a season.
+    // Returns percentile bands for value and surplus per season (current season first),
+    // for total surplus, and every run's total surplus for a histogram. `overrides` go
+    // through clampSimulationSettings, and the result carries the settings used.
+    const simulatePlayer = (player, options = {}, overrides = {}) => {
+        const settings = clampSimulationSettings(overrides);
+        const rng = createRng(settings.seed);
+        const games = options.games ?? DEFAULT_GAMES;
+        const seasonValues = ALL_SEASONS.map(() => []);
+        const seasonSurpluses = ALL_SEASONS.map(() => []);
+        const totals = [];
+
+        for (let run = 0; run < settings.runs; run++) {
+            const seasonGames = {};
+            const darkoShifts = {};
+            let agingNoise = 0;
+            seasonGames[CURRENT_SEASON] = sampleGames(rng, options.seasonGames?.[CURRENT_SEASON] ?? games, settings);
+            FUTURE_SEASONS.forEach(season => {
+                agingNoise += sampleNormal(rng) * settings.agingSd;
+                darkoShifts[season] = agingNoise;
+                seasonGames[season] = sampleGames(rng, options.seasonGames?.[season] ?? games, settings);
+            });
+
+            const projection = projectPlayer(player, {
+                ...options,
+                adjustment: (options.adjustment || 0) + sampleNormal(rng) * settings.darkoError,
+                seasonGames,
+                darkoShifts
+            });
+            getSeasonRows(projection).forEach((row, idx) => {
+                seasonValues[idx].push(row.value);
+                if (row.surplus !== null) seasonSurpluses[idx].push(row.surplus);
+            });
+            totals.push(projection.totalSurplus);
+        }
+
+        return {
+            settings,
+            seasons: ALL_SEASONS.map((season, idx) => ({
+                season,
+                value: summarize(seasonValues[idx]),
+                surplus: summarize(seasonSurpluses[idx])
+            })),
+            totalSurplus: summarize(totals),
+            outcomes: totals
+        };
+    };
+
+    return {
+        DEFAULT_SIMULATION,
+        MIN_RUNS,
+        MAX_RUNS,
+        clampSimulationSettings,
+        createRng,
+        sampleNormal,
+        getPercentile,
+        summarize,
+        getHistogram,
+        simulatePlayer
+    };
+});
@@ -0,0 +1,675 @@
+// DARKO ratings, teams and contracts from every data refresh, keyed by player id, oldest first.
+// scripts/import-data.js --write adds each new snapshot here.
+const DARKO_SNAPSHOTS = [
+    {
+        date: "2026-01-28",
+        darko: {
+            2544: 1.28, 101108: -2.44, 200768: -3.03, 201142: 2.95, 201143: -1.30, 201144: -1.21, 201145: -4.89, 201566: -2.37,
+            201567: -2.59, 201569: -2.02, 201572: -0.80, 201587: -1.17, 201599: -2.60, 201935: 3.00, 201939: 2.54, 201942: -1.51,
+            201950: -0.59, 202066: -3.02, 202331: 1.98, 202681: 1.43, 202685: -1.72, 202687: -3.39, 202691: -1.07, 202695: 6.21,
+            202696: -1.67, 202699: -0.02, 202710: 2.86, 203076: 2.57, 203078: -1.50, 203081: 0.17, 203083: -1.11, 203084: 0.18,
+            203110: 1.89, 203114: -1.05, 203468: -0.50, 203471: -2.57, 203482: -0.42, 203484: -0.23, 203486: -0.01, 203497: 3.02,
+            203500: 1.98, 203501: -1.39, 203507: 5.93, 203552: -1.82, 203648: -1.35, 203897: -1.86, 203903: -2.37, 203914: -0.93,
+            203924: -1.35, 203926: -1.95, 203932: 3.11, 203935: 0.35, 203937: -0.99, 203939: 1.77, 203944: 0.81, 203952: -0.40,
+            203954: 3.14, 203957: -0.43, 203967: -2.19, 203991: -0.36, 203992: -0.24, 203994: -0.20, 203999: 6.71, 204001: 1.55,
+            204060: -3.74, 204456: -0.55, 1626145: -1.64, 1626156: -1.10, 1626157: 1.65, 1626162: -0.38, 1626164: 2.30, 1626167: 0.79,
+            1626171: -1.10, 1626172: -0.33, 1626179: -2.83, 1626181: 0.89, 1626192: -1.31, 1626204: -1.91, 1626220: -0.58, 1627734: -0.54,
+            1627739: 0.58, 1627741: -1.00, 1627742: 0.97, 1627747: -1.20, 1627749: -1.01, 1627750: 2.73, 1627751: 2.11, 1627752: -1.35,
+            1627759: 2.53, 1627777: -0.93, 1627780: -0.72, 1627783: 1.76, 1627824: -1.85, 1627826: 2.29, 1627827: -0.03, 1627832: 1.85,
+            1627884: 1.09, 1627936: 2.41, 1628366: 0.68, 1628368: 1.43, 1628369: 5.03, 1628370: -0.48, 1628371: 1.25, 1628374: 1.89,
+            1628378: 5.36, 1628379: -0.20, 1628380: -0.10, 1628381: 1.52, 1628384: 2.34, 1628386: 2.66, 1628389: 2.46, 1628392: 2.58,
+            1628396: -1.26, 1628398: -3.58, 1628401: 2.22, 1628404: 0.50, 1628415: -0.57, 1628418: -1.27, 1628436: 0.92, 1628449: -0.09,
+            1628467: -1.27, 1628502: -1.90, 1628960: 0.19, 1628963: -0.14, 1628969: 0.38, 1628970: -0.19, 1628971: -2.39, 1628973: 2.53,
+            1628975: -0.66, 1628976: 0.92, 1628978: 1.28, 1628983: 5.96, 1628988: -1.01, 1628989: -0.28, 1628991: 1.35, 1628997: -1.56,
+            1629001: 1.49, 1629004: -1.04, 1629006: 0.48, 1629008: 1.58, 1629011: 2.15, 1629012: 0.17, 1629013: -0.10, 1629014: -0.35,
+            1629018: -2.00, 1629020: 1.25, 1629021: -0.51, 1629023: -1.20, 1629026: 1.84, 1629027: 0.49, 1629028: 0.20, 1629029: 4.19,
+            1629048: 0.62, 1629057: 1.75, 1629060: -0.90, 1629111: -0.57, 1629130: -0.08, 1629162: 0.51, 1629216: -1.87, 1629234: -1.46,
+            1629312: -0.67, 1629599: -2.42, 1629611: -2.00, 1629614: -0.23, 1629618: -1.68, 1629622: 0.37, 1629627: 0.78, 1629628: -0.12,
+            1629630: 1.03, 1629631: -0.64, 1629632: 0.49, 1629634: 1.50, 1629636: 0.50, 1629637: -0.50, 1629638: -0.12, 1629639: 1.32,
+            1629640: -0.28, 1629645: 1.05, 1629646: -1.39, 1629651: -1.09, 1629652: 0.57, 1629655: 0.22, 1629656: -0.58, 1629660: 0.83,
+            1629661: 0.15, 1629673: -1.89, 1629674: 1.26, 1629675: 0.68, 1629680: 0.59, 1629684: 0.08, 1629723: -0.22, 1629731: 0.25,
+            1629750: 0.26, 1630162: 4.57, 1630163: 1.65, 1630166: 1.71, 1630167: -0.67, 1630168: 0.76, 1630169: 3.64, 1630170: -0.39,
+            1630171: -0.74, 1630172: -2.89, 1630173: -0.75, 1630174: 0.51, 1630175: -1.96, 1630178: 1.98, 1630180: -0.41, 1630182: 0.04,
+            1630183: 1.20, 1630188: 1.90, 1630191: -0.79, 1630192: -2.12, 1630193: 0.82, 1630194: 1.37, 1630200: -0.25, 1630202: 0.92,
+            1630208: -1.92, 1630214: -0.82, 1630217: 0.07, 1630224: 0.35, 1630228: -1.26, 1630230: -1.08, 1630241: 0.31, 1630245: -0.91,
+            1630249: -0.62, 1630256: -1.06, 1630264: -2.55, 1630311: -1.78, 1630314: -0.76, 1630322: -2.08, 1630529: 1.09, 1630530: -0.21,
+            1630532: 1.60, 1630533: -0.84, 1630534: -1.61, 1630536: -2.87, 1630538: 0.64, 1630540: 0.40, 1630541: 0.88, 1630543: -0.66,
+            1630544: -2.36, 1630545: -2.78, 1630548: -1.57, 1630549: 1.56, 1630551: -0.29, 1630552: 1.06, 1630557: -0.95, 1630558: 0.15,
+            1630559: 2.20, 1630560: -1.51, 1630567: 2.00, 1630568: 0.08, 1630569: -1.66, 1630570: -1.66, 1630572: 1.38, 1630573: 0.59,
+            1630574: -2.07, 1630577: 0.85, 1630578: 2.00, 1630579: -3.24, 1630581: 0.34, 1630583: -0.25, 1630587: -0.78, 1630590: 1.07,
+            1630591: 1.62, 1630592: -1.48, 1630595: 2.67, 1630596: 2.60, 1630598: 1.82, 1630604: -1.04, 1630607: -1.30, 1630611: -0.44,
+            1630619: -0.90, 1630621: -2.95, 1630623: -2.81, 1630631: -0.18, 1630639: -2.11, 1630643: -0.65, 1630649: -2.04, 1630658: -3.07,
+            1630679: -2.43, 1630692: -0.61, 1630695: -1.75, 1630696: -0.40, 1630699: -2.37, 1630700: 0.27, 1630702: -1.26, 1630703: -1.27,
+            1630811: -1.40, 1630828: -2.04, 1631034: -2.42, 1631093: -0.89, 1631094: 0.13, 1631095: 0.26, 1631096: 3.65, 1631097: -2.81,
+            1631099: -0.01, 1631101: 0.62, 1631102: -1.01, 1631103: -1.91, 1631104: -1.47, 1631105: 0.28, 1631106: 1.86, 1631107: -0.47,
+            1631108: -0.21, 1631109: -0.12, 1631110: -2.19, 1631111: -0.89, 1631114: 1.55, 1631115: -3.31, 1631117: 0.63, 1631119: -0.29,
+            1631120: -1.50, 1631121: -1.73, 1631123: -0.10, 1631124: -3.06, 1631126: -3.17, 1631127: -0.98, 1631128: 0.67, 1631131: -0.73,
+            1631132: -1.76, 1631133: -1.07, 1631157: 1.12, 1631159: -1.37, 1631161: -0.66, 1631165: 0.17, 1631166: -1.76, 1631169: 1.12,
+            1631170: -0.31, 1631172: -1.66, 1631199: -1.40, 1631200: -0.16, 1631204: -0.15, 1631207: -0.76, 1631212: -0.70, 1631213: -1.94,
+            1631216: -1.25, 1631217: 0.60, 1631218: -1.15, 1631221: 1.40, 1631222: -0.05, 1631230: -0.53, 1631243: 0.54, 1631245: -0.71,
+            1631246: -1.60, 1631247: -1.86, 1631248: -0.39, 1631250: -1.64, 1631255: -1.52, 1631260: -0.03, 1631288: -1.40, 1631321: -1.25,
+            1631323: -0.99, 1631342: -1.99, 1631451: -2.52, 1641705: 5.22, 1641706: -0.13, 1641707: -1.83, 1641708: 1.51, 1641709: 0.71,
+            1641710: 0.08, 1641712: -1.66, 1641713: -2.21, 1641715: -2.07, 1641716: -2.13, 1641717: 0.97, 1641718: -1.32, 1641722: -3.93,
+            1641724: -2.38, 1641725: -1.92, 1641726: 1.04, 1641729: -1.86, 1641730: -1.12, 1641731: -1.26, 1641733: -2.87, 1641737: -0.14,
+            1641738: -1.50, 1641739: 0.52, 1641740: -1.21, 1641744: 0.02, 1641747: -1.50, 1641748: -1.45, 1641750: -1.04, 1641752: -2.50,
+            1641755: -1.88, 1641757: -0.16, 1641763: -0.08, 1641764: 0.66, 1641765: -1.58, 1641767: -2.01, 1641772: -1.48, 1641774: -0.32,
+            1641775: 0.40, 1641780: -3.63, 1641783: -1.65, 1641790: -2.07, 1641796: -0.64, 1641801: -1.39, 1641803: -1.93, 1641810: -0.29,
+            1641815: -1.80, 1641816: -3.28, 1641824: 0.17, 1641842: -0.51, 1641854: -0.37, 1641871: -1.15, 1641989: -1.78, 1641998: -3.51,
+            1642066: -0.39, 1642258: -1.34, 1642259: -1.83, 1642260: -0.54, 1642261: -1.35, 1642262: -2.68, 1642263: -0.39, 1642264: -1.31,
+            1642265: -3.31, 1642266: -1.29, 1642267: -3.86, 1642268: -2.68, 1642269: -0.57, 1642270: 0.90, 1642271: -1.38, 1642272: -1.76,
+            1642273: -1.07, 1642274: -1.03, 1642275: -2.01, 1642276: -0.24, 1642277: -0.54, 1642278: -1.48, 1642281: -0.23, 1642285: 0.10,
+            1642345: 0.64, 1642346: 0.12, 1642347: -0.46, 1642348: -2.67, 1642349: 0.51, 1642352: -1.39, 1642353: -1.67, 1642354: -2.64,
+            1642355: -2.78, 1642357: -1.45, 1642358: -3.78, 1642359: -1.85, 1642363: -1.76, 1642364: -0.96, 1642365: -1.94, 1642366: -0.85,
+            1642367: -1.77, 1642368: -2.34, 1642377: -1.53, 1642382: -1.66, 1642383: -1.66, 1642384: -1.31, 1642402: -2.13, 1642403: -2.03,
+            1642404: -2.12, 1642419: -1.66, 1642443: -2.40, 1642449: -1.35, 1642450: -1.05, 1642461: -0.45, 1642484: -2.11, 1642502: -3.10,
+            1642530: 0.05, 1642843: -1.02, 1642844: -1.20, 1642845: -0.93, 1642846: -1.99, 1642847: -1.87, 1642848: -2.15, 1642849: -2.68,
+            1642850: -1.84, 1642851: 1.39, 1642852: 0.26, 1642853: -2.47, 1642854: -0.84, 1642855: -2.05, 1642856: -1.19, 1642857: -0.93,
+            1642859: -2.74, 1642860: -2.38, 1642862: -1.78, 1642863: -2.02, 1642864: -0.82, 1642866: -1.68, 1642867: -0.29, 1642868: -3.32,
+            1642869: -1.18, 1642873: -3.47, 1642874: -2.17, 1642875: -2.37, 1642876: -2.64, 1642877: -1.49, 1642878: -1.80, 1642879: -2.12,
+            1642880: -3.22, 1642883: -1.95, 1642884: -2.76, 1642885: -2.16, 1642886: -1.92, 1642905: -2.17, 1642907: -1.19, 1642910: -1.72,
+            1642911: -1.91, 1642914: -1.98, 1642917: -1.86, 1642918: -1.21, 1642920: -2.13, 1642926: -1.64, 1642928: -0.98, 1642935: -2.49,
+            1642938: -2.67, 1642939: -2.26, 1642942: -2.43, 1642948: -2.96, 1642949: -2.36, 1642950: -2.24, 1642954: -0.47, 1642959: -1.92,
+            1642962: -2.26, 1642964: -2.29, 1643007: -2.23, 1643018: -1.85, 1643024: -1.66, 1643052: -2.02
+        },
+        teams: {
+            2544: "LAL", 101108: "LAC", 200768: "PHI", 201142: "HOU", 201143: "GSW", 201144: "MIN", 201145: "HOU", 201566: "SAC",
+            201567: "UTA", 201569: "PHI", 201572: "LAC", 201587: "LAC", 201599: "NOP", 201935: "LAC", 201939: "GSW", 201942: "SAC",
+            201950: "POR", 202066: "TOR", 202331: "PHI", 202681: "DAL", 202685: "DEN", 202687: "SAS", 202691: "DAL", 202695: "LAC",
+            202696: "CHI", 202699: "DET", 202710: "GSW", 203076: "DAL", 203078: "LAC", 203081: "POR", 203083: "PHI", 203084: "SAS",
+            203110: "GSW", 203114: "WAS", 203468: "ATL", 203471: "SAC", 203482: "SAS", 203484: "MEM", 203486: "CHO", 203497: "MIN",
+            203500: "HOU", 203501: "DEN", 203507: "MIL", 203552: "CHO", 203648: "MIL", 203897: "SAC", 203903: "NYK", 203914: "MIL",
+            203924: "POR", 203926: "SAC", 203932: "DEN", 203935: "LAL", 203937: "UTA", 203939: "DAL", 203944: "MIN", 203952: "MIA",
+            203954: "PHI", 203957: "DAL", 203967: "SAC", 203991: "HOU", 203992: "LAC", 203994: "UTA", 203999: "DEN", 204001: "ATL",
+            204060: "MIN", 204456: "IND", 1626145: "ORL", 1626156: "DAL", 1626157: "NYK", 1626162: "PHI", 1626164: "PHO", 1626167: "MIL",
+            1626171: "MIL", 1626172: "NOP", 1626179: "MIA", 1626181: "MIA", 1626192: "CHO", 1626204: "CLE", 1626220: "PHO", 1627734: "SAC",
+            1627739: "LAC", 1627741: "GSW", 1627742: "TOR", 1627747: "DET", 1627749: "NOP", 1627750: "DEN", 1627751: "TOR", 1627752: "MIL",
+            1627759: "BOS", 1627777: "UTA", 1627780: "GSW", 1627783: "IND", 1627824: "NYK", 1627826: "LAC", 1627827: "HOU", 1627832: "HOU",
+            1627884: "LAC", 1627936: "OKC", 1628366: "CLE", 1628368: "SAS", 1628369: "BOS", 1628370: "SAC", 1628371: "ORL", 1628374: "UTA",
+            1628378: "CLE", 1628379: "ATL", 1628380: "CHI", 1628381: "LAC", 1628384: "NYK", 1628386: "CLE", 1628389: "MIA", 1628392: "OKC",
+            1628396: "IND", 1628398: "MIL", 1628401: "BOS", 1628404: "NYK", 1628415: "PHO", 1628418: "CLE", 1628436: "SAS", 1628449: "BOS",
+            1628467: "LAL", 1628502: "PHO", 1628960: "PHO", 1628963: "WAS", 1628969: "NYK", 1628970: "CHO", 1628971: "DEN", 1628973: "NYK",
+            1628975: "CHI", 1628976: "ORL", 1628978: "MIN", 1628983: "OKC", 1628988: "HOU", 1628989: "CHI", 1628991: "MEM", 1628997: "DAL",
+            1629001: "GSW", 1629004: "UTA", 1629006: "HOU", 1629008: "BKN", 1629011: "NYK", 1629012: "CHO", 1629013: "NYK", 1629014: "BOS",
+            1629018: "MIL", 1629020: "LAL", 1629021: "ORL", 1629023: "DAL", 1629026: "OKC", 1629027: "WAS", 1629028: "LAL", 1629029: "LAL",
+            1629048: "ORL", 1629057: "POR", 1629060: "LAL", 1629111: "MEM", 1629130: "DET", 1629162: "SAS", 1629216: "LAL", 1629234: "SAC",
+            1629312: "BKN", 1629599: "MIL", 1629611: "BKN", 1629614: "IND", 1629618: "DEN", 1629622: "CLE", 1629627: "NOP", 1629628: "TOR",
+            1629630: "MEM", 1629631: "CLE", 1629632: "CHI", 1629634: "MEM", 1629636: "CLE", 1629637: "LAL", 1629638: "ATL", 1629639: "MIA",
+            1629640: "SAS", 1629645: "MIL", 1629646: "SAS", 1629651: "BKN", 1629652: "OKC", 1629655: "DAL", 1629656: "PHI", 1629660: "MEM",
+            1629661: "DEN", 1629673: "NOP", 1629674: "BOS", 1629675: "MIN", 1629680: "POR", 1629684: "CHO", 1629723: "MEM", 1629731: "CLE",
+            1629750: "DET", 1630162: "MIN", 1630163: "CHO", 1630166: "POR", 1630167: "IND", 1630168: "ATL", 1630169: "IND", 1630170: "SAS",
+            1630171: "CHI", 1630172: "CHI", 1630173: "SAC", 1630174: "IND", 1630175: "MIL", 1630178: "PHI", 1630180: "NOP", 1630182: "CHO",
+            1630183: "MIN", 1630188: "CHI", 1630191: "DET", 1630192: "DEN", 1630193: "TOR", 1630194: "DET", 1630200: "CHI", 1630202: "BOS",
+            1630208: "PHO", 1630214: "BOS", 1630217: "ORL", 1630224: "PHO", 1630228: "GSW", 1630230: "DAL", 1630241: "CLE", 1630245: "CHI",
+            1630249: "ATL", 1630256: "HOU", 1630264: "WAS", 1630311: "GSW", 1630314: "DAL", 1630322: "SAS", 1630529: "NOP", 1630530: "NOP",
+            1630532: "ORL", 1630533: "BKN", 1630534: "TOR", 1630536: "LAC", 1630538: "LAC", 1630540: "NYK", 1630541: "GSW", 1630543: "IND",
+            1630544: "CHO", 1630545: "MIN", 1630548: "UTA", 1630549: "BRK", 1630551: "WAS", 1630552: "ATL", 1630557: "ATL", 1630558: "MIA",
+            1630559: "LAL", 1630560: "BKN", 1630567: "TOR", 1630568: "BOS", 1630569: "NOP", 1630570: "PHI", 1630572: "TOR", 1630573: "BOS",
+            1630574: "NYK", 1630577: "SAS", 1630578: "HOU", 1630579: "MIN", 1630581: "CHI", 1630583: "MEM", 1630587: "PHX", 1630590: "MEM",
+            1630591: "ORL", 1630592: "BKN", 1630595: "DET", 1630596: "CLE", 1630598: "OKC", 1630604: "PHO", 1630607: "CLE", 1630611: "GSW",
+            1630619: "MEM", 1630621: "HOU", 1630623: "BKN", 1630631: "NOP", 1630639: "LAL", 1630643: "IND", 1630649: "MIL", 1630658: "MEM",
+            1630679: "UTA", 1630692: "PHO", 1630695: "UTA", 1630696: "MIA", 1630699: "MIL", 1630700: "ATL", 1630702: "DAL", 1630703: "POR",
+            1630811: "ATL", 1630828: "MIL", 1631034: "ATL", 1631093: "DET", 1631094: "ORL", 1631095: "HOU", 1631096: "OKC", 1631097: "IND",
+            1631099: "SAC", 1631101: "POR", 1631102: "PHX", 1631103: "WAS", 1631104: "POR", 1631105: "DET", 1631106: "HOU", 1631107: "MIA",
+            1631108: "DAL", 1631109: "PHO", 1631110: "SAS", 1631111: "DET", 1631114: "OKC", 1631115: "SAC", 1631117: "UTA", 1631119: "OKC",
+            1631120: "BOS", 1631121: "POR", 1631123: "SAS", 1631124: "DEN", 1631126: "LAL", 1631127: "SAS", 1631128: "DEN", 1631131: "UTA",
+            1631132: "LAL", 1631133: "POR", 1631157: "MIL", 1631159: "MIN", 1631161: "WAS", 1631165: "SAC", 1631166: "BKN", 1631169: "BOS",
+            1631170: "MIA", 1631172: "OKC", 1631199: "BOS", 1631200: "POR", 1631204: "DET", 1631207: "CHI", 1631212: "DEN", 1631213: "BKN",
+            1631216: "ORL", 1631217: "CHO", 1631218: "GSW", 1631221: "PHO", 1631222: "LAL", 1631230: "ATL", 1631243: "ATL", 1631245: "IND",
+            1631246: "MEM", 1631247: "CLE", 1631248: "BOS", 1631250: "CLE", 1631255: "NOP", 1631260: "MIL", 1631288: "MIA", 1631321: "SAS",
+            1631323: "MIA", 1631342: "GSW", 1631451: "MIL", 1641705: "SAS", 1641706: "CHO", 1641707: "UTA", 1641708: "HOU", 1641709: "DET",
+            1641710: "ORL", 1641712: "POR", 1641713: "MEM", 1641715: "WAS", 1641716: "IND", 1641717: "OKC", 1641718: "UTA", 1641722: "NOP",
+            1641724: "ORL", 1641725: "NOP", 1641726: "DAL", 1641729: "UTA", 1641730: "BRK", 1641731: "WAS", 1641733: "CHO", 1641737: "PHI",
+            1641738: "LAC", 1641739: "POR", 1641740: "MIN", 1641744: "MEM", 1641747: "DEN", 1641748: "MIL", 1641750: "CHO", 1641752: "DET",
+            1641755: "SAS", 1641757: "LAC", 1641763: "CHI", 1641764: "GSW", 1641765: "MEM", 1641767: "IND", 1641772: "CLE", 1641774: "WAS",
+            1641775: "BOS", 1641780: "PHI", 1641783: "ORL", 1641790: "DEN", 1641796: "MIA", 1641801: "TOR", 1641803: "IND", 1641810: "CHA",
+            1641815: "MIA", 1641816: "DEN", 1641824: "CHI", 1641842: "DET", 1641854: "CLE", 1641871: "POR", 1641989: "GSW", 1641998: "NOP",
+            1642066: "ORL", 1642258: "ATL", 1642259: "WAS", 1642260: "OKC", 1642261: "LAL", 1642262: "UTA", 1642263: "HOU", 1642264: "SAS",
+            1642265: "MIN", 1642266: "TOR", 1642267: "WAS", 1642268: "UTA", 1642269: "SAC", 1642270: "POR", 1642271: "UTA", 1642272: "PHI",
+            1642273: "WAS", 1642274: "NOP", 1642275: "CHO", 1642276: "MIA", 1642277: "IND", 1642278: "NYK", 1642281: "CLE", 1642285: "MEM",
+            1642345: "PHO", 1642346: "PHO", 1642347: "TOR", 1642348: "PHI", 1642349: "OKC", 1642352: "MIA", 1642353: "LAC", 1642354: "CHO",
+            1642355: "LAL", 1642357: "PHO", 1642358: "WAS", 1642359: "NYK", 1642363: "OKC", 1642364: "MIN", 1642365: "ATL", 1642366: "GSW",
+            1642367: "TOR", 1642368: "HOU", 1642377: "MEM", 1642382: "OKC", 1642383: "UTA", 1642384: "SAC", 1642402: "CLE", 1642403: "DET",
+            1642404: "DET", 1642419: "TOR", 1642443: "DEN", 1642449: "HOU", 1642450: "DET", 1642461: "DEN", 1642484: "LAC", 1642502: "OKC",
+            1642530: "MEM", 1642843: "DAL", 1642844: "SAS", 1642845: "PHI", 1642846: "UTA", 1642847: "NOP", 1642848: "WAS", 1642849: "BRK",
+            1642850: "OKC", 1642851: "CHO", 1642852: "NOP", 1642853: "PHO", 1642854: "ATL", 1642855: "CHI", 1642856: "BRK", 1642857: "MIA",
+            1642859: "ORL", 1642860: "ORL", 1642862: "CHO", 1642863: "PHO", 1642864: "BOS", 1642866: "MIL", 1642867: "TOR", 1642868: "PHX",
+            1642869: "ORL", 1642873: "NYK", 1642874: "BKN", 1642875: "SAC", 1642876: "LAL", 1642877: "IND", 1642878: "CLE", 1642879: "NYK",
+            1642880: "PHI", 1642883: "CHO", 1642884: "SAC", 1642885: "NYK", 1642886: "MIN", 1642905: "POR", 1642907: "MEM", 1642910: "MIN",
+            1642911: "SAS", 1642914: "POR", 1642917: "HOU", 1642918: "MIL", 1642920: "POR", 1642926: "DEN", 1642928: "HOU", 1642935: "DET",
+            1642938: "SAC", 1642939: "CHO", 1642942: "OKC", 1642948: "IND", 1642949: "CHO", 1642950: "MIN", 1642954: "GSW", 1642959: "MIN",
+            1642962: "CHO", 1642964: "OKC", 1643007: "HOU", 1643018: "CHO", 1643024: "BKN", 1643052: "PHO"
+        },
+        contracts: {
+            2544: { actualSalary: 52.6, futureSalaries: { } },
+            101108: { actualSalary: 2.3, futureSalaries: { } },
+            200768: { actualSalary: 2.3, futureSalaries: { } },
+            201142: { actualSalary: 54.7, futureSalaries: { "2026-27": 43.90, "2027-28": 46.10 } },
+            201143: { actualSalary: 5.7, futureSalaries: { "2026-27": 5.97 } },
+            201144: { actualSalary: 10.8, futureSalaries: { } },
+            201145: { actualSalary: 2.3, futureSalaries: { } },
+            201566: { actualSalary: 2.3, futureSalaries: { } },
+            201567: { actualSalary: 4.2, futureSalaries: { } },
+            201569: { actualSalary: 2.3, futureSalaries: { } },
+            201572: { actualSalary: 8.8, futureSalaries: { "2026-27": 9.19 } },
+            201587: { actualSalary: 5.6, futureSalaries: { "2026-27": 5.88 } },
+            201599: { actualSalary: 2.3, futureSalaries: { } },
+            201935: { actualSalary: 39.2, futureSalaries: { "2026-27": 42.32 } },
+            201939: { actualSalary: 59.6, futureSalaries: { "2026-27": 62.59 } },
+            201942: { actualSalary: 24.6, futureSalaries: { "2026-27": 25.74 } },
+            201950: { actualSalary: 32.4, futureSalaries: { "2026-27": 34.80, "2027-28": 37.20 } },
+            202066: { actualSalary: 2.3, futureSalaries: { } },
+            202331: { actualSalary: 51.7, futureSalaries: { "2026-27": 54.13, "2027-28": 56.59 } },
+            202681: { actualSalary: 36.6, futureSalaries: { "2026-27": 39.49, "2027-28": 42.42 } },
+            202685: { actualSalary: 10.4, futureSalaries: { "2026-27": 10.00 } },
+            202687: { actualSalary: 2.3, futureSalaries: { } },
+            202691: { actualSalary: 16.7, futureSalaries: { "2026-27": 17.46 } },
+            202695: { actualSalary: 50.0, futureSalaries: { "2026-27": 50.30 } },
+            202696: { actualSalary: 21.5, futureSalaries: { } },
+            202699: { actualSalary: 26.6, futureSalaries: { } },
+            202710: { actualSalary: 54.1, futureSalaries: { "2026-27": 56.83 } },
+            203076: { actualSalary: 54.1, futureSalaries: { "2026-27": 58.46, "2027-28": 62.79 } },
+            203078: { actualSalary: 5.4, futureSalaries: { "2026-27": 5.62 } },
+            203081: { actualSalary: 14.1, futureSalaries: { "2026-27": 13.40, "2027-28": 14.10 } },
+            203083: { actualSalary: 5.0, futureSalaries: { } },
+            203084: { actualSalary: 19.0, futureSalaries: { } },
+            203110: { actualSalary: 25.9, futureSalaries: { "2026-27": 27.68 } },
+            203114: { actualSalary: 33.3, futureSalaries: { } },
+            203468: { actualSalary: 30.7, futureSalaries: { } },
+            203471: { actualSalary: 14.1, futureSalaries: { "2026-27": 14.81, "2027-28": 15.51 } },
+            203482: { actualSalary: 13.4, futureSalaries: { } },
+            203484: { actualSalary: 21.6, futureSalaries: { "2026-27": 21.62 } },
+            203486: { actualSalary: 2.3, futureSalaries: { } },
+            203497: { actualSalary: 35.0, futureSalaries: { "2026-27": 36.50, "2027-28": 38.00 } },
+            203500: { actualSalary: 14.1, futureSalaries: { "2026-27": 13.00, "2027-28": 11.87 } },
+            203501: { actualSalary: 2.3, futureSalaries: { } },
+            203507: { actualSalary: 54.1, futureSalaries: { "2026-27": 58.46, "2027-28": 62.79 } },
+            203552: { actualSalary: 2.3, futureSalaries: { } },
+            203648: { actualSalary: 2.3, futureSalaries: { } },
+            203897: { actualSalary: 47.5, futureSalaries: { "2026-27": 48.97 } },
+            203903: { actualSalary: 16.6, futureSalaries: { } },
+            203914: { actualSalary: 3.6, futureSalaries: { "2026-27": 3.82 } },
+            203924: { actualSalary: 32.0, futureSalaries: { "2026-27": 34.21, "2027-28": 36.41 } },
+            203926: { actualSalary: 2.3, futureSalaries: { } },
+            203932: { actualSalary: 22.8, futureSalaries: { "2026-27": 33.66, "2027-28": 36.35, "2028-29": 39.04 } },
+            203935: { actualSalary: 5.1, futureSalaries: { "2026-27": 5.39 } },
+            203937: { actualSalary: 9.2, futureSalaries: { "2026-27": 9.66 } },
+            203939: { actualSalary: 4.0, futureSalaries: { } },
+            203944: { actualSalary: 30.9, futureSalaries: { "2026-27": 33.33, "2027-28": 35.80 } },
+            203952: { actualSalary: 28.2, futureSalaries: { "2026-27": 30.17 } },
+            203954: { actualSalary: 55.2, futureSalaries: { "2026-27": 58.10, "2027-28": 62.75, "2028-29": 67.40 } },
+            203957: { actualSalary: 2.3, futureSalaries: { } },
+            203967: { actualSalary: 5.4, futureSalaries: { } },
+            203991: { actualSalary: 6.7, futureSalaries: { "2026-27": 7.04, "2027-28": 7.37 } },
+            203992: { actualSalary: 16.0, futureSalaries: { "2026-27": 16.02 } },
+            203994: { actualSalary: 19.4, futureSalaries: { } },
+            203999: { actualSalary: 55.2, futureSalaries: { "2026-27": 59.03, "2027-28": 62.84 } },
+            204001: { actualSalary: 30.7, futureSalaries: { } },
+            204060: { actualSalary: 2.3, futureSalaries: { } },
+            204456: { actualSalary: 10.2, futureSalaries: { "2026-27": 11.00, "2027-28": 11.80, "2028-29": 11.80 } },
+            1626145: { actualSalary: 7.0, futureSalaries: { } },
+            1626156: { actualSalary: 5.7, futureSalaries: { } },
+            1626157: { actualSalary: 53.1, futureSalaries: { "2026-27": 57.08, "2027-28": 61.02 } },
+            1626162: { actualSalary: 8.4, futureSalaries: { } },
+            1626164: { actualSalary: 53.1, futureSalaries: { "2026-27": 57.08, "2027-28": 61.02, "2028-29": 64.07, "2029-30": 69.19 } },
+            1626167: { actualSalary: 25.3, futureSalaries: { "2026-27": 26.58, "2027-28": 27.85, "2028-29": 29.12 } },
+            1626171: { actualSalary: 13.4, futureSalaries: { "2026-27": 14.52, "2027-28": 15.60 } },
+            1626172: { actualSalary: 8.0, futureSalaries: { "2026-27": 8.00, "2027-28": 8.00 } },
+            1626179: { actualSalary: 26.6, futureSalaries: { } },
+            1626181: { actualSalary: 20.5, futureSalaries: { } },
+            1626192: { actualSalary: 9.4, futureSalaries: { } },
+            1626204: { actualSalary: 2.3, futureSalaries: { } },
+            1626220: { actualSalary: 10.1, futureSalaries: { "2026-27": 10.88, "2027-28": 11.63 } },
+            1627734: { actualSalary: 42.3, futureSalaries: { "2026-27": 45.47, "2027-28": 48.61 } },
+            1627739: { actualSalary: 5.4, futureSalaries: { "2026-27": 5.68 } },
+            1627741: { actualSalary: 9.2, futureSalaries: { "2026-27": 9.66, "2027-28": 10.10 } },
+            1627742: { actualSalary: 38.1, futureSalaries: { "2026-27": 40.00, "2027-28": 41.90 } },
+            1627747: { actualSalary: 14.1, futureSalaries: { "2026-27": 14.81 } },
+            1627749: { actualSalary: 30.8, futureSalaries: { } },
+            1627750: { actualSalary: 46.4, futureSalaries: { "2026-27": 50.11, "2027-28": 53.82, "2028-29": 57.53 } },
+            1627751: { actualSalary: 19.5, futureSalaries: { "2026-27": 19.50, "2027-28": 27.30, "2028-29": 29.48, "2029-30": 27.30 } },
+            1627752: { actualSalary: 3.3, futureSalaries: { "2026-27": 3.82 } },
+            1627759: { actualSalary: 53.1, futureSalaries: { "2026-27": 57.08, "2027-28": 61.02, "2028-29": 64.95 } },
+            1627777: { actualSalary: 8.2, futureSalaries: { } },
+            1627780: { actualSalary: 2.3, futureSalaries: { } },
+            1627783: { actualSalary: 45.6, futureSalaries: { "2026-27": 48.92, "2027-28": 52.30 } },
+            1627824: { actualSalary: 5.5, futureSalaries: { "2026-27": 5.78 } },
+            1627826: { actualSalary: 18.1, futureSalaries: { "2026-27": 19.55, "2027-28": 21.00 } },
+            1627827: { actualSalary: 12.7, futureSalaries: { "2026-27": 13.34, "2027-28": 13.34, "2028-29": 13.34 } },
+            1627832: { actualSalary: 25.0, futureSalaries: { "2026-27": 25.00 } },
+            1627884: { actualSalary: 10.0, futureSalaries: { "2026-27": 10.48 } },
+            1627936: { actualSalary: 18.1, futureSalaries: { "2026-27": 19.55, "2027-28": 21.00, "2028-29": 22.45 } },
+            1628366: { actualSalary: 10.0, futureSalaries: { "2026-27": 10.00 } },
+            1628368: { actualSalary: 37.1, futureSalaries: { "2026-27": 49.80, "2027-28": 53.78, "2028-29": 57.77, "2029-30": 61.75 } },
+            1628369: { actualSalary: 54.1, futureSalaries: { "2026-27": 58.46, "2027-28": 62.79, "2028-29": 67.12, "2029-30": 71.45, "2030-31": 75.78 } },
+            1628370: { actualSalary: 18.8, futureSalaries: { "2026-27": 20.19, "2027-28": 21.58 } },
+            1628371: { actualSalary: 15.0, futureSalaries: { "2026-27": 14.50, "2027-28": 14.50, "2028-29": 15.00 } },
+            1628374: { actualSalary: 46.4, futureSalaries: { "2026-27": 46.11, "2027-28": 49.82, "2028-29": 53.54 } },
+            1628378: { actualSalary: 46.4, futureSalaries: { "2026-27": 50.11, "2027-28": 53.82 } },
+            1628379: { actualSalary: 11.0, futureSalaries: { } },
+            1628380: { actualSalary: 18.1, futureSalaries: { } },
+            1628381: { actualSalary: 18.0, futureSalaries: { } },
+            1628384: { actualSalary: 39.6, futureSalaries: { "2026-27": 42.50, "2027-28": 45.43, "2028-29": 48.36 } },
+            1628386: { actualSalary: 20.0, futureSalaries: { "2026-27": 28.00, "2027-28": 30.24, "2028-29": 32.48 } },
+            1628389: { actualSalary: 37.1, futureSalaries: { "2026-27": 49.80, "2027-28": 53.78, "2028-29": 57.77 } },
+            1628392: { actualSalary: 28.5, futureSalaries: { "2026-27": 28.50 } },
+            1628396: { actualSalary: 2.9, futureSalaries: { } },
+            1628398: { actualSalary: 22.4, futureSalaries: { "2026-27": 20.35 } },
+            1628401: { actualSalary: 28.1, futureSalaries: { "2026-27": 30.35, "2027-28": 32.60, "2028-29": 34.84 } },
+            1628404: { actualSalary: 19.5, futureSalaries: { "2026-27": 20.92, "2027-28": 22.38 } },
+            1628415: { actualSalary: 21.1, futureSalaries: { "2026-27": 19.99 } },
+            1628418: { actualSalary: 2.3, futureSalaries: { } },
+            1628436: { actualSalary: 11.0, futureSalaries: { "2026-27": 10.45, "2027-28": 9.90, "2028-29": 9.35 } },
+            1628449: { actualSalary: 2.3, futureSalaries: { } },
+            1628467: { actualSalary: 11.0, futureSalaries: { } },
+            1628502: { actualSalary: 2.0, futureSalaries: { } },
+            1628960: { actualSalary: 16.9, futureSalaries: { "2026-27": 18.13, "2027-28": 19.38 } },
+            1628963: { actualSalary: 2.3, futureSalaries: { } },
+            1628969: { actualSalary: 24.9, futureSalaries: { "2026-27": 33.48, "2027-28": 36.16, "2028-29": 38.84, "2029-30": 41.52 } },
+            1628970: { actualSalary: 25.0, futureSalaries: { "2026-27": 22.83 } },
+            1628971: { actualSalary: 2.3, futureSalaries: { } },
+            1628973: { actualSalary: 34.9, futureSalaries: { "2026-27": 37.74, "2027-28": 40.54, "2028-29": 43.33 } },
+            1628975: { actualSalary: 6.8, futureSalaries: { } },
+            1628976: { actualSalary: 10.9, futureSalaries: { "2026-27": 18.10, "2027-28": 19.55, "2028-29": 21.00 } },
+            1628978: { actualSalary: 12.0, futureSalaries: { "2026-27": 12.54 } },
+            1628983: { actualSalary: 38.3, futureSalaries: { "2026-27": 40.81, "2027-28": 61.01, "2028-29": 65.89, "2029-30": 70.77, "2030-31": 75.65 } },
+            1628988: { actualSalary: 2.3, futureSalaries: { } },
+            1628989: { actualSalary: 18.0, futureSalaries: { } },
+            1628991: { actualSalary: 35.0, futureSalaries: { "2026-27": 49.00, "2027-28": 50.50, "2028-29": 52.00, "2029-30": 53.50 } },
+            1628997: { actualSalary: 9.6, futureSalaries: { "2026-27": 10.00, "2027-28": 9.37 } },
+            1629001: { actualSalary: 15.0, futureSalaries: { } },
+            1629004: { actualSalary: 3.7, futureSalaries: { "2026-27": 3.85, "2027-28": 4.03 } },
+            1629006: { actualSalary: 2.3, futureSalaries: { } },
+            1629008: { actualSalary: 38.3, futureSalaries: { "2026-27": 40.81 } },
+            1629011: { actualSalary: 13.0, futureSalaries: { } },
+            1629012: { actualSalary: 19.0, futureSalaries: { } },
+            1629013: { actualSalary: 2.3, futureSalaries: { } },
+            1629014: { actualSalary: 27.7, futureSalaries: { } },
+            1629018: { actualSalary: 3.7, futureSalaries: { "2026-27": 3.88 } },
+            1629020: { actualSalary: 11.6, futureSalaries: { "2026-27": 12.43, "2027-28": 13.29 } },
+            1629021: { actualSalary: 5.0, futureSalaries: { } },
+            1629023: { actualSalary: 14.2, futureSalaries: { "2026-27": 19.81, "2027-28": 21.40, "2028-29": 22.98, "2029-30": 24.57 } },
+            1629026: { actualSalary: 7.2, futureSalaries: { "2026-27": 7.16 } },
+            1629027: { actualSalary: 46.0, futureSalaries: { "2026-27": 48.97 } },
+            1629028: { actualSalary: 8.1, futureSalaries: { "2026-27": 8.10 } },
+            1629029: { actualSalary: 46.0, futureSalaries: { "2026-27": 49.80, "2027-28": 53.78, "2028-29": 57.77 } },
+            1629048: { actualSalary: 8.3, futureSalaries: { "2026-27": 7.61 } },
+            1629057: { actualSalary: 13.3, futureSalaries: { } },
+            1629060: { actualSalary: 18.3, futureSalaries: { } },
+            1629111: { actualSalary: 10.3, futureSalaries: { } },
+            1629130: { actualSalary: 26.7, futureSalaries: { "2026-27": 15.99, "2027-28": 15.15 } },
+            1629162: { actualSalary: 2.3, futureSalaries: { } },
+            1629216: { actualSalary: 11.5, futureSalaries: { } },
+            1629234: { actualSalary: 2.3, futureSalaries: { } },
+            1629312: { actualSalary: 5.6, futureSalaries: { } },
+            1629599: { actualSalary: 2.3, futureSalaries: { } },
+            1629611: { actualSalary: 15.5, futureSalaries: { "2026-27": 15.50, "2027-28": 16.00 } },
+            1629614: { actualSalary: 18.1, futureSalaries: { "2026-27": 19.55, "2027-28": 21.00 } },
+            1629618: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1629622: { actualSalary: 15.9, futureSalaries: { "2026-27": 16.66 } },
+            1629627: { actualSalary: 39.4, futureSalaries: { "2026-27": 42.17, "2027-28": 44.89 } },
+            1629628: { actualSalary: 27.7, futureSalaries: { "2026-27": 29.62 } },
+            1629630: { actualSalary: 39.4, futureSalaries: { "2026-27": 42.17, "2027-28": 44.89 } },
+            1629631: { actualSalary: 23.3, futureSalaries: { "2026-27": 24.91 } },
+            1629632: { actualSalary: 12.9, futureSalaries: { } },
+            1629634: { actualSalary: 12.5, futureSalaries: { "2026-27": 12.50 } },
+            1629636: { actualSalary: 39.4, futureSalaries: { "2026-27": 42.17, "2027-28": 44.89 } },
+            1629637: { actualSalary: 3.4, futureSalaries: { } },
+            1629638: { actualSalary: 15.2, futureSalaries: { "2026-27": 14.40, "2027-28": 15.16, "2028-29": 15.92 } },
+            1629639: { actualSalary: 31.0, futureSalaries: { "2026-27": 33.00 } },
+            1629640: { actualSalary: 17.5, futureSalaries: { "2026-27": 17.50 } },
+            1629645: { actualSalary: 5.1, futureSalaries: { "2026-27": 5.39 } },
+            1629646: { actualSalary: 2.5, futureSalaries: { } },
+            1629651: { actualSalary: 25.4, futureSalaries: { "2026-27": 23.15, "2027-28": 20.94 } },
+            1629652: { actualSalary: 18.2, futureSalaries: { "2026-27": 18.22 } },
+            1629655: { actualSalary: 14.4, futureSalaries: { "2026-27": 17.26, "2027-28": 18.13, "2028-29": 18.99 } },
+            1629656: { actualSalary: 8.7, futureSalaries: { } },
+            1629660: { actualSalary: 8.8, futureSalaries: { "2026-27": 9.22, "2027-28": 9.66 } },
+            1629661: { actualSalary: 21.1, futureSalaries: { "2026-27": 23.06 } },
+            1629673: { actualSalary: 31.8, futureSalaries: { "2026-27": 34.04 } },
+            1629674: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.67 } },
+            1629675: { actualSalary: 21.6, futureSalaries: { "2026-27": 23.28, "2027-28": 25.00, "2028-29": 26.72, "2029-30": 28.45 } },
+            1629680: { actualSalary: 11.6, futureSalaries: { } },
+            1629684: { actualSalary: 13.6, futureSalaries: { "2026-27": 14.27 } },
+            1629723: { actualSalary: 6.2, futureSalaries: { "2026-27": 6.17 } },
+            1629731: { actualSalary: 6.6, futureSalaries: { } },
+            1629750: { actualSalary: 2.3, futureSalaries: { } },
+            1630162: { actualSalary: 45.6, futureSalaries: { "2026-27": 48.92, "2027-28": 52.30, "2028-29": 55.67 } },
+            1630163: { actualSalary: 38.0, futureSalaries: { "2026-27": 40.77, "2027-28": 43.58, "2028-29": 46.39 } },
+            1630166: { actualSalary: 14.4, futureSalaries: { "2026-27": 13.13, "2027-28": 11.88 } },
+            1630167: { actualSalary: 14.0, futureSalaries: { "2026-27": 15.00, "2027-28": 16.03 } },
+            1630168: { actualSalary: 15.0, futureSalaries: { "2026-27": 16.12, "2027-28": 16.88 } },
+            1630169: { actualSalary: 45.6, futureSalaries: { "2026-27": 48.92, "2027-28": 52.30, "2028-29": 55.67 } },
+            1630170: { actualSalary: 27.0, futureSalaries: { "2026-27": 27.00, "2027-28": 24.65, "2028-29": 27.00 } },
+            1630171: { actualSalary: 11.0, futureSalaries: { "2026-27": 11.81 } },
+            1630172: { actualSalary: 18.0, futureSalaries: { "2026-27": 18.00, "2027-28": 18.00, "2028-29": 18.00 } },
+            1630173: { actualSalary: 2.1, futureSalaries: { } },
+            1630174: { actualSalary: 11.0, futureSalaries: { "2026-27": 11.00, "2027-28": 19.42, "2028-29": 20.97 } },
+            1630175: { actualSalary: 15.4, futureSalaries: { "2026-27": 15.40 } },
+            1630178: { actualSalary: 38.0, futureSalaries: { "2026-27": 40.77, "2027-28": 43.58, "2028-29": 46.39 } },
+            1630180: { actualSalary: 6.1, futureSalaries: { "2026-27": 6.44 } },
+            1630182: { actualSalary: 13.7, futureSalaries: { "2026-27": 14.68 } },
+            1630183: { actualSalary: 24.4, futureSalaries: { "2026-27": 26.20, "2027-28": 28.01, "2028-29": 29.81 } },
+            1630188: { actualSalary: 9.0, futureSalaries: { "2026-27": 9.43 } },
+            1630191: { actualSalary: 15.0, futureSalaries: { "2026-27": 15.00, "2027-28": 15.00 } },
+            1630192: { actualSalary: 8.2, futureSalaries: { "2026-27": 7.47, "2027-28": 7.47 } },
+            1630193: { actualSalary: 32.5, futureSalaries: { "2026-27": 32.50, "2027-28": 32.50, "2028-29": 32.50 } },
+            1630194: { actualSalary: 5.3, futureSalaries: { "2026-27": 5.60 } },
+            1630200: { actualSalary: 8.0, futureSalaries: { "2026-27": 8.00, "2027-28": 8.00 } },
+            1630202: { actualSalary: 7.2, futureSalaries: { "2026-27": 7.77, "2027-28": 8.30 } },
+            1630208: { actualSalary: 5.0, futureSalaries: { } },
+            1630214: { actualSalary: 2.5, futureSalaries: { } },
+            1630217: { actualSalary: 36.7, futureSalaries: { "2026-27": 39.45, "2027-28": 42.17, "2028-29": 44.89 } },
+            1630224: { actualSalary: 33.6, futureSalaries: { "2026-27": 36.25, "2027-28": 36.00 } },
+            1630228: { actualSalary: 22.5, futureSalaries: { "2026-27": 24.30 } },
+            1630230: { actualSalary: 9.0, futureSalaries: { "2026-27": 9.43 } },
+            1630241: { actualSalary: 8.5, futureSalaries: { "2026-27": 9.16, "2027-28": 9.84, "2028-29": 10.52 } },
+            1630245: { actualSalary: 7.5, futureSalaries: { } },
+            1630249: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.67, "2027-28": 3.01 } },
+            1630256: { actualSalary: 2.3, futureSalaries: { } },
+            1630264: { actualSalary: 2.3, futureSalaries: { } },
+            1630311: { actualSalary: 1.2, futureSalaries: { } },
+            1630314: { actualSalary: 2.3, futureSalaries: { } },
+            1630322: { actualSalary: 2.3, futureSalaries: { } },
+            1630529: { actualSalary: 13.9, futureSalaries: { "2026-27": 14.90, "2027-28": 20.86, "2028-29": 22.53, "2029-30": 24.20 } },
+            1630530: { actualSalary: 25.0, futureSalaries: { "2026-27": 27.00, "2027-28": 29.00, "2028-29": 31.00 } },
+            1630532: { actualSalary: 38.7, futureSalaries: { "2026-27": 41.75, "2027-28": 44.85, "2028-29": 47.94, "2029-30": 51.03 } },
+            1630533: { actualSalary: 6.3, futureSalaries: { "2026-27": 6.25 } },
+            1630534: { actualSalary: 6.4, futureSalaries: { } },
+            1630536: { actualSalary: 2.2, futureSalaries: { } },
+            1630538: { actualSalary: 4.1, futureSalaries: { } },
+            1630540: { actualSalary: 4.3, futureSalaries: { "2026-27": 3.96 } },
+            1630541: { actualSalary: 11.6, futureSalaries: { "2026-27": 12.50, "2027-28": 13.43 } },
+            1630543: { actualSalary: 7.6, futureSalaries: { "2026-27": 7.00, "2027-28": 6.40 } },
+            1630544: { actualSalary: 8.0, futureSalaries: { "2026-27": 8.00, "2027-28": 8.00 } },
+            1630545: { actualSalary: 2.7, futureSalaries: { "2026-27": 2.80, "2027-28": 5.05 } },
+            1630548: { actualSalary: 3.0, futureSalaries: { } },
+            1630549: { actualSalary: 6.3, futureSalaries: { "2026-27": 6.25 } },
+            1630551: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.67, "2027-28": 3.01 } },
+            1630552: { actualSalary: 30.0, futureSalaries: { "2026-27": 30.00, "2027-28": 30.00, "2028-29": 30.00, "2029-30": 30.00 } },
+            1630557: { actualSalary: 14.0, futureSalaries: { "2026-27": 14.00, "2027-28": 13.05, "2028-29": 13.05 } },
+            1630558: { actualSalary: 11.6, futureSalaries: { "2026-27": 12.40 } },
+            1630559: { actualSalary: 13.9, futureSalaries: { "2026-27": 14.90 } },
+            1630560: { actualSalary: 6.0, futureSalaries: { } },
+            1630567: { actualSalary: 38.7, futureSalaries: { "2026-27": 41.75, "2027-28": 44.85, "2028-29": 47.94, "2029-30": 51.03 } },
+            1630568: { actualSalary: 2.5, futureSalaries: { "2026-27": 2.80 } },
+            1630569: { actualSalary: 2.2, futureSalaries: { } },
+            1630570: { actualSalary: 2.5, futureSalaries: { "2026-27": 2.80 } },
+            1630572: { actualSalary: 2.5, futureSalaries: { "2026-27": 2.80 } },
+            1630573: { actualSalary: 10.0, futureSalaries: { "2026-27": 10.85, "2027-28": 11.65, "2028-29": 12.46 } },
+            1630574: { actualSalary: 2.0, futureSalaries: { } },
+            1630577: { actualSalary: 3.0, futureSalaries: { "2026-27": 3.00 } },
+            1630578: { actualSalary: 33.9, futureSalaries: { "2026-27": 35.64, "2027-28": 37.34, "2028-29": 39.04, "2029-30": 39.04 } },
+            1630579: { actualSalary: 1.2, futureSalaries: { } },
+            1630581: { actualSalary: 25.0, futureSalaries: { "2026-27": 25.00, "2027-28": 25.00, "2028-29": 25.00 } },
+            1630583: { actualSalary: 18.5, futureSalaries: { "2026-27": 17.01, "2027-28": 17.01 } },
+            1630587: { actualSalary: 1.2, futureSalaries: { } },
+            1630590: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.46, "2027-28": 2.79 } },
+            1630591: { actualSalary: 35.0, futureSalaries: { "2026-27": 32.40, "2027-28": 29.60, "2028-29": 26.80, "2029-30": 26.70 } },
+            1630592: { actualSalary: 2.2, futureSalaries: { } },
+            1630595: { actualSalary: 46.4, futureSalaries: { "2026-27": 50.11, "2027-28": 53.82, "2028-29": 57.53, "2029-30": 61.24 } },
+            1630596: { actualSalary: 46.4, futureSalaries: { "2026-27": 50.11, "2027-28": 53.82, "2028-29": 57.53, "2029-30": 61.24 } },
+            1630598: { actualSalary: 10.1, futureSalaries: { "2026-27": 9.22, "2027-28": 8.35, "2028-29": 8.35 } },
+            1630604: { actualSalary: 0.7, futureSalaries: { "2026-27": 0.71 } },
+            1630607: { actualSalary: 2.3, futureSalaries: { } },
+            1630611: { actualSalary: 2.2, futureSalaries: { } },
+            1630619: { actualSalary: 0.0, futureSalaries: { } },
+            1630621: { actualSalary: 0.0, futureSalaries: { } },
+            1630623: { actualSalary: 1.2, futureSalaries: { } },
+            1630631: { actualSalary: 4.5, futureSalaries: { "2026-27": 4.50 } },
+            1630639: { actualSalary: 2.2, futureSalaries: { } },
+            1630643: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.67, "2027-28": 3.01 } },
+            1630649: { actualSalary: 1.2, futureSalaries: { } },
+            1630658: { actualSalary: 0.0, futureSalaries: { } },
+            1630679: { actualSalary: 1.2, futureSalaries: { } },
+            1630692: { actualSalary: 2.3, futureSalaries: { } },
+            1630695: { actualSalary: 1.2, futureSalaries: { } },
+            1630696: { actualSalary: 2.4, futureSalaries: { "2026-27": 2.58, "2027-28": 2.93 } },
+            1630699: { actualSalary: 4.8, futureSalaries: { } },
+            1630700: { actualSalary: 7.7, futureSalaries: { "2026-27": 25.00, "2027-28": 25.00, "2028-29": 25.00 } },
+            1630702: { actualSalary: 6.0, futureSalaries: { "2026-27": 6.00, "2027-28": 6.00 } },
+            1630703: { actualSalary: 10.7, futureSalaries: { "2026-27": 13.59 } },
+            1630811: { actualSalary: 1.2, futureSalaries: { } },
+            1630828: { actualSalary: 0.0, futureSalaries: { } },
+            1631034: { actualSalary: 4.3, futureSalaries: { } },
+            1631093: { actualSalary: 10.1, futureSalaries: { } },
+            1631094: { actualSalary: 15.3, futureSalaries: { "2026-27": 41.50, "2027-28": 44.82, "2028-29": 48.14, "2029-30": 51.46, "2030-31": 54.78 } },
+            1631095: { actualSalary: 12.4, futureSalaries: { "2026-27": 23.64, "2027-28": 21.75, "2028-29": 23.64, "2029-30": 25.53, "2030-31": 27.43 } },
+            1631096: { actualSalary: 13.7, futureSalaries: { "2026-27": 41.50, "2027-28": 44.82, "2028-29": 48.14, "2029-30": 51.46, "2030-31": 54.78 } },
+            1631097: { actualSalary: 9.2, futureSalaries: { } },
+            1631099: { actualSalary: 11.1, futureSalaries: { "2026-27": 24.14, "2027-28": 26.07, "2028-29": 28.00, "2029-30": 29.93, "2030-31": 31.86 } },
+            1631101: { actualSalary: 8.4, futureSalaries: { "2026-27": 20.09, "2027-28": 21.70, "2028-29": 23.30, "2029-30": 24.91 } },
+            1631102: { actualSalary: 1.2, futureSalaries: { } },
+            1631103: { actualSalary: 5.0, futureSalaries: { } },
+            1631104: { actualSalary: 7.0, futureSalaries: { "2026-27": 7.02 } },
+            1631105: { actualSalary: 6.5, futureSalaries: { } },
+            1631106: { actualSalary: 5.7, futureSalaries: { } },
+            1631107: { actualSalary: 4.4, futureSalaries: { "2026-27": 16.20, "2027-28": 14.90, "2028-29": 15.10, "2029-30": 16.20 } },
+            1631108: { actualSalary: 7.7, futureSalaries: { "2026-27": 8.29, "2027-28": 8.86 } },
+            1631109: { actualSalary: 6.3, futureSalaries: { } },
+            1631110: { actualSalary: 7.1, futureSalaries: { } },
+            1631111: { actualSalary: 4.5, futureSalaries: { } },
+            1631114: { actualSalary: 6.6, futureSalaries: { "2026-27": 41.50, "2027-28": 44.82, "2028-29": 48.14, "2029-30": 51.46, "2030-31": 54.78 } },
+            1631115: { actualSalary: 0.0, futureSalaries: { } },
+            1631117: { actualSalary: 4.9, futureSalaries: { } },
+            1631119: { actualSalary: 8.5, futureSalaries: { "2026-27": 7.77, "2027-28": 7.77 } },
+            1631120: { actualSalary: 2.3, futureSalaries: { } },
+            1631121: { actualSalary: 1.2, futureSalaries: { } },
+            1631123: { actualSalary: 0.0, futureSalaries: { } },
+            1631124: { actualSalary: 2.7, futureSalaries: { "2026-27": 4.83 } },
+            1631126: { actualSalary: 0.0, futureSalaries: { } },
+            1631127: { actualSalary: 1.2, futureSalaries: { } },
+            1631128: { actualSalary: 4.9, futureSalaries: { "2026-27": 21.55, "2027-28": 23.28, "2028-29": 25.00, "2029-30": 26.72 } },
+            1631131: { actualSalary: 2.2, futureSalaries: { } },
+            1631132: { actualSalary: 1.2, futureSalaries: { } },
+            1631133: { actualSalary: 2.0, futureSalaries: { } },
+            1631157: { actualSalary: 4.0, futureSalaries: { "2026-27": 4.00, "2027-28": 4.00 } },
+            1631159: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1631161: { actualSalary: 4.4, futureSalaries: { } },
+            1631165: { actualSalary: 2.3, futureSalaries: { } },
+            1631166: { actualSalary: 2.0, futureSalaries: { } },
+            1631169: { actualSalary: 2.4, futureSalaries: { "2026-27": 2.58 } },
+            1631170: { actualSalary: 3.9, futureSalaries: { "2026-27": 5.94 } },
+            1631172: { actualSalary: 6.7, futureSalaries: { } },
+            1631199: { actualSalary: 1.2, futureSalaries: { } },
+            1631200: { actualSalary: 3.1, futureSalaries: { "2026-27": 5.32 } },
+            1631204: { actualSalary: 2.9, futureSalaries: { "2026-27": 5.20 } },
+            1631207: { actualSalary: 5.4, futureSalaries: { } },
+            1631212: { actualSalary: 4.4, futureSalaries: { } },
+            1631213: { actualSalary: 2.2, futureSalaries: { } },
+            1631216: { actualSalary: 2.0, futureSalaries: { } },
+            1631217: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.46 } },
+            1631218: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1631221: { actualSalary: 2.3, futureSalaries: { } },
+            1631222: { actualSalary: 6.0, futureSalaries: { "2026-27": 6.00 } },
+            1631230: { actualSalary: 2.1, futureSalaries: { } },
+            1631243: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1631245: { actualSalary: 2.1, futureSalaries: { } },
+            1631246: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1631247: { actualSalary: 0.0, futureSalaries: { } },
+            1631248: { actualSalary: 2.6, futureSalaries: { } },
+            1631250: { actualSalary: 1.2, futureSalaries: { } },
+            1631255: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30 } },
+            1631260: { actualSalary: 2.3, futureSalaries: { "2026-27": 10.04, "2027-28": 10.85, "2028-29": 11.65, "2029-30": 12.46 } },
+            1631288: { actualSalary: 1.2, futureSalaries: { } },
+            1631321: { actualSalary: 2.2, futureSalaries: { } },
+            1631323: { actualSalary: 8.3, futureSalaries: { } },
+            1631342: { actualSalary: 1.2, futureSalaries: { } },
+            1631451: { actualSalary: 1.2, futureSalaries: { } },
+            1641705: { actualSalary: 13.4, futureSalaries: { "2026-27": 16.87 } },
+            1641706: { actualSalary: 12.0, futureSalaries: { "2026-27": 15.10 } },
+            1641707: { actualSalary: 6.1, futureSalaries: { "2026-27": 7.81 } },
+            1641708: { actualSalary: 9.7, futureSalaries: { "2026-27": 12.26 } },
+            1641709: { actualSalary: 8.8, futureSalaries: { "2026-27": 11.12 } },
+            1641710: { actualSalary: 8.0, futureSalaries: { "2026-27": 10.11 } },
+            1641712: { actualSalary: 2.2, futureSalaries: { } },
+            1641713: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1641715: { actualSalary: 3.5, futureSalaries: { "2026-27": 5.46 } },
+            1641716: { actualSalary: 6.7, futureSalaries: { "2026-27": 8.48 } },
+            1641717: { actualSalary: 5.8, futureSalaries: { "2026-27": 7.42 } },
+            1641718: { actualSalary: 4.3, futureSalaries: { "2026-27": 6.56 } },
+            1641722: { actualSalary: 4.7, futureSalaries: { "2026-27": 7.02 } },
+            1641724: { actualSalary: 5.5, futureSalaries: { "2026-27": 7.34 } },
+            1641725: { actualSalary: 0.0, futureSalaries: { } },
+            1641726: { actualSalary: 5.3, futureSalaries: { "2026-27": 7.24 } },
+            1641729: { actualSalary: 2.7, futureSalaries: { "2026-27": 4.86 } },
+            1641730: { actualSalary: 3.4, futureSalaries: { "2026-27": 5.41 } },
+            1641731: { actualSalary: 7.3, futureSalaries: { "2026-27": 9.24 } },
+            1641733: { actualSalary: 2.7, futureSalaries: { } },
+            1641737: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1641738: { actualSalary: 2.7, futureSalaries: { } },
+            1641739: { actualSalary: 2.2, futureSalaries: { "2026-27": 18.08, "2027-28": 19.53, "2028-29": 20.97, "2029-30": 22.42 } },
+            1641740: { actualSalary: 2.2, futureSalaries: { } },
+            1641744: { actualSalary: 6.0, futureSalaries: { "2026-27": 6.33, "2027-28": 8.07 } },
+            1641747: { actualSalary: 3.2, futureSalaries: { "2026-27": 3.37, "2027-28": 5.55 } },
+            1641748: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1641750: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.41, "2027-28": 2.53, "2028-29": 2.74 } },
+            1641752: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1641755: { actualSalary: 1.2, futureSalaries: { } },
+            1641757: { actualSalary: 1.9, futureSalaries: { } },
+            1641763: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1641764: { actualSalary: 3.7, futureSalaries: { "2026-27": 5.68 } },
+            1641765: { actualSalary: 1.0, futureSalaries: { "2026-27": 1.00, "2027-28": 1.00 } },
+            1641767: { actualSalary: 2.8, futureSalaries: { "2026-27": 5.03 } },
+            1641772: { actualSalary: 1.2, futureSalaries: { } },
+            1641774: { actualSalary: 2.4, futureSalaries: { } },
+            1641775: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1641780: { actualSalary: 1.3, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53, "2028-29": 2.74 } },
+            1641783: { actualSalary: 3.8, futureSalaries: { "2026-27": 3.99, "2027-28": 6.14 } },
+            1641790: { actualSalary: 1.2, futureSalaries: { } },
+            1641796: { actualSalary: 1.2, futureSalaries: { "2026-27": 2.00 } },
+            1641801: { actualSalary: 1.2, futureSalaries: { } },
+            1641803: { actualSalary: 1.2, futureSalaries: { } },
+            1641810: { actualSalary: 1.2, futureSalaries: { } },
+            1641815: { actualSalary: 1.2, futureSalaries: { } },
+            1641816: { actualSalary: 2.2, futureSalaries: { } },
+            1641824: { actualSalary: 5.5, futureSalaries: { "2026-27": 5.72, "2027-28": 7.58 } },
+            1641842: { actualSalary: 8.7, futureSalaries: { "2026-27": 9.07, "2027-28": 11.49 } },
+            1641854: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.41 } },
+            1641871: { actualSalary: 2.2, futureSalaries: { } },
+            1641989: { actualSalary: 1.2, futureSalaries: { } },
+            1641998: { actualSalary: 0.0, futureSalaries: { } },
+            1642066: { actualSalary: 1.2, futureSalaries: { } },
+            1642258: { actualSalary: 13.2, futureSalaries: { "2026-27": 13.83, "2027-28": 17.43 } },
+            1642259: { actualSalary: 11.8, futureSalaries: { "2026-27": 12.37, "2027-28": 15.61 } },
+            1642260: { actualSalary: 5.2, futureSalaries: { "2026-27": 5.43, "2027-28": 7.48 } },
+            1642261: { actualSalary: 4.0, futureSalaries: { "2026-27": 4.20, "2027-28": 6.45 } },
+            1642262: { actualSalary: 5.7, futureSalaries: { "2026-27": 6.02, "2027-28": 7.67 } },
+            1642263: { actualSalary: 10.1, futureSalaries: { "2026-27": 10.58, "2027-28": 11.07, "2028-29": 14.02 } },
+            1642264: { actualSalary: 9.6, futureSalaries: { "2026-27": 10.02, "2027-28": 12.67 } },
+            1642265: { actualSalary: 6.6, futureSalaries: { "2026-27": 6.89, "2027-28": 8.76 } },
+            1642266: { actualSalary: 3.6, futureSalaries: { "2026-27": 3.81, "2027-28": 5.87 } },
+            1642267: { actualSalary: 4.7, futureSalaries: { "2026-27": 4.90, "2027-28": 7.26 } },
+            1642268: { actualSalary: 2.6, futureSalaries: { "2026-27": 2.76, "2027-28": 4.99 } },
+            1642269: { actualSalary: 4.9, futureSalaries: { "2026-27": 5.16, "2027-28": 7.37 } },
+            1642270: { actualSalary: 7.2, futureSalaries: { "2026-27": 7.52, "2027-28": 9.55 } },
+            1642271: { actualSalary: 3.0, futureSalaries: { "2026-27": 3.00, "2027-28": 3.00 } },
+            1642272: { actualSalary: 4.2, futureSalaries: { "2026-27": 4.42, "2027-28": 6.78 } },
+            1642273: { actualSalary: 3.0, futureSalaries: { "2026-27": 3.11, "2027-28": 5.44 } },
+            1642274: { actualSalary: 3.4, futureSalaries: { "2026-27": 3.51, "2027-28": 5.60 } },
+            1642275: { actualSalary: 7.9, futureSalaries: { "2026-27": 8.24, "2027-28": 10.45 } },
+            1642276: { actualSalary: 4.4, futureSalaries: { "2026-27": 4.65, "2027-28": 7.14 } },
+            1642277: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1642278: { actualSalary: 2.2, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1642281: { actualSalary: 3.4, futureSalaries: { "2026-27": 3.60, "2027-28": 5.40 } },
+            1642285: { actualSalary: 2.5, futureSalaries: { "2026-27": 2.41, "2027-28": 2.62, "2028-29": 2.83 } },
+            1642345: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1642346: { actualSalary: 2.7, futureSalaries: { "2026-27": 2.78, "2027-28": 5.03 } },
+            1642347: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30 } },
+            1642348: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.41, "2027-28": 2.62 } },
+            1642349: { actualSalary: 3.0, futureSalaries: { "2026-27": 2.85, "2027-28": 2.85 } },
+            1642352: { actualSalary: 2.0, futureSalaries: { } },
+            1642353: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1642354: { actualSalary: 0.0, futureSalaries: { } },
+            1642355: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1642357: { actualSalary: 0.0, futureSalaries: { } },
+            1642358: { actualSalary: 3.1, futureSalaries: { "2026-27": 3.24, "2027-28": 5.49 } },
+            1642359: { actualSalary: 2.8, futureSalaries: { "2026-27": 2.98, "2027-28": 5.37 } },
+            1642363: { actualSalary: 1.2, futureSalaries: { } },
+            1642364: { actualSalary: 1.2, futureSalaries: { } },
+            1642365: { actualSalary: 1.3, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53 } },
+            1642366: { actualSalary: 2.0, futureSalaries: { } },
+            1642367: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30 } },
+            1642368: { actualSalary: 1.2, futureSalaries: { } },
+            1642377: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30, "2027-28": 2.49 } },
+            1642382: { actualSalary: 1.2, futureSalaries: { } },
+            1642383: { actualSalary: 4.0, futureSalaries: { "2026-27": 4.19, "2027-28": 4.39, "2028-29": 6.75 } },
+            1642384: { actualSalary: 1.2, futureSalaries: { } },
+            1642402: { actualSalary: 0.0, futureSalaries: { } },
+            1642403: { actualSalary: 2.0, futureSalaries: { } },
+            1642404: { actualSalary: 1.4, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53, "2028-29": 2.74 } },
+            1642419: { actualSalary: 2.0, futureSalaries: { "2026-27": 2.30 } },
+            1642443: { actualSalary: 1.2, futureSalaries: { } },
+            1642449: { actualSalary: 1.2, futureSalaries: { } },
+            1642450: { actualSalary: 1.2, futureSalaries: { } },
+            1642461: { actualSalary: 0.0, futureSalaries: { } },
+            1642484: { actualSalary: 1.2, futureSalaries: { } },
+            1642502: { actualSalary: 1.2, futureSalaries: { } },
+            1642530: { actualSalary: 1.2, futureSalaries: { } },
+            1642843: { actualSalary: 13.8, futureSalaries: { "2026-27": 14.52, "2027-28": 15.21, "2028-29": 19.18 } },
+            1642844: { actualSalary: 12.4, futureSalaries: { "2026-27": 12.99, "2027-28": 13.61, "2028-29": 17.17 } },
+            1642845: { actualSalary: 11.1, futureSalaries: { "2026-27": 11.66, "2027-28": 12.22, "2028-29": 15.45 } },
+            1642846: { actualSalary: 9.1, futureSalaries: { "2026-27": 9.52, "2027-28": 9.98, "2028-29": 12.64 } },
+            1642847: { actualSalary: 7.5, futureSalaries: { "2026-27": 7.90, "2027-28": 8.27, "2028-29": 10.51 } },
+            1642848: { actualSalary: 8.2, futureSalaries: { "2026-27": 8.65, "2027-28": 9.06, "2028-29": 11.49 } },
+            1642849: { actualSalary: 3.8, futureSalaries: { "2026-27": 4.00, "2027-28": 4.19, "2028-29": 6.46 } },
+            1642850: { actualSalary: 4.7, futureSalaries: { "2026-27": 4.89, "2027-28": 5.12, "2028-29": 7.85 } },
+            1642851: { actualSalary: 10.0, futureSalaries: { "2026-27": 10.52, "2027-28": 11.02, "2028-29": 13.94 } },
+            1642852: { actualSalary: 5.2, futureSalaries: { "2026-27": 5.42, "2027-28": 5.67, "2028-29": 8.11 } },
+            1642853: { actualSalary: 1.2, futureSalaries: { "2026-27": 2.15, "2027-28": 2.52, "2028-29": 2.73, "2029-30": 5.94 } },
+            1642854: { actualSalary: 3.2, futureSalaries: { "2026-27": 3.40, "2027-28": 3.56, "2028-29": 6.04 } },
+            1642855: { actualSalary: 5.4, futureSalaries: { "2026-27": 5.70, "2027-28": 5.97, "2028-29": 8.23 } },
+            1642856: { actualSalary: 6.9, futureSalaries: { "2026-27": 7.23, "2027-28": 7.58, "2028-29": 9.64 } },
+            1642857: { actualSalary: 3.7, futureSalaries: { "2026-27": 3.84, "2027-28": 4.02, "2028-29": 6.21 } },
+            1642859: { actualSalary: 3.0, futureSalaries: { "2026-27": 3.13, "2027-28": 3.28, "2028-29": 5.91 } },
+            1642860: { actualSalary: 1.2, futureSalaries: { } },
+            1642862: { actualSalary: 2.8, futureSalaries: { "2026-27": 2.90, "2027-28": 3.04, "2028-29": 5.49 } },
+            1642863: { actualSalary: 6.0, futureSalaries: { "2026-27": 6.32, "2027-28": 6.62, "2028-29": 8.44 } },
+            1642864: { actualSalary: 2.8, futureSalaries: { "2026-27": 2.92, "2027-28": 3.06, "2028-29": 5.53 } },
+            1642866: { actualSalary: 1.5, futureSalaries: { } },
+            1642867: { actualSalary: 6.3, futureSalaries: { "2026-27": 6.65, "2027-28": 6.97, "2028-29": 8.87 } },
+            1642868: { actualSalary: 1.2, futureSalaries: { } },
+            1642869: { actualSalary: 1.3, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53, "2028-29": 2.74 } },
+            1642873: { actualSalary: 1.2, futureSalaries: { } },
+            1642874: { actualSalary: 2.8, futureSalaries: { "2026-27": 2.94, "2027-28": 3.08, "2028-29": 5.56 } },
+            1642875: { actualSalary: 1.3, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53 } },
+            1642876: { actualSalary: 1.3, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53 } },
+            1642877: { actualSalary: 1.2, futureSalaries: { } },
+            1642878: { actualSalary: 1.2, futureSalaries: { } },
+            1642879: { actualSalary: 1.2, futureSalaries: { } },
+            1642880: { actualSalary: 1.2, futureSalaries: { } },
+            1642883: { actualSalary: 2.3, futureSalaries: { "2026-27": 2.41, "2027-28": 2.53, "2028-29": 2.74 } },
+            1642884: { actualSalary: 1.2, futureSalaries: { } },
+            1642885: { actualSalary: 1.2, futureSalaries: { } },
+            1642886: { actualSalary: 1.2, futureSalaries: { } },
+            1642905: { actualSalary: 4.4, futureSalaries: { "2026-27": 4.64, "2027-28": 4.86, "2028-29": 7.46 } },
+            1642907: { actualSalary: 5.7, futureSalaries: { "2026-27": 6.00, "2027-28": 6.29, "2028-29": 8.34 } },
+            1642910: { actualSalary: 1.2, futureSalaries: { } },
+            1642911: { actualSalary: 2.8, futureSalaries: { } },
+            1642914: { actualSalary: 1.2, futureSalaries: { } },
+            1642917: { actualSalary: 1.2, futureSalaries: { } },
+            1642918: { actualSalary: 1.2, futureSalaries: { } },
+            1642920: { actualSalary: 1.2, futureSalaries: { } },
+            1642926: { actualSalary: 1.2, futureSalaries: { } },
+            1642928: { actualSalary: 1.2, futureSalaries: { } },
+            1642935: { actualSalary: 0.0, futureSalaries: { } },
+            1642938: { actualSalary: 1.2, futureSalaries: { } },
+            1642939: { actualSalary: 0.0, futureSalaries: { } },
+            1642942: { actualSalary: 1.2, futureSalaries: { } },
+            1642948: { actualSalary: 1.2, futureSalaries: { } },
+            1642949: { actualSalary: 1.2, futureSalaries: { } },
+            1642950: { actualSalary: 1.2, futureSalaries: { } },
+            1642954: { actualSalary: 1.3, futureSalaries: { "2026-27": 2.15, "2027-28": 2.53, "2028-29": 2.74 } },
+            1642959: { actualSalary: 1.2, futureSalaries: { } },
+            1642962: { actualSalary: 2.5, futureSalaries: { } },
+            1642964: { actualSalary: 1.2, futureSalaries: { } },
+            1643007: { actualSalary: 1.2, futureSalaries: { } },
+            1643018: { actualSalary: 1.2, futureSalaries: { } },
+            1643024: { actualSalary: 1.2, futureSalaries: { } },
+            1643052: { actualSalary: 1.2, futureSalaries: { } }
+        }
+    }
+];
+
+if (typeof module === "object" && module.exports) {
+    module.exports = DARKO_SNAPSHOTS;
+}
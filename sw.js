@@ -0,0 +1,62 @@
+// NBA Salary Model - offline cache
+// Service worker registered by build/app.js. Caches the page and everything it loads, so
+// a copy served over http(s) that has loaded once keeps working without a network.
+const CACHE_NAME = "nbasalarymodel-v2";
+
+// Everything index.html loads; keep in step with its <script> and <link> tags
+const APP_FILES = [
+    "./",
+    "index.html",
+    "favicon.png",
+    "build/app.css",
+    "vendor/react.production.min.js",
+    "vendor/react-dom.production.min.js",
+    "players.js",
+    "csv.js",
+    "snapshots.js",
+    "model.js",
+    "league.js",
+    "team.js",
+    "depth.js",
+    "trade.js",
+    "session.js",
+    "history.js",
+    "simulation.js",
+    "contract.js",
+    "breakeven.js",
+    "picks.js",
+    "adjustments.js",
+    "search.js",
+    "export.js",
+    "build/app.js"
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(APP_FILES))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Network first so refreshed data (players.js, snapshots.js) and a rebuilt app show up,
+// with the cache as the fallback.
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+
+    if (new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(fetch(request)
+        .then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })));
+});
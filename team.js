@@ -0,0 +1,122 @@
+// NBA Salary Model - team payroll and roster valuation
+// Aggregates player projections for a whole roster under a shared minutes budget.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"));
+    } else {
+        root.SalaryTeam = factory(root.SalaryModel);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel) {
+    const { ALL_SEASONS, normalizeTeam, projectPlayer, getSeasonRows } = SalaryModel;
+
+    const SEASON_GAMES = 82;
+    const MAX_MINUTES_PER_GAME = 48;
+
+    // Five players on the floor for 48 minutes of all 82 games
+    const TEAM_MINUTES_BUDGET = MAX_MINUTES_PER_GAME * 5 * SEASON_GAMES;
+
+    // Default minutes per game for a rotation ranked by DARKO; sums to 240 (48 x 5)
+    const DEFAULT_ROTATION_MINUTES = [34, 33, 32, 30, 28, 25, 21, 17, 12, 8];
+
+    // Players listed more than once under the same id are only counted once
+    const getRoster = (players, team) => {
+        const code = normalizeTeam(team);
+        const seen = new Set();
+        return players.filter(p => {
+            if (normalizeTeam(p.team) !== code || seen.has(p.id)) return false;
+            seen.add(p.id);
+            return true;
+        });
+    };
+
+    // Rotation players get DEFAULT_ROTATION_MINUTES for all 82 games, so a full
+    // rotation uses exactly TEAM_MINUTES_BUDGET; everyone else starts at 0 minutes.
+    // Allocations are keyed by player id: { [id]: { games, minutes } }.
+    const getDefaultAllocations = (roster) => {
+        const allocations = {};
+        [...roster]
+            .sort((a, b) => b.darko - a.darko)
+            .forEach((player, rank) => {
+                const minutes = DEFAULT_ROTATION_MINUTES[rank] || 0;
+                allocations[player.id] = { games: minutes > 0 ? SEASON_GAMES : 0, minutes };
+            });
+        return allocations;
+    };
+
+    const getAllocatedMinutes = (allocations) => Object.values(allocations)
+        .reduce((sum, { games, minutes }) => sum + games * minutes, 0);
+
+    // Scales every player's minutes per game by the same factor so the roster uses
+    // `budget` total minutes. Players capped at 48 minutes pass their overflow on to
+    // the rest, so the result can fall short only if everyone is at the cap.
+    const scaleAllocationsToBudget = (allocations, budget = TEAM_MINUTES_BUDGET) => {
+        const scaled = {};
+        Object.entries(allocations).forEach(([id, allocation]) => { scaled[id] = { ...allocation }; });
+
+        let uncapped = Object.keys(scaled).filter(id => scaled[id].games * scaled[id].minutes > 0);
+        while (uncapped.length > 0) {
+            const remaining = budget - getAllocatedMinutes(scaled);
+            const flexible = uncapped.reduce((sum, id) => sum + scaled[id].games * scaled[id].minutes, 0);
+            if (Math.abs(remaining) < 1e-6 || flexible === 0) break;
+
+            const factor = (flexible + remaining) / flexible;
+            const nextUncapped = [];
+            uncapped.forEach(id => {
+                const minutes = scaled[id].minutes * factor;
+                if (minutes >= MAX_MINUTES_PER_GAME) {
+                    scaled[id].minutes = MAX_MINUTES_PER_GAME;
+                } else {
+                    scaled[id].minutes = minutes;
+                    nextUncapped.push(id);
+                }
+            });
+            if (nextUncapped.length === uncapped.length) break;
+            uncapped = nextUncapped;
+        }
+        return scaled;
+    };
+
+    // Totals salary, modeled value and surplus per season over a list of projections.
+    // A player's value only counts toward a season they are under contract for, so each
+    // season's surplus matches the per-player surplus shown on the comparison cards.
+    const sumSeasons = (projections) => ALL_SEASONS.map((season, idx) => {
+        const totals = { season, salary: 0, value: 0, surplus: 0, contracts: 0 };
+        projections.forEach(projection => {
+            const row = getSeasonRows(projection)[idx];
+            if (row.actualSalary === null) return;
+            totals.salary += row.actualSalary;
+            // Dead money from a declined option buys no production
+            if (row.deadMoney === 0) totals.value += row.value;
+            totals.surplus += row.surplus;
+            totals.contracts += 1;
+        });
+        return totals;
+    });
+
+    // Values every player on a roster and totals their salary, value and surplus per season.
+    // `modelOptions` (e.g. { positional: true }) apply to every player.
+    const projectTeam = (roster, allocations = getDefaultAllocations(roster), modelOptions = {}) => {
+        const projections = roster.map(player => projectPlayer(player, { ...modelOptions, ...allocations[player.id] }));
+        const seasons = sumSeasons(projections);
+
+        return {
+            projections,
+            seasons,
+            allocatedMinutes: getAllocatedMinutes(allocations),
+            totalSurplus: seasons.reduce((sum, s) => sum + s.surplus, 0)
+        };
+    };
+
+    return {
+        SEASON_GAMES,
+        MAX_MINUTES_PER_GAME,
+        TEAM_MINUTES_BUDGET,
+        DEFAULT_ROTATION_MINUTES,
+        getRoster,
+        getDefaultAllocations,
+        getAllocatedMinutes,
+        scaleAllocationsToBudget,
+        sumSeasons,
+        projectTeam
+    };
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { projectPlayer, getSeasonRows } = require("../model.js");
+const { getBreakEvenSeasons } = require("../breakeven.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const getPlayer = (id) => PLAYER_DATA.find(p => p.id === id);
+const getValue = (player, options, season) => getSeasonRows(projectPlayer(player, options)).find(row => row.season === season).value;
+
+test("one row per contracted season, current season first", () => {
+    const seasons = getBreakEvenSeasons(getPlayer(203999), { games: 70, minutes: 34 });
+    assert.deepEqual(seasons.map(s => s.season), ["2025-26", "2026-27", "2027-28"]);
+    assert.deepEqual(seasons.map(s => s.salary), [55.2, 59.03, 62.84]);
+});
+
+test("the break-even DARKO and minutes are where value first covers the salary", () => {
+    const player = getPlayer(1628983);
+    const options = { games: 70, minutes: 30, adjustment: 0.5 };
+    getBreakEvenSeasons(player, options).forEach(row => {
+        const shift = row.breakEvenDarko - row.darko;
+        assert.ok(getValue(player, { ...options, adjustment: options.adjustment + shift }, row.season) >= row.salary);
+        assert.ok(getValue(player, { ...options, adjustment: options.adjustment + shift - 0.01 }, row.season) < row.salary);
+        assert.equal(row.darkoGap, row.darko - row.breakEvenDarko);
+
+        const seasonMinutes = (m) => ({ ...options, seasonMinutes: { [row.season]: m } });
+        assert.ok(getValue(player, seasonMinutes(row.breakEvenMinutes), row.season) >= row.salary);
+        assert.ok(getValue(player, seasonMinutes(row.breakEvenMinutes - 0.01), row.season) < row.salary);
+    });
+});
+
+test("a salary under the minimum cutoff breaks even once the player clears the cutoff", () => {
+    const [row] = getBreakEvenSeasons(getPlayer(1641752), { games: 70, minutes: 30 });
+    assert.equal(row.belowCutoff, true);
+    assert.ok(getValue(getPlayer(1641752), { adjustment: row.breakEvenDarko - row.darko }, row.season) >= 3);
+});
+
+test("targets past 48 minutes or the DARKO range are out of reach", () => {
+    const [row] = getBreakEvenSeasons(getPlayer(203999), { games: 10, minutes: 30 });
+    assert.equal(row.breakEvenMinutes, null);
+    assert.equal(row.breakEvenDarko, null);
+    assert.equal(row.darkoGap, null);
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { CURRENT_SEASON, projectPlayer } = require("../model.js");
+const { getMinimumSalary, getMaximumSalary, recommendContract } = require("../contract.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const freeAgent = PLAYER_DATA.find(p => p.id === 1630540);
+
+test("years of service below 0 or fractional use the nearest valid tier", () => {
+    assert.equal(getMinimumSalary(-2), getMinimumSalary(0));
+    assert.equal(getMinimumSalary(2.7), getMinimumSalary(2));
+    assert.equal(getMaximumSalary(-1), getMaximumSalary(0));
+});
+
+test("recommendContract never returns NaN for an out-of-range years of service", () => {
+    [-5, 0.5, 40].forEach(yearsOfService => {
+        const contract = recommendContract(freeAgent, { yearsOfService });
+        assert.ok(Number.isFinite(contract.startingSalary), `years of service ${yearsOfService}`);
+        assert.ok(contract.yearsOfService >= 0);
+    });
+    assert.ok(Number.isFinite(recommendContract({ ...freeAgent, age: 17 }).minimumSalary));
+});
+
+test("an unclamped offer has a total projected surplus of about zero", () => {
+    ["flat", "raise5", "raise8"].forEach(raise => {
+        const contract = recommendContract(freeAgent, { games: 70, minutes: 28, years: 4, raise });
+        assert.equal(contract.clamped, null, raise);
+        assert.ok(Math.abs(contract.totalSurplus) < 1e-9, `${raise}: ${contract.totalSurplus}`);
+        assert.ok(Math.abs(contract.totalSalary - contract.totalValue) < 1e-9, raise);
+    });
+});
+
+test("projectPlayer agrees that the offer breaks even", () => {
+    // Unsigned, so the offer starts this season and every year of it is a modeled season
+    const unsigned = { ...freeAgent, actualSalary: 0, futureSalaries: {} };
+    const options = { games: 70, minutes: 28 };
+    const contract = recommendContract(unsigned, { ...options, years: 4, raise: "raise5" });
+    assert.equal(contract.clamped, null);
+    assert.equal(contract.startSeason, CURRENT_SEASON);
+
+    const [first, ...rest] = contract.seasons;
+    const signed = {
+        ...unsigned,
+        actualSalary: first.salary,
+        futureSalaries: Object.fromEntries(rest.map(season => [season.season, season.salary]))
+    };
+    const projection = projectPlayer(signed, options);
+    assert.ok(Math.abs(projection.totalSurplus) < 1e-6, String(projection.totalSurplus));
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { projectPlayer } = require("../model.js");
+const { getSnapshotPlayer, getSnapshotPlayers, getPlayerHistory, getMovers } = require("../history.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const CURRENT_DATE = "2026-01-28";
+const jokic = PLAYER_DATA.find(p => p.id === 203999);
+const sga = PLAYER_DATA.find(p => p.id === 1628983);
+
+// Half a season earlier, on a different team and contract
+const earlier = {
+    date: "2025-07-29",
+    darko: { 203999: 5.0, 1628983: 4.0 },
+    teams: { 203999: "LAL" },
+    contracts: { 203999: { actualSalary: 40, futureSalaries: { "2026-27": 42 } } }
+};
+// From before snapshots recorded teams and contracts
+const darkoOnly = { date: "2025-10-28", darko: { 203999: 6.0 } };
+const current = { date: CURRENT_DATE, darko: { 203999: jokic.darko, 1628983: sga.darko } };
+
+test("getSnapshotPlayer takes DARKO, team and contract from the snapshot and rolls the age back", () => {
+    const asOf = getSnapshotPlayer(jokic, earlier, CURRENT_DATE);
+    assert.equal(asOf.darko, 5.0);
+    assert.equal(asOf.team, "LAL");
+    assert.equal(asOf.actualSalary, 40);
+    assert.deepEqual(asOf.futureSalaries, { "2026-27": 42 });
+    assert.equal(asOf.contractTerms, undefined);
+    assert.equal(asOf.age, Number((jokic.age - 0.5).toFixed(1)));
+});
+
+test("snapshots without teams or contracts keep the current ones", () => {
+    const asOf = getSnapshotPlayer(jokic, darkoOnly, CURRENT_DATE);
+    assert.equal(asOf.team, jokic.team);
+    assert.equal(asOf.actualSalary, jokic.actualSalary);
+    assert.deepEqual(asOf.futureSalaries, jokic.futureSalaries);
+    assert.equal(getSnapshotPlayer(sga, darkoOnly, CURRENT_DATE), null);
+});
+
+test("the value history matches a card valued against the same snapshot", () => {
+    const options = { games: 70, minutes: 34 };
+    const history = getPlayerHistory(jokic, [current, earlier, darkoOnly], options, CURRENT_DATE);
+    assert.deepEqual(history.map(point => point.date), [earlier.date, darkoOnly.date, CURRENT_DATE]);
+
+    history.forEach(point => {
+        const snapshot = [current, earlier, darkoOnly].find(s => s.date === point.date);
+        const [card] = getSnapshotPlayers([jokic], snapshot, CURRENT_DATE);
+        assert.equal(point.value, projectPlayer(card, options).currentValue, point.date);
+    });
+});
+
+test("getMovers values both ends as of their snapshot", () => {
+    const movers = getMovers([jokic, sga], earlier, current, () => ({ minutes: 34 }), CURRENT_DATE);
+    assert.equal(movers.length, 2);
+    const jokicMove = movers.find(m => m.player.id === 203999);
+    const from = projectPlayer(getSnapshotPlayer(jokic, earlier, CURRENT_DATE), { minutes: 34 });
+    assert.equal(jokicMove.fromValue, from.currentValue);
+    assert.equal(jokicMove.toValue, projectPlayer(jokic, { minutes: 34 }).currentValue);
+    assert.ok(movers[0].valueDelta >= movers[1].valueDelta);
+});
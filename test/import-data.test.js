@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCsv } = require("../csv.js");
+const { validatePlayers, buildPlayers, diffPlayers } = require("../scripts/import-data.js");
+
+const DARKO_CSV = [
+    "nba_id,player_name,team,pos,age,dpm",
+    "1,Alpha Guard,OKC,PG,24.5,2.1",
+    "2,Beta Wing,BOS,SF,29.0,-0.4",
+    "3,Gamma Big,DEN,C,21.2,0.9"
+].join("\n");
+
+const contracts = (rows) => parseCsv([
+    "id,name,team,2025-26,2026-27,2026-27 option,2026-27 guaranteed,2027-28",
+    ...rows
+].join("\n"));
+
+const validPlayer = {
+    id: 1, name: "Alpha Guard", team: "OKC", pos: "pg_pos", age: 24.5, darko: 2.1,
+    actualSalary: 10, futureSalaries: { "2026-27": 11 }
+};
+
+test("parseCsv handles quoted cells with commas, quotes and line breaks", () => {
+    const rows = parseCsv('id,name\n1,"Porter, Jr."\n2,"Say ""hi"""\n3,"two\nlines"\n');
+    assert.deepEqual(rows.map(row => row.name), ["Porter, Jr.", 'Say "hi"', "two\nlines"]);
+});
+
+test("buildPlayers joins on id, keeps the contract team and skips players without a contract", () => {
+    const built = buildPlayers(parseCsv(DARKO_CSV), contracts([
+        "1,Alpha Guard,,10,11,po,,",
+        "2,Beta Wing,lal,20.5,,,,"
+    ]));
+    assert.deepEqual(built.errors, []);
+    assert.deepEqual(built.skipped, [3]);
+    const [alpha, beta] = built.players;
+    assert.deepEqual(alpha, {
+        id: 1, name: "Alpha Guard", team: "OKC", pos: "pg_pos", age: 24.5, darko: 2.1,
+        actualSalary: 10, futureSalaries: { "2026-27": 11 }, contractTerms: { "2026-27": { option: "player" } }
+    });
+    assert.equal(beta.team, "LAL");
+    assert.deepEqual(beta.futureSalaries, {});
+});
+
+test("buildPlayers reports contract ids missing from DARKO and duplicate ids", () => {
+    const built = buildPlayers(parseCsv(DARKO_CSV), contracts([
+        "1,Alpha Guard,,10,,,,",
+        "1,Alpha Guard,,10,,,,",
+        "9,Nobody,,5,,,,"
+    ]));
+    assert.equal(built.errors.length, 2);
+    assert.match(built.errors[0], /duplicate id 1/);
+    assert.match(built.errors[1], /id 9 \(Nobody\) is not in the DARKO file/);
+});
+
+test("buildPlayers falls back to the current data for fields the files leave out", () => {
+    const darko = parseCsv("nba_id,player_name,age,dpm\n1,,25.0,2.5");
+    const built = buildPlayers(darko, contracts(["1,,,10,,,,"]), [validPlayer]);
+    assert.equal(built.players[0].name, "Alpha Guard");
+    assert.equal(built.players[0].team, "OKC");
+    assert.equal(built.players[0].pos, "pg_pos");
+});
+
+test("salaries in whole dollars are converted to $M with a warning", () => {
+    const built = buildPlayers(parseCsv(DARKO_CSV), contracts([
+        '1,Alpha Guard,,"$38,300,000","$41,364,000",to,"$20,000,000",'
+    ]));
+    const [alpha] = built.players;
+    assert.equal(alpha.actualSalary, 38.3);
+    assert.equal(alpha.futureSalaries["2026-27"], 41.36);
+    assert.equal(alpha.contractTerms["2026-27"].guaranteed, 20);
+    assert.deepEqual(built.warnings, ["3 salary cells were in whole dollars and were converted to $M"]);
+    assert.deepEqual(validatePlayers(built.players).errors, []);
+});
+
+test("validatePlayers accepts a valid player and rejects bad fields", () => {
+    assert.deepEqual(validatePlayers([validPlayer]), { errors: [], warnings: [] });
+
+    const { errors } = validatePlayers([
+        { ...validPlayer, pos: "xx", age: 50, darko: 12 },
+        { ...validPlayer, actualSalary: -1 }
+    ]);
+    assert.equal(errors.length, 5);
+    assert.match(errors[0], /unknown position/);
+    assert.match(errors[1], /age 50/);
+    assert.match(errors[2], /DARKO 12/);
+    assert.match(errors[3], /invalid 2025-26 salary -1/);
+    assert.match(errors[4], /duplicate id 1/);
+});
+
+test("validatePlayers rejects salaries above the largest possible contract", () => {
+    const { errors } = validatePlayers([
+        { ...validPlayer, actualSalary: 38300000 },
+        { ...validPlayer, id: 2, actualSalary: 59.6, futureSalaries: { "2030-31": 75.78 } },
+        { ...validPlayer, id: 3, futureSalaries: { "2026-27": 90 } }
+    ]);
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /2025-26 salary 38300000 is above the largest possible contract/);
+    assert.match(errors[1], /2026-27 salary 90 is above/);
+});
+
+test("diffPlayers lists added and removed players and DARKO, team and contract changes", () => {
+    const before = [validPlayer, { ...validPlayer, id: 2, name: "Gone" }];
+    const after = [
+        { ...validPlayer, darko: 3.1, team: "LAL", actualSalary: 12 },
+        { ...validPlayer, id: 3, name: "New" }
+    ];
+    const diff = diffPlayers(before, after);
+    assert.deepEqual(diff.added.map(p => p.name), ["New"]);
+    assert.deepEqual(diff.removed.map(p => p.name), ["Gone"]);
+    assert.equal(diff.darkoChanges.length, 1);
+    assert.equal(diff.darkoChanges[0].delta.toFixed(2), "1.00");
+    assert.deepEqual(diff.teamChanges.map(c => [c.from, c.to]), [["OKC", "LAL"]]);
+    assert.equal(diff.salaryChanges.length, 1);
+});
@@ -0,0 +1,147 @@
+// Pins the model's outputs for a few players in PLAYER_DATA, so a change to the formula
+// or the data shows up here. Update the numbers on purpose, never to make a run pass.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculateSalary, projectPlayer, getSeasonRows } = require("../model.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const getPlayer = (id) => PLAYER_DATA.find(p => p.id === id);
+
+// Money fields to the cent, nulls as they are
+const round = (value) => (value === null ? null : Number(value.toFixed(2)));
+
+const getSeasons = (projection) => projection.seasons.map(s => [s.season, round(s.value), round(s.actualSalary), round(s.surplus)]);
+
+test("calculateSalary", () => {
+    assert.equal(calculateSalary(70, 30, 6.71), 65.7);
+    assert.equal(calculateSalary(70, 30, 0), 18.5);
+    assert.equal(calculateSalary(70, 30, -2), 5.9);
+    assert.equal(calculateSalary(70, 30, 6.21, 0.5), 65.7);
+});
+
+test("calculateSalary returns 0, not a string, under the minimum cutoff", () => {
+    assert.equal(calculateSalary(70, 30, -2.5), 0);
+    assert.equal(calculateSalary(0, 30, 6.71), 0);
+});
+
+test("projectPlayer: Nikola Jokic", () => {
+    const projection = projectPlayer(getPlayer(203999), { games: 70, minutes: 30, adjustment: 0 });
+    assert.equal(projection.currentValue, 65.7);
+    assert.equal(projection.actualSalary, 55.2);
+    assert.equal(round(projection.currentSurplus), 10.5);
+    assert.equal(projection.label, "MVP Level");
+    assert.deepEqual(getSeasons(projection), [
+        ["2026-27", 69.81, 59.03, 10.78],
+        ["2027-28", 71.79, 62.84, 8.95],
+        ["2028-29", 72.93, null, null],
+        ["2029-30", 72.66, null, null],
+        ["2030-31", 70.73, null, null]
+    ]);
+    assert.equal(round(projection.totalSurplus), 30.23);
+});
+
+test("projectPlayer: Shai Gilgeous-Alexander", () => {
+    const projection = projectPlayer(getPlayer(1628983), { games: 70, minutes: 30, adjustment: 0 });
+    assert.equal(projection.currentValue, 60.6);
+    assert.equal(round(projection.currentSurplus), 22.3);
+    assert.deepEqual(getSeasons(projection), [
+        ["2026-27", 65.08, 40.81, 24.27],
+        ["2027-28", 68.3, 61.01, 7.29],
+        ["2028-29", 71.4, 65.89, 5.51],
+        ["2029-30", 73.9, 70.77, 3.13],
+        ["2030-31", 76.08, 75.65, 0.43]
+    ]);
+    assert.equal(round(projection.totalSurplus), 62.93);
+});
+
+test("projectPlayer: Miles McBride", () => {
+    const projection = projectPlayer(getPlayer(1630540), { games: 70, minutes: 30, adjustment: 0 });
+    assert.equal(projection.currentValue, 21);
+    assert.equal(round(projection.currentSurplus), 16.7);
+    assert.deepEqual(getSeasons(projection)[0], ["2026-27", 23.31, 3.96, 19.35]);
+    assert.equal(round(projection.totalSurplus), 36.05);
+});
+
+test("projectPlayer: a minimum-salary player is valued at 0 with isMinimum", () => {
+    const projection = projectPlayer(getPlayer(1641752), { games: 70, minutes: 30, adjustment: 0 });
+    assert.equal(projection.currentValue, 0);
+    assert.equal(projection.isMinimum, true);
+    assert.equal(round(projection.currentSurplus), -2);
+    assert.equal(getSeasonRows(projection)[0].isMinimum, true);
+});
+
+test("projectPlayer: seasons without a contract have null salary and surplus", () => {
+    const projection = projectPlayer(getPlayer(1630540));
+    const freeAgent = projection.seasons.filter(s => s.actualSalary === null);
+    assert.equal(freeAgent.length, 4);
+    freeAgent.forEach(season => assert.equal(season.surplus, null));
+});
+
+test("projectPlayer: DARKO adjustment", () => {
+    const base = projectPlayer(getPlayer(203999));
+    const adjusted = projectPlayer(getPlayer(203999), { adjustment: -1 });
+    assert.equal(round(adjusted.adjustedDarko), 5.71);
+    assert.ok(adjusted.currentValue < base.currentValue);
+});
+
+// Option decisions on made-up contracts, so the data can change without breaking them
+const optionPlayer = (darko, actualSalary, futureSalaries, contractTerms) => ({
+    id: 1, name: "Option Test", team: "OKC", pos: "sf_pos", age: 26, darko, actualSalary, futureSalaries, contractTerms
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+test("a player declines his option when his value is above the salary", () => {
+    const player = optionPlayer(4, 20, { "2026-27": 20, "2027-28": 21 }, { "2026-27": { option: "player" } });
+    const projection = projectPlayer(player, { games: 70, minutes: 30 });
+    const [optionYear, laterYear] = projection.seasons;
+
+    assert.ok(optionYear.value > 20);
+    assert.equal(optionYear.decision, "declined");
+    assert.equal(laterYear.decision, "ended");
+    // Without exerciseOptions the rows show the full term
+    assert.equal(optionYear.actualSalary, 20);
+    assert.equal(round(optionYear.surplus), round(optionYear.value - 20));
+
+    // Nothing is owed once the player leaves, so the rational total is this season alone
+    assert.equal(round(projection.rationalSurplus), round(projection.currentSurplus));
+    assert.equal(round(projection.fullTermSurplus), round(projection.currentSurplus + optionYear.value - 20 + laterYear.value - 21));
+    assert.equal(projection.totalSurplus, projection.fullTermSurplus);
+
+    const rational = projectPlayer(player, { games: 70, minutes: 30, exerciseOptions: true });
+    assert.equal(rational.totalSurplus, rational.rationalSurplus);
+    assert.deepEqual(rational.seasons.slice(0, 2).map(s => [s.actualSalary, s.surplus, s.deadMoney]), [[null, null, 0], [null, null, 0]]);
+});
+
+test("a team declines its option when the value is below the salary, owing the guarantee", () => {
+    const player = optionPlayer(-1.5, 30, { "2026-27": 30, "2027-28": 32 }, { "2026-27": { option: "team", guaranteed: 5 } });
+    const projection = projectPlayer(player, { games: 70, minutes: 30, exerciseOptions: true });
+    const [optionYear, laterYear] = projection.seasons;
+
+    assert.ok(optionYear.value < 30);
+    assert.equal(optionYear.decision, "declined");
+    assert.equal(laterYear.decision, "ended");
+    // Waiving leaves the guaranteed money as dead money: 5 of the option year, all of the next
+    assert.deepEqual([optionYear.actualSalary, optionYear.surplus, optionYear.deadMoney], [5, -5, 5]);
+    assert.deepEqual([laterYear.actualSalary, laterYear.surplus, laterYear.deadMoney], [32, -32, 32]);
+
+    assert.equal(round(projection.rationalSurplus), round(projection.currentSurplus - 5 - 32));
+    assert.equal(projection.totalSurplus, projection.rationalSurplus);
+    assert.equal(round(projection.fullTermSurplus), round(projection.currentSurplus + optionYear.value - 30 + laterYear.value - 32));
+});
+
+test("options that pay off are exercised and both totals agree", () => {
+    const player = optionPlayer(0, 15, { "2026-27": 25, "2027-28": 18 }, {
+        "2026-27": { option: "player" },
+        "2027-28": { option: "team" }
+    });
+    const projection = projectPlayer(player, { games: 70, minutes: 30 });
+    const [playerOption, teamOption] = projection.seasons;
+    assert.ok(playerOption.value <= 25 && teamOption.value >= 18, `${playerOption.value} ${teamOption.value}`);
+    assert.deepEqual([playerOption.decision, teamOption.decision], ["exercised", "exercised"]);
+
+    const contracted = getSeasonRows(projection).filter(row => row.surplus !== null);
+    assert.equal(round(projection.fullTermSurplus), round(sum(contracted.map(row => row.surplus))));
+    assert.equal(projection.rationalSurplus, projection.fullTermSurplus);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseQuery, searchPlayers } = require("../search.js");
+const { normalizeTeam } = require("../model.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const teams = [...new Set(PLAYER_DATA.map(p => normalizeTeam(p.team)).filter(Boolean))];
+
+test("an upper-case team code, or a lower-case one with other terms, filters by team", () => {
+    ["OKC", "okc centers", "Okc shai"].forEach(query => {
+        assert.equal(parseQuery(query, teams).filters.team, "OKC", query);
+        const { results } = searchPlayers(PLAYER_DATA, query, teams);
+        assert.ok(results.length > 0, query);
+        assert.ok(results.every(result => normalizeTeam(result.player.team) === "OKC"), query);
+    });
+});
+
+test("a lone lower-case team code lists name matches first, then the team", () => {
+    const { results } = searchPlayers(PLAYER_DATA, "okc", teams);
+    assert.ok(results.length > 0);
+    assert.ok(results.every(result => normalizeTeam(result.player.team) === "OKC"));
+
+    const dal = searchPlayers(PLAYER_DATA, "dal", teams).results;
+    const names = dal.filter(result => result.matchedBy === "name").map(result => result.player.name);
+    assert.ok(names.includes("Dalton Knecht"));
+    assert.equal(dal[0].matchedBy, "name");
+    assert.ok(dal.some(result => result.matchedBy === "filter" && normalizeTeam(result.player.team) === "DAL"));
+});
+
+test("three-letter words that aren't team codes stay name words", () => {
+    assert.deepEqual(parseQuery("bam", teams), { words: ["bam"], filters: {}, errors: [], teamOrName: null });
+    assert.equal(searchPlayers(PLAYER_DATA, "bam", teams).results[0].player.name, "Bam Adebayo");
+});
+
+test("a team code that starts a name still finds the player", () => {
+    const por = searchPlayers(PLAYER_DATA, "por", teams).results.slice(0, 4).map(result => result.player.name);
+    assert.ok(por.includes("Kristaps Porzingis"));
+    assert.ok(por.includes("Michael Porter Jr."));
+    assert.equal(parseQuery("por", teams).teamOrName, "POR");
+});
@@ -0,0 +1,73 @@
+// The seedable RNG makes simulation results reproducible; these pin that down.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+    DEFAULT_SIMULATION, MIN_RUNS, MAX_RUNS, clampSimulationSettings, createRng, simulatePlayer, getHistogram
+} = require("../simulation.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const jokic = PLAYER_DATA.find(p => p.id === 203999);
+const OPTIONS = { games: 70, minutes: 30 };
+const SETTINGS = { runs: 200, seed: 7 };
+
+test("createRng repeats its sequence for a seed", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const first = Array.from({ length: 5 }, () => a());
+    assert.deepEqual(Array.from({ length: 5 }, () => b()), first);
+    first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test("the same seed gives identical percentiles and histogram", () => {
+    const a = simulatePlayer(jokic, OPTIONS, SETTINGS);
+    const b = simulatePlayer(jokic, OPTIONS, SETTINGS);
+    assert.deepEqual(a.totalSurplus, b.totalSurplus);
+    assert.deepEqual(a.seasons, b.seasons);
+    assert.deepEqual(getHistogram(a.outcomes, 24), getHistogram(b.outcomes, 24));
+});
+
+test("different seeds give different results", () => {
+    const a = simulatePlayer(jokic, OPTIONS, SETTINGS);
+    const b = simulatePlayer(jokic, OPTIONS, { ...SETTINGS, seed: 8 });
+    assert.notDeepEqual(a.outcomes, b.outcomes);
+    assert.notDeepEqual(a.totalSurplus, b.totalSurplus);
+});
+
+test("percentiles are ordered p10 <= median <= p90", () => {
+    const result = simulatePlayer(jokic, OPTIONS, SETTINGS);
+    const bands = [result.totalSurplus, ...result.seasons.flatMap(s => [s.value, s.surplus])].filter(Boolean);
+    bands.forEach(band => {
+        assert.ok(band.p10 <= band.p50, `${band.p10} > ${band.p50}`);
+        assert.ok(band.p50 <= band.p90, `${band.p50} > ${band.p90}`);
+    });
+    assert.equal(result.outcomes.length, SETTINGS.runs);
+    assert.equal(getHistogram(result.outcomes, 24).reduce((sum, bin) => sum + bin.count, 0), SETTINGS.runs);
+});
+
+test("runs are clamped to MIN_RUNS-MAX_RUNS inside simulatePlayer", () => {
+    const none = simulatePlayer(jokic, OPTIONS, { runs: 0 });
+    assert.equal(none.settings.runs, MIN_RUNS);
+    assert.equal(none.outcomes.length, MIN_RUNS);
+    assert.ok(Number.isFinite(none.totalSurplus.p50));
+
+    assert.equal(clampSimulationSettings({ runs: 1e7 }).runs, MAX_RUNS);
+    assert.equal(clampSimulationSettings({ runs: 12.6 }).runs, 13);
+    assert.equal(clampSimulationSettings({ runs: NaN }).runs, DEFAULT_SIMULATION.runs);
+});
+
+test("SDs, the injury chance and injury games are clamped to valid ranges", () => {
+    const settings = clampSimulationSettings({
+        darkoError: -1, agingSd: -0.5, gamesSd: "x", injuryRate: 2, injuryGamesMin: 70, injuryGamesMax: 20
+    });
+    assert.equal(settings.darkoError, 0);
+    assert.equal(settings.agingSd, 0);
+    assert.equal(settings.gamesSd, DEFAULT_SIMULATION.gamesSd);
+    assert.equal(settings.injuryRate, 1);
+    assert.equal(settings.injuryGamesMin, 70);
+    assert.equal(settings.injuryGamesMax, 70);
+
+    const result = simulatePlayer(jokic, OPTIONS, { runs: 50, darkoError: -3, injuryRate: 5 });
+    assert.equal(result.settings.darkoError, 0);
+    result.seasons.forEach(season => assert.ok(Number.isFinite(season.value.p50), season.season));
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_TRADE_RULES, checkSalaryMatch, evaluateTrade } = require("../trade.js");
+const { createPickPlayer, getPickOptions } = require("../picks.js");
+const { PLAYER_DATA } = require("../players.js");
+
+const { salaryCap, apron } = DEFAULT_TRADE_RULES;
+// Sends out 20, so the matching limit is 20 x 1.25 + 0.25 = 25.25
+const OUTGOING = 20;
+const LIMIT = 25.25;
+
+const check = (incomingSalary, payrollAfter) => checkSalaryMatch({ incomingSalary, outgoingSalary: OUTGOING, payrollAfter });
+
+test("taking back no more salary than it sends out is always allowed", () => {
+    assert.equal(check(OUTGOING, apron + 50).valid, true);
+    assert.equal(check(OUTGOING + 0.01, apron + 50).valid, false);
+});
+
+test("a team that stays under the cap needs no matching", () => {
+    assert.equal(check(60, salaryCap).valid, true);
+    assert.match(check(60, salaryCap).reason, /under the salary cap/);
+    assert.equal(check(60, salaryCap + 0.01).valid, false);
+});
+
+test("over the cap and under the apron, incoming salary can reach the matching limit", () => {
+    assert.equal(check(LIMIT, salaryCap + 1).valid, true);
+    assert.equal(check(LIMIT, apron).valid, true);
+    assert.equal(check(LIMIT + 0.01, apron).valid, false);
+    assert.match(check(LIMIT + 0.01, apron).reason, /exceeds the \$25\.3M matching limit/);
+});
+
+test("over the apron, no added salary is allowed", () => {
+    assert.equal(check(OUTGOING + 0.01, apron + 0.01).valid, false);
+    assert.match(check(OUTGOING + 0.01, apron + 0.01).reason, /apron/);
+});
+
+test("custom rules move the band edges", () => {
+    const rules = { ...DEFAULT_TRADE_RULES, matchingPct: 1, matchingCushion: 5 };
+    assert.equal(checkSalaryMatch({ incomingSalary: 25, outgoingSalary: 20, payrollAfter: 180 }, rules).valid, true);
+    assert.equal(checkSalaryMatch({ incomingSalary: 25.01, outgoingSalary: 20, payrollAfter: 180 }, rules).valid, false);
+});
+
+const OPTIONS = { games: 70, minutes: 30 };
+const getOptions = (player) => (player.isPick ? getPickOptions(player) : OPTIONS);
+
+test("each side's surplus change is the mirror of the other's", () => {
+    // Aaron Gordon (DEN) for Alex Caruso (OKC)
+    const result = evaluateTrade(PLAYER_DATA, ["DEN", "OKC"], [
+        { playerId: 203932, from: "DEN", to: "OKC" },
+        { playerId: 1627936, from: "OKC", to: "DEN" }
+    ], { getOptions: () => OPTIONS });
+    const [den, okc] = result.teams;
+
+    assert.equal(den.seasons[0].outgoingSalary, 22.8);
+    assert.equal(den.seasons[0].incomingSalary, 18.1);
+    assert.equal(Number(den.payrollAfter.toFixed(2)), Number((den.payrollBefore - 22.8 + 18.1).toFixed(2)));
+    den.seasons.forEach((season, idx) => {
+        assert.equal(Number((season.surplusChange + okc.seasons[idx].surplusChange).toFixed(6)), 0, season.season);
+    });
+    assert.equal(den.currentSurplusChange, den.seasons[0].surplusChange);
+    assert.equal(Number(den.totalSurplusChange.toFixed(6)), Number(den.seasons.reduce((sum, s) => sum + s.surplusChange, 0).toFixed(6)));
+    assert.equal(Number((den.totalSurplusChange + okc.totalSurplusChange).toFixed(6)), 0);
+    assert.equal(result.valid, den.salaryMatch.valid && okc.salaryMatch.valid);
+});
+
+test("a draft pick adds rookie-scale seasons but no current salary", () => {
+    const pick = createPickPlayer(10, 2026, "OKC");
+    const players = [...PLAYER_DATA, pick];
+    const result = evaluateTrade(players, ["DEN", "OKC"], [
+        { playerId: 203932, from: "DEN", to: "OKC" },
+        { playerId: pick.id, from: "OKC", to: "DEN" }
+    ], { getOptions });
+    const [den, okc] = result.teams;
+
+    assert.equal(den.incoming.length, 1);
+    assert.equal(den.seasons[0].incomingSalary, 0);
+    assert.equal(den.seasons[1].incomingSalary, pick.futureSalaries[den.seasons[1].season]);
+    assert.ok(den.seasons[1].incomingValue > 0);
+    // DEN only sends salary out, OKC takes back 22.8 for nothing
+    assert.equal(den.salaryMatch.valid, true);
+    assert.equal(okc.seasons[0].incomingSalary, 22.8);
+    assert.equal(okc.seasons[0].outgoingSalary, 0);
+    den.seasons.forEach((season, idx) => {
+        assert.equal(Number((season.surplusChange + okc.seasons[idx].surplusChange).toFixed(6)), 0, season.season);
+    });
+});
+
+test("moving a player who isn't on the sending team throws", () => {
+    assert.throws(() => evaluateTrade(PLAYER_DATA, ["DEN", "OKC"], [{ playerId: 203999, from: "OKC", to: "DEN" }]), /not on OKC/);
+});
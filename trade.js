@@ -0,0 +1,99 @@
+// NBA Salary Model - trade evaluation
+// Measures the salary and surplus value each team sends and receives in a (multi-team) trade.
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory(require("./model.js"), require("./team.js"));
+    } else {
+        root.SalaryTrade = factory(root.SalaryModel, root.SalaryTeam);
+    }
+})(typeof self !== "undefined" ? self : this, function (SalaryModel, SalaryTeam) {
+    const { ALL_SEASONS, SALARY_CAP, normalizeTeam, projectPlayer } = SalaryModel;
+    const { getRoster, sumSeasons } = SalaryTeam;
+
+    // 2025-26 thresholds in $M. A team that ends up over the cap must match salary:
+    // incoming salary up to outgoing x matchingPct + matchingCushion, or no more than
+    // outgoing at all once the team is over the apron.
+    const DEFAULT_TRADE_RULES = {
+        salaryCap: SALARY_CAP,
+        apron: 195.9,
+        matchingPct: 1.25,
+        matchingCushion: 0.25
+    };
+
+    const sumSalary = (players) => players.reduce((sum, p) => sum + (p.actualSalary > 0 ? p.actualSalary : 0), 0);
+
+    const checkSalaryMatch = ({ incomingSalary, outgoingSalary, payrollAfter }, rules = DEFAULT_TRADE_RULES) => {
+        if (incomingSalary <= outgoingSalary) {
+            return { valid: true, reason: "Takes back no more salary than it sends out" };
+        }
+        if (payrollAfter <= rules.salaryCap) {
+            return { valid: true, reason: "Stays under the salary cap" };
+        }
+        if (payrollAfter > rules.apron) {
+            return { valid: false, reason: `Over the $${rules.apron.toFixed(1)}M apron and taking back more salary than it sends out` };
+        }
+        const allowed = outgoingSalary * rules.matchingPct + rules.matchingCushion;
+        if (incomingSalary <= allowed) {
+            return { valid: true, reason: `Incoming salary within the $${allowed.toFixed(1)}M matching limit` };
+        }
+        return { valid: false, reason: `Incoming salary exceeds the $${allowed.toFixed(1)}M matching limit` };
+    };
+
+    // `moves` is a list of { playerId, from, to }. `getOptions(player)` supplies the
+    // games/minutes/adjustment each player is valued at (model defaults otherwise).
+    const evaluateTrade = (players, teams, moves, { rules = DEFAULT_TRADE_RULES, getOptions = () => ({}) } = {}) => {
+        const codes = teams.map(normalizeTeam);
+        const project = (player) => projectPlayer(player, getOptions(player) || {});
+
+        const resolved = moves.map(move => {
+            const from = normalizeTeam(move.from);
+            const player = getRoster(players, from).find(p => p.id === move.playerId);
+            if (!player) throw new Error(`Player ${move.playerId} is not on ${from}`);
+            return { player, from, to: normalizeTeam(move.to) };
+        });
+
+        const results = codes.map(team => {
+            const outgoing = resolved.filter(m => m.from === team).map(m => project(m.player));
+            const incoming = resolved.filter(m => m.to === team).map(m => project(m.player));
+            const outgoingSeasons = sumSeasons(outgoing);
+            const incomingSeasons = sumSeasons(incoming);
+
+            const seasons = ALL_SEASONS.map((season, idx) => ({
+                season,
+                incomingSalary: incomingSeasons[idx].salary,
+                outgoingSalary: outgoingSeasons[idx].salary,
+                incomingValue: incomingSeasons[idx].value,
+                outgoingValue: outgoingSeasons[idx].value,
+                surplusChange: incomingSeasons[idx].surplus - outgoingSeasons[idx].surplus
+            }));
+
+            const incomingSalary = seasons[0].incomingSalary;
+            const outgoingSalary = seasons[0].outgoingSalary;
+            const payrollBefore = sumSalary(getRoster(players, team));
+            const payrollAfter = payrollBefore - outgoingSalary + incomingSalary;
+
+            return {
+                team,
+                incoming,
+                outgoing,
+                seasons,
+                currentSurplusChange: seasons[0].surplusChange,
+                totalSurplusChange: seasons.reduce((sum, s) => sum + s.surplusChange, 0),
+                payrollBefore,
+                payrollAfter,
+                salaryMatch: checkSalaryMatch({ incomingSalary, outgoingSalary, payrollAfter }, rules)
+            };
+        });
+
+        return {
+            teams: results,
+            valid: results.every(r => r.salaryMatch.valid)
+        };
+    };
+
+    return {
+        DEFAULT_TRADE_RULES,
+        checkSalaryMatch,
+        evaluateTrade
+    };
+});